@@ -16,7 +16,6 @@ const cors = require('cors');
 const { Server } = require('socket.io');
 const { createClient } = require('redis');
 const { createAdapter } = require('@socket.io/redis-adapter');
-const axios = require('axios'); // for SOAP note generation
 const sql = require('mssql');   // MSSQL driver
 const { Sequelize } = require('sequelize');
 const bcrypt = require('bcryptjs');
@@ -24,6 +23,24 @@ const session = require('express-session');
 
 const { sequelize, connectToDatabase, closeDatabase } = require('./database/database-config');
 const { getAzureSqlConnection } = require('./database/azure-db-helper');
+const pairingRegistry = require('./services/pairing-registry');
+const deviceCredentials = require('./services/device-credentials');
+const messageStore = require('./services/message-store');
+const offlineQueue = require('./services/offline-queue');
+const llm = require('./services/llm-provider');
+const { LlmError } = llm;
+const { SOAP_SECTIONS, NO_DATA, checkSoapNote, completedSections } = require('./services/soap-schema');
+const { parseMedicationList, formatMedication } = require('./services/medication-parser');
+const drugLookup = require('./services/drug-lookup');
+const drugSynonyms = require('./services/drug-synonyms');
+const drugInteractions = require('./services/drug-interactions');
+const encounterStore = require('./services/encounter-store');
+const metricsStore = require('./services/metrics-store');
+const alertEngine = require('./services/alert-engine');
+const telemetryIngest = require('./services/telemetry-ingest');
+const fhirExport = require('./services/fhir-export');
+const { FhirError } = fhirExport;
+const { createFhirStubRouter } = require('./services/fhir-stub');
 
 console.log('[BOOT] Instance:', process.env.WEBSITE_INSTANCE_ID || process.pid);
 
@@ -51,12 +68,6 @@ function safeDataPreview(obj) {
   }
 }
 
-// NEW: numeric coercion helper for telemetry
-function numOrNull(v) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
-
 // --- Safe global socket snapshot (fast-fail + local fallback) ---
 async function safeFetchSockets(io, namespace = "/") {
   const nsp = io.of(namespace);
@@ -89,6 +100,10 @@ const IS_PROD =
   (process.env.NODE_ENV || '').toLowerCase().startsWith('prod') ||
   !!process.env.WEBSITE_SITE_NAME; // Azure sets this
 
+// Reject device events from sockets without a valid handshake token.
+// Set to false only while rolling tokens out to existing devices.
+const DEVICE_AUTH_REQUIRED = (process.env.DEVICE_AUTH_REQUIRED || 'true').toLowerCase() === 'true';
+
 // -------------------- Config & Servers --------------------
 console.log('[INIT] Starting server initialization...');
 const PORT = process.env.PORT || 8080;
@@ -109,20 +124,21 @@ app.use(cors());
 app.use(express.json());
 console.log('[MIDDLEWARE] CORS + JSON enabled');
 
-// Session middleware for platform admin
+// Session middleware for platform admin; also read by socket.io so dashboard
+// alert actions can be tied to the signed-in admin
 const sessionSecret = process.env.SESSION_SECRET || 'change-me-in-production';
-app.use(
-  session({
-    secret: sessionSecret,
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-      httpOnly: true,
-      sameSite: 'lax',
-      maxAge: 24 * 60 * 60 * 1000,
-    },
-  })
-);
+const sessionMiddleware = session({
+  secret: sessionSecret,
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: 24 * 60 * 60 * 1000,
+  },
+});
+app.use(sessionMiddleware);
+io.engine.use(sessionMiddleware);
 console.log('[MIDDLEWARE] Session enabled');
 
 // ✅ Connect to Azure SQL via Sequelize on boot (non-fatal if it fails)
@@ -134,6 +150,20 @@ console.log('[MIDDLEWARE] Session enabled');
     console.error('❌ [DB] Failed to connect to Azure SQL (continuing without DB):', err?.message || err);
     // NOTE: Do not exit; server keeps running without DB.
   }
+
+  // Warm the pairing cache (falls back to DEFAULT_PAIRINGS without DB)
+  const { source, pairings } = await pairingRegistry.listPairings();
+  console.log(`[PAIRINGS] Loaded ${pairings.length} pairing(s) from ${source}`);
+
+  const creds = await deviceCredentials.listCredentials();
+  console.log(`[DEVICE_AUTH] Loaded ${creds.credentials.length} credential(s) from ${creds.source}; enforced=${DEVICE_AUTH_REQUIRED}`);
+
+  // Brand → generic mappings (falls back to the CSV seed without DB)
+  const syn = await drugSynonyms.listSynonyms();
+  console.log(`[DRUG_SYNONYMS] Loaded ${syn.synonyms.length} synonym(s) from ${syn.source}`);
+
+  // Formulary index for medication checks (retried on first lookup if this fails)
+  drugLookup.start().catch(e => dwarn('[DRUG_INDEX] initial load failed:', e?.message || e));
 })();
 
 
@@ -320,38 +350,71 @@ const telemetryByDevice = new Map();
 
 const qualityByDevice = new Map(); // xrId -> latest webrtc quality snapshot
 
+// Docks whose cockpit has "Keep my edits" on: the cockpit regenerates the note
+// itself, so the automatic note for their transcripts is skipped. The cockpit
+// renews this while the mode is on, so it lapses if the cockpit closes.
+const MERGE_MODE_TTL_MS = 90 * 1000;
+const mergeModeUntil = new Map(); // xrId -> expiry (ms)
+
 dlog('[ROOM] State maps initialized');
 
-// --- Time-series history for charts (keep last 24 hours) ---
-const METRIC_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
-const telemetryHist = new Map(); // xrId -> [{ ts, connType, wifiMbps, netDownMbps, netUpMbps, batteryPct }]
-const qualityHist = new Map();   // xrId -> [{ ts, jitterMs, rttMs, lossPct, bitrateKbps }]
+// Time-series history for charts lives in services/metrics-store.js:
+//   telemetry: { ts, connType, wifiMbps, netDownMbps, netUpMbps, batteryPct, cpuPct, memUsedMb, memTotalMb, deviceTempC }
+//   quality:   { ts, jitterMs, rttMs, lossPct, bitrateKbps }
 
+// Alerts (services/alert-engine.js); every dashboard gets raise/clear/update events
+const ALERT_EVENTS = { raised: 'alert_raised', cleared: 'alert_cleared', updated: 'alert_updated' };
+function reportAlerts(changes) {
+  for (const { type, alert } of changes) {
+    io.emit(ALERT_EVENTS[type], alert);
+    dlog(`[ALERTS] ${type}`, { ruleId: alert.ruleId, xrId: alert.xrId, value: alert.value });
+  }
+}
 
-function pushHist(map, xrId, sample) {
-  const arr = map.get(xrId) || [];
-  arr.push(sample);
-  const cutoff = Date.now() - METRIC_WINDOW_MS;
-  while (arr.length && arr[0].ts < cutoff) arr.shift();
-  map.set(xrId, arr);
+function checkAlerts(source, xrId, sample) {
+  reportAlerts(alertEngine.evaluate(source, xrId, sample));
 }
 
+// Accepted telemetry (see services/telemetry-ingest.js) → latest snapshot, history, dashboards, alerts
+function publishTelemetry(rec) {
+  const { xrId } = rec;
+
+  // latest snapshot for device rows
+  telemetryByDevice.set(xrId, rec);
+
+  // time-series history (for modal charts)
+  const histSample = metricsStore.record('telemetry', xrId, {
+    ts: rec.ts,
+    connType: rec.connType,
+    wifiMbps: rec.wifiMbps,
+    netDownMbps: rec.netDownMbps,
+    netUpMbps: rec.netUpMbps,
+    batteryPct: batteryByDevice.get(xrId)?.pct ?? null,
+    cpuPct: rec.cpuPct,
+    memUsedMb: rec.memUsedMb,
+    memTotalMb: rec.memTotalMb,
+    deviceTempC: rec.deviceTempC,
+  });
 
-const allowedPairs = new Set([normalizePair('XR-1234', 'XR-1238')]);
-const PAIRINGS_MAP = new Map([
-  ['XR-1234', 'XR-1238'],
-  ['XR-1238', 'XR-1234'],
-]);
-dlog('[ROOM] allowedPairs:', Array.from(allowedPairs));
-dlog('[ROOM] PAIRINGS_MAP:', Array.from(PAIRINGS_MAP.entries()));
+  // live delta for open detail modal subscribers
+  io.to(`metrics:${xrId}`).emit('metrics_update', { xrId, telemetry: [histSample] });
 
-function normalizePair(a, b) {
-  return [a, b].sort().join('|');
+  // broadcast the latest snapshot to dashboards (same event Android uses)
+  io.emit('telemetry_update', rec);
+  checkAlerts('telemetry', xrId, rec);
 }
+
+// A device counts as offline once it has been gone this long (reconnects inside it are silent)
+const ALERT_OFFLINE_GRACE_MS = Number(process.env.ALERT_OFFLINE_GRACE_MS) || 30 * 1000;
+const offlineTimers = new Map(); // xrId -> pending device-offline timer
+
+
+// Pairings are DB-backed (see services/pairing-registry.js) and cached in memory
+const { normalizePair } = pairingRegistry;
+
 async function isPairAllowed(a, b) {
-  const key = normalizePair(a, b);
-  const allowed = allowedPairs.has(key);
-  dlog('[PAIR] isPairAllowed?', a, b, '=>', allowed, 'key=', key);
+  const allowed = await pairingRegistry.isPairAllowed(a, b);
+  dlog('[PAIR] isPairAllowed?', a, b, '=>', allowed, 'key=', normalizePair(a, b));
   return allowed;
 }
 function getRoomIdForPair(a, b) {
@@ -394,10 +457,15 @@ function broadcastPairs() {
   dlog('[PAIR] broadcastPairs:', pairs);
 }
 
-async function tryAutoPair(deviceId) {
-  dlog('[AUTO_PAIR] attempt for', deviceId);
-  const partnerId = PAIRINGS_MAP.get(deviceId);
-  dlog('[AUTO_PAIR] partnerId:', partnerId);
+// partnerId: pair with exactly this device (e.g. an admin just paired the two);
+// otherwise the first configured partner that is currently online wins
+async function tryAutoPair(deviceId, partnerId = null) {
+  dlog('[AUTO_PAIR] attempt for', deviceId, partnerId ? `with ${partnerId}` : '');
+  if (!partnerId) {
+    const partners = await pairingRegistry.getPartners(deviceId);
+    dlog('[AUTO_PAIR] partners:', partners);
+    partnerId = partners.find(id => clients.has(id));
+  }
   if (!partnerId) return false;
 
   const meSocket = clients.get(deviceId);
@@ -429,13 +497,91 @@ async function tryAutoPair(deviceId) {
   return true;
 }
 
+// Reflect a pairing create/update/delete on live rooms, then push room_update
+async function applyPairingChange({ xrIdA, xrIdB }) {
+  const roomId = getRoomIdForPair(xrIdA, xrIdB);
+  const allowed = await isPairAllowed(xrIdA, xrIdB);
+
+  if (allowed) {
+    // Newly allowed: join both ends right away if they are online
+    await tryAutoPair(xrIdA, xrIdB);
+  } else if (io.sockets.adapter.rooms.has(roomId)) {
+    // Revoked: tear the live room down the same way a disconnect would
+    io.to(roomOf(xrIdA)).emit('peer_left', { xrId: xrIdB, roomId });
+    io.to(roomOf(xrIdB)).emit('peer_left', { xrId: xrIdA, roomId });
+    io.in(roomId).socketsLeave(roomId);
+    for (const id of [xrIdA, xrIdB]) {
+      const s = clients.get(id);
+      if (s?.data?.roomId === roomId) s.data.roomId = null;
+    }
+    dlog('[PAIR] revoked live room', roomId);
+  }
+
+  broadcastPairs();
+}
+
 // -------------------- Utilities --------------------
 function roomOf(xrId) {
   return `xr:${xrId}`;
 }
 
-const messageHistory = [];
-dlog('[STATE] messageHistory initialized');
+// [one, two] for a `pair:` room id, or null
+function pairMembers(roomId) {
+  if (typeof roomId !== 'string' || !roomId.startsWith('pair:')) return null;
+  const [one, two] = roomId.slice('pair:'.length).split(':');
+  return one && two ? [one, two] : null;
+}
+
+// Chat history is keyed by the pair room of a message's two ends
+function conversationOf(from, to, roomId) {
+  if (from && to) return getRoomIdForPair(from, to);
+  return pairMembers(roomId) ? roomId : null;
+}
+
+function partnerInConversation(conversation, xrId) {
+  const members = pairMembers(conversation);
+  if (!members) return null;
+  if (members[0] === xrId) return members[1];
+  if (members[1] === xrId) return members[0];
+  return null;
+}
+
+// Encounter identity for a note session: the headset (`from`) dictates to its scribe
+function encounterContext(from, to, roomId) {
+  const conversation = conversationOf(from, to, roomId);
+  if (!conversation) return null;
+  return { conversation, providerXrId: from, scribeXrId: to || partnerInConversation(conversation, from) };
+}
+
+// Append a final transcript to the pair's open encounter; resolves to its id (null if not recorded)
+async function recordEncounterTranscript(from, to, roomId, { text, timestamp }) {
+  const ctx = encounterContext(from, to, roomId);
+  if (!ctx) return null;
+  try {
+    const encounter = await encounterStore.ensureOpenEncounter(ctx);
+    await encounterStore.addTranscript(encounter.id, { from, text, timestamp });
+    return encounter.id;
+  } catch (e) {
+    dwarn('[ENCOUNTERS] transcript not recorded:', e?.message || e);
+    return null;
+  }
+}
+
+// Does any socket (on any instance) sit in this device's room?
+// When we cannot tell in time, assume online and deliver live.
+async function isDeviceOnline(xrId) {
+  const room = roomOf(xrId);
+  if (io.of('/').adapter.rooms?.get(room)?.size) return true;
+  try {
+    const guard = new Promise((_, reject) => setTimeout(() => reject(new Error('guard-timeout')), 750));
+    const sockets = await Promise.race([io.in(room).fetchSockets(), guard]);
+    return sockets.length > 0;
+  } catch (e) {
+    dwarn('[ONLINE] room lookup failed; assuming online:', e?.message || e);
+    return true;
+  }
+}
+
 
 
 
@@ -495,11 +641,9 @@ function broadcastEmptyDeviceListOnce() {
 }
 
 function addToMessageHistory(message) {
-  messageHistory.push({ ...message, id: Date.now(), timestamp: new Date().toISOString() });
-  if (messageHistory.length > 100) {
-    messageHistory.shift();
-  }
-  dlog('[MSG_HISTORY] added; len=', messageHistory.length);
+  const saved = messageStore.addMessage(message);
+  dlog('[MSG_HISTORY] added', saved.id);
+  return saved;
 }
 
 // -------------------- Routes --------------------
@@ -526,7 +670,7 @@ app.get('/health', async (_req, res) => {
 app.post('/api/medications/availability', async (req, res) => {
   dlog('[MEDICATION_API] request received');
   try {
-    const { names } = req.body;
+    const { names, limit } = req.body;
 
     if (!Array.isArray(names)) {
       return res.status(400).json({ error: 'Expected "names" array in request body' });
@@ -538,101 +682,235 @@ app.post('/api/medications/availability', async (req, res) => {
 
     dlog(`[MEDICATION_API] Checking ${names.length} medication(s)`);
 
-    const schema = 'dbo';
-    const table = 'DrugMaster';
-    const nameCol = 'drug';
-
-    function normalizeTerm(s) {
-      return String(s || '')
-        .toLowerCase()
-        .replace(/[ \-\/\.,'()]/g, '');
+    const results = [];
+    for (const r of await drugLookup.checkMedications(names, { limit })) {
+      if (r.error) dwarn(`[MEDICATION_API] Error checking "${r.name}":`, r.error);
+      else if (r.query) dlog(`[MEDICATION_API] "${r.name}" => ${r.availability}${r.generic ? ` (brand ${r.synonym} → ${r.generic})` : ''}`);
+      results.push({
+        name: r.name,
+        available: r.availability === 'available',
+        // available | availableOtherStrengths (stocked, not in this strength/form) | notFound
+        availability: r.availability || 'notFound',
+        // Stocked strengths/forms when they differ from the line ("250 mg/5mL suspension")
+        stocked: r.stocked || [],
+        query: r.query,
+        matched: r.matched,
+        // Generic the brand name resolved to (null when the name was used as-is)
+        generic: r.generic || null,
+        // "Did you mean…" candidates, best first, score 0…1
+        suggestions: r.suggestions || [],
+      });
     }
 
-    function extractDrugQuery(raw) {
-      if (!raw) return null;
-      let s = String(raw)
-        .replace(/^[-•]\s*/u, '')
-        .replace(/\(.*?\)/g, '')
-        .replace(/\b(tablet|tablets|tab|tabs|capsule|capsules|cap|caps|syrup|susp(?:ension)?|inj(?:ection)?)\b/gi, '')
-        .replace(/\b(po|od|bd|tid|qid|prn|q\d+h|iv|im|sc|sl)\b/gi, '')
-        .replace(/\b\d+(\.\d+)?\s*(mg|mcg|g|kg|ml|l|iu|units|%)\b/gi, '')
-        .split(/\b\d/)[0]
-        .replace(/[.,;:/]+$/g, '')
-        .replace(/\s+/g, ' ')
-        .trim();
-      return s || null;
+    res.json({ results });
+  } catch (err) {
+    derr('[MEDICATION_API] Error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Scribe Cockpit routes. The cockpit runs in the same browser as its Dock and
+// sends the Dock's device credential (`Authorization: Bearer <token>` or
+// `X-Device-Token`, plus `X-XR-Id`); a platform admin session also passes.
+// Sets req.cockpit = { xrId }, null for an admin (or, while
+// DEVICE_AUTH_REQUIRED=false, for a caller without a valid token).
+async function requireCockpitAuth(req, res, next) {
+  if (req.session?.user?.role === 'superadmin') {
+    req.cockpit = { xrId: null };
+    return next();
+  }
+
+  const xrId = String(req.get('x-xr-id') || '').trim();
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1];
+  const token = String(bearer || req.get('x-device-token') || '').trim();
+  let cred = null;
+  if (xrId && token) {
+    try {
+      cred = await deviceCredentials.verifyDeviceToken(xrId, token);
+    } catch (e) {
+      derr('[DEVICE_AUTH] cockpit verify failed:', e?.message || e);
+      return res.status(500).json({ ok: false, message: 'Could not verify the device token' });
     }
+  }
+  if (cred) {
+    req.cockpit = { xrId: cred.xrId };
+    return next();
+  }
 
-    async function findDrugMatch(q) {
-      const raw = String(q || '').trim();
-      const rawLike = `%${raw}%`;
-      const norm = normalizeTerm(raw);
-      const normLike = `%${norm}%`;
-
-      const normExpr = `
-        REPLACE(
-          REPLACE(
-            REPLACE(
-              REPLACE(
-                REPLACE(
-                  REPLACE(
-                    REPLACE(
-                      REPLACE(LOWER([${nameCol}]), '-', ''), ',', ''), '/', ''), '.', ''), '''', ''), ' ', ''), '(', ''), ')', '')
-      `;
+  const message = xrId && token ? `Device token is not valid for ${xrId}` : 'Device token required';
+  if (DEVICE_AUTH_REQUIRED) return res.status(401).json({ ok: false, code: 'unauthorized', message });
+  dwarn(`[DEVICE_AUTH] (not enforced) ${req.method} ${req.path}: ${message}`);
+  req.cockpit = { xrId: null };
+  next();
+}
 
-      const sql = `
-        SELECT TOP 1 [${nameCol}] AS name
-        FROM [${schema}].[${table}]
-        WHERE status = 1
-          AND [${nameCol}] IS NOT NULL
-          AND (
-            LOWER([${nameCol}]) = LOWER(:raw)
-            OR LOWER([${nameCol}]) LIKE LOWER(:rawLike)
-            OR ${normExpr} = :norm
-            OR ${normExpr} LIKE :normLike
-          )
-        ORDER BY
-          CASE
-            WHEN ${normExpr} = :norm THEN 1
-            WHEN LOWER([${nameCol}]) = LOWER(:raw) THEN 2
-            WHEN ${normExpr} LIKE :normLike THEN 3
-            ELSE 4
-          END,
-          [${nameCol}];
-      `;
+// The encounter a cockpit request names, or null once a 404 / 403 has been
+// sent. A device may only use encounters it is the provider or scribe of.
+async function findEncounterOr404(req, res, encounterId) {
+  const encounter = await encounterStore.getEncounter(String(encounterId));
+  if (!encounter) {
+    res.status(404).json({ ok: false, message: 'Encounter not found' });
+    return null;
+  }
+  const xrId = req.cockpit?.xrId;
+  if (xrId && encounter.providerXrId !== xrId && encounter.scribeXrId !== xrId) {
+    res.status(403).json({ ok: false, code: 'forbidden', message: `${xrId} is not part of this encounter` });
+    return null;
+  }
+  return encounter;
+}
 
-      const rows = await sequelize.query(sql, {
-        replacements: { raw, rawLike, norm, normLike },
-        type: Sequelize.QueryTypes.SELECT
-      });
-      return rows?.[0]?.name || null;
-    }
+// Regenerate the cockpit's current (scribe-edited) note with new transcript text.
+// The cockpit three-way merges the result so the scribe's own characters survive.
+app.post('/api/soap-notes/regenerate', requireCockpitAuth, async (req, res) => {
+  const { note, transcript, encounterId } = req.body || {};
+  if (!note || typeof note !== 'object' || Array.isArray(note)) {
+    return res.status(400).json({ ok: false, message: 'Expected "note" object in request body' });
+  }
+  if (typeof transcript !== 'string' || !transcript.trim()) {
+    return res.status(400).json({ ok: false, message: 'Expected non-empty "transcript" in request body' });
+  }
+  if (encounterId != null && (typeof encounterId !== 'string' || !encounterId)) {
+    return res.status(400).json({ ok: false, message: '"encounterId" must be a non-empty string' });
+  }
 
-    const results = [];
-    for (const name of names) {
-      const query = extractDrugQuery(name);
-      if (!query) {
-        results.push({ name, available: false });
-        continue;
-      }
+  try {
+    // Checked before generating so an unknown id neither costs a completion nor leaves orphan rows
+    if (encounterId && !(await findEncounterOr404(req, res, encounterId))) return;
+  } catch (err) {
+    derr('[ENCOUNTERS] lookup failed:', err);
+    return res.status(500).json({ ok: false, message: 'Failed to load encounter' });
+  }
 
-      try {
-        const matched = await findDrugMatch(query);
-        results.push({ name, available: !!matched });
-        dlog(`[MEDICATION_API] "${name}" => ${matched ? 'AVAILABLE' : 'NOT FOUND'}`);
-      } catch (e) {
-        dwarn(`[MEDICATION_API] Error checking "${name}":`, e.message);
-        results.push({ name, available: false });
-      }
+  try {
+    const { note: merged, medications, validation } = await generateSoapNote(transcript, { currentNote: note });
+    const interactions = await drugInteractions.checkSoapNote(merged).catch((e) => {
+      dwarn('[SOAP_REGENERATE] interaction check failed:', e?.message || e);
+      return null;
+    });
+    if (encounterId) {
+      // The transcript itself was recorded when it arrived over the socket
+      await encounterStore.addNoteVersion(encounterId, { note: merged, medications, source: 'regenerated' })
+        .catch(e => dwarn('[ENCOUNTERS] regenerated note not recorded:', e?.message || e));
     }
+    res.json({ ok: true, note: merged, medications, validation, interactions });
+  } catch (err) {
+    derr('[SOAP_REGENERATE] Error:', err.message);
+    res.status(502).json({
+      ok: false,
+      message: err.message,
+      error: err instanceof LlmError ? err.toJSON() : { code: 'unknown', message: err.message },
+    });
+  }
+});
 
-    res.json({ results });
+// The cockpit reports "Keep my edits" here (on change, and every minute while on)
+app.put('/api/soap-notes/merge-mode', requireCockpitAuth, (req, res) => {
+  const { enabled } = req.body || {};
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ ok: false, message: 'Expected boolean "enabled" in request body' });
+  }
+  const xrId = req.cockpit.xrId;
+  if (!xrId) {
+    return res.status(400).json({ ok: false, message: 'Merge mode is per device: send the Dock\'s device credential' });
+  }
+  if (enabled) mergeModeUntil.set(xrId, Date.now() + MERGE_MODE_TTL_MS);
+  else mergeModeUntil.delete(xrId);
+  res.json({ ok: true, enabled, ttlMs: MERGE_MODE_TTL_MS });
+});
+
+function isMergeModeOn(xrId) {
+  const until = mergeModeUntil.get(xrId);
+  if (!until) return false;
+  if (until > Date.now()) return true;
+  mergeModeUntil.delete(xrId);
+  return false;
+}
+
+// Cockpit Save: record the note exactly as the scribe left it as a new version
+app.post('/api/soap-notes/versions', requireCockpitAuth, async (req, res) => {
+  const { encounterId, note, author, edits } = req.body || {};
+  if (!encounterId || typeof encounterId !== 'string') {
+    return res.status(400).json({ ok: false, message: 'Expected "encounterId" in request body' });
+  }
+  if (!note || typeof note !== 'object' || Array.isArray(note)) {
+    return res.status(400).json({ ok: false, message: 'Expected "note" object in request body' });
+  }
+  if (edits != null && !(Number.isInteger(edits) && edits >= 0)) {
+    return res.status(400).json({ ok: false, message: '"edits" must be a non-negative integer' });
+  }
+
+  try {
+    if (!(await findEncounterOr404(req, res, encounterId))) return;
+
+    const version = await encounterStore.addNoteVersion(encounterId, {
+      note: soapNoteAsSaved(note),
+      source: 'saved',
+      author: String(author || '').trim().slice(0, 100) || null,
+      edits: edits ?? null,
+    });
+    dlog(`[ENCOUNTERS] ${encounterId} saved as v${version.version} by ${version.author || 'unknown'} (${version.edits ?? '?'} edits)`);
+    res.json({ ok: true, version });
   } catch (err) {
-    derr('[MEDICATION_API] Error:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    derr('[ENCOUNTERS] save version failed:', err);
+    res.status(500).json({ ok: false, message: 'Failed to save note version' });
   }
 });
 
+// Every version of an encounter's note, oldest first (cockpit history panel)
+app.get('/api/soap-notes/versions', requireCockpitAuth, async (req, res) => {
+  const { encounterId } = req.query;
+  if (!encounterId) {
+    return res.status(400).json({ ok: false, message: 'Query parameter "encounterId" is required' });
+  }
+  try {
+    const encounter = await findEncounterOr404(req, res, encounterId);
+    if (!encounter) return;
+    res.json({ ok: true, encounterId: encounter.id, status: encounter.status, versions: encounter.notes });
+  } catch (err) {
+    derr('[ENCOUNTERS] list versions failed:', err);
+    res.status(500).json({ ok: false, message: 'Failed to load note versions' });
+  }
+});
+
+// Add To EHR: the note as a FHIR R4 transaction Bundle, POSTed to FHIR_BASE_URL
+app.post('/api/ehr/export', requireCockpitAuth, async (req, res) => {
+  const { encounterId, note, author } = req.body || {};
+  if (!note || typeof note !== 'object' || Array.isArray(note)) {
+    return res.status(400).json({ ok: false, message: 'Expected "note" object in request body' });
+  }
+
+  try {
+    let encounter = null;
+    if (encounterId) {
+      encounter = await findEncounterOr404(req, res, encounterId);
+      if (!encounter) return;
+    }
+    const bundle = fhirExport.buildSoapBundle({
+      note,
+      encounter,
+      author: String(author || '').trim().slice(0, 100) || null,
+    });
+    const result = await fhirExport.sendBundle(bundle);
+    const composition = result.entries.find(e => e.resourceType === 'Composition');
+    console.log(`[FHIR] Exported note${encounter ? ` for encounter ${encounter.id}` : ''} as ${composition?.location || `${result.entries.length} resource(s)`}`);
+    res.json({ ok: true, composition: composition?.location || null, entries: result.entries });
+  } catch (err) {
+    derr('[FHIR] Export failed:', err.message);
+    res.status(502).json({
+      ok: false,
+      message: err.message,
+      error: err instanceof FhirError ? err.toJSON() : { code: 'unknown', message: err.message },
+    });
+  }
+});
+
+// Local HAPI-compatible FHIR server for development without an EHR
+if (fhirExport.STUB_ENABLED) {
+  app.use('/fhir-stub', createFhirStubRouter());
+  console.log('[FHIR] Stub FHIR server mounted at /fhir-stub');
+}
+
 
 // -------------------- Platform Admin Routes --------------------
 
@@ -643,6 +921,128 @@ function requireSuperAdmin(req, res, next) {
   return res.status(401).json({ ok: false, message: 'Unauthorized' });
 }
 
+// Socket counterpart: the signed-in admin's email, or null after emitting
+// alert_error. The handshake session is reloaded so a logout since then counts.
+async function requireSocketAdmin(socket, action) {
+  const sess = socket.request.session;
+  const user = sess
+    ? await new Promise(resolve => sess.reload(err => resolve(err ? null : sess.user)))
+    : null;
+  if (user && user.role === 'superadmin') return user.email || 'superadmin';
+  socket.emit('alert_error', { action, message: 'Sign in as platform admin, then reload the dashboard' });
+  return null;
+}
+
+// Full-text lookup over persisted chat messages (admin only)
+app.get('/api/messages/search', requireSuperAdmin, async (req, res) => {
+  try {
+    const { q, peerId, before, limit } = req.query;
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ ok: false, message: 'Query parameter "q" is required' });
+    }
+    const page = await messageStore.searchMessages({ q, peerId, before, limit });
+    return res.json({ ok: true, ...page });
+  } catch (err) {
+    derr('[MESSAGE_SEARCH] Error:', err);
+    return res.status(500).json({ ok: false, message: 'Internal server error' });
+  }
+});
+
+// -------------------- Encounters (admin only) --------------------
+app.get('/api/encounters', requireSuperAdmin, async (req, res) => {
+  try {
+    const { status, providerXrId, scribeXrId, patientRef, before, limit } = req.query;
+    if (status && !['open', 'closed'].includes(status)) {
+      return res.status(400).json({ ok: false, message: 'status must be "open" or "closed"' });
+    }
+    const page = await encounterStore.listEncounters({ status, providerXrId, scribeXrId, patientRef, before, limit });
+    res.json({ ok: true, ...page });
+  } catch (err) {
+    derr('[ENCOUNTERS] list failed:', err);
+    res.status(500).json({ ok: false, message: 'Failed to list encounters' });
+  }
+});
+
+app.get('/api/encounters/:id', requireSuperAdmin, async (req, res) => {
+  try {
+    const encounter = await encounterStore.getEncounter(req.params.id);
+    if (!encounter) return res.status(404).json({ ok: false, message: 'Encounter not found' });
+    res.json({ ok: true, encounter });
+  } catch (err) {
+    derr('[ENCOUNTERS] fetch failed:', err);
+    res.status(500).json({ ok: false, message: 'Failed to load encounter' });
+  }
+});
+
+app.post('/api/encounters/:id/close', requireSuperAdmin, async (req, res) => {
+  try {
+    const encounter = await encounterStore.closeEncounter(req.params.id);
+    if (!encounter) return res.status(404).json({ ok: false, message: 'Encounter not found' });
+    res.json({ ok: true, encounter });
+  } catch (err) {
+    derr('[ENCOUNTERS] close failed:', err);
+    res.status(500).json({ ok: false, message: 'Failed to close encounter' });
+  }
+});
+
+// -------------------- Metrics history (admin only) --------------------
+// Same data as metrics_subscribe, for support investigations and spreadsheets.
+function csvCell(v) {
+  if (v == null) return '';
+  const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One row per sample; columns are `time` (ISO) plus every field seen, in first-seen order
+function samplesToCsv(samples) {
+  const columns = ['ts'];
+  for (const s of samples) {
+    for (const k of Object.keys(s)) if (!columns.includes(k)) columns.push(k);
+  }
+  const lines = [['time', ...columns].join(',')];
+  for (const s of samples) {
+    lines.push([new Date(s.ts).toISOString(), ...columns.map(k => csvCell(s[k]))].join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+app.get('/api/metrics/:xrId/:kind', requireSuperAdmin, async (req, res) => {
+  const { xrId, kind } = req.params;
+  const { from, to, resolution, limit, format = 'json' } = req.query;
+  if (!metricsStore.KINDS.includes(kind)) {
+    return res.status(404).json({ ok: false, message: `Unknown metrics kind "${kind}" (expected ${metricsStore.KINDS.join(' or ')})` });
+  }
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ ok: false, message: 'format must be "json" or "csv"' });
+  }
+  try {
+    const result = await metricsStore.query(kind, xrId, { from, to, resolution, limit });
+    if (format === 'csv') {
+      const stamp = new Date(result.from).toISOString().slice(0, 10);
+      const file = `${xrId}-${kind}-${result.resolution}-${stamp}.csv`.replace(/[^\w.-]+/g, '_');
+      res.type('text/csv').attachment(file);
+      return res.send(samplesToCsv(result.samples));
+    }
+    res.json({ ok: true, xrId, kind, ...result });
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ ok: false, message: err.message });
+    derr('[METRICS] history query failed:', err);
+    res.status(500).json({ ok: false, message: 'Failed to load metrics history' });
+  }
+});
+
+// Alerts currently raised and recently cleared (optionally ?xrId=), mutes, and the rules in effect
+app.get('/api/alerts', requireSuperAdmin, (req, res) => {
+  const xrId = req.query.xrId ? String(req.query.xrId) : null;
+  res.json({
+    ok: true,
+    alerts: alertEngine.listActive(xrId),
+    recent: alertEngine.listRecent(xrId),
+    mutes: alertEngine.listMutes().filter(m => !xrId || m.xrId === xrId),
+    rules: alertEngine.listRules(),
+  });
+});
+
 app.post('/api/platform/login', async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -959,57 +1359,191 @@ app.get('/api/platform/lookup-options', requireSuperAdmin, async (req, res) => {
   }
 });
 
+// Returns the subset of xrIds that are not registered in [dbo].[users]
+async function findUnknownXrIds(ids) {
+  const known = await sequelize.query(
+    'SELECT xr_id FROM [dbo].[users] WHERE xr_id IN (:ids)',
+    { replacements: { ids }, type: Sequelize.QueryTypes.SELECT }
+  );
+  const knownIds = new Set(known.map(r => r.xr_id));
+  return ids.filter(id => !knownIds.has(id));
+}
+
+// Map service errors carrying `.status` to JSON; anything else is a 500
+function sendPlatformError(res, err, label) {
+  if (err.status) {
+    return res.status(err.status).json({ ok: false, message: err.message });
+  }
+  console.error(`[PLATFORM] ${label} error:`, err);
+  return res.status(500).json({ ok: false, message: 'Internal server error' });
+}
+
+// ---- Device pairings (XR Vision ↔ Dock) ----
+app.get('/api/platform/pairings', requireSuperAdmin, async (req, res) => {
+  try {
+    const { source, pairings } = await pairingRegistry.listPairings();
+    const liveKeys = new Set(collectPairs().map(({ a, b }) => normalizePair(a, b)));
+    return res.json({
+      ok: true,
+      source,
+      pairings: pairings.map(p => ({ ...p, live: liveKeys.has(normalizePair(p.xrIdA, p.xrIdB)) })),
+    });
+  } catch (err) {
+    return sendPlatformError(res, err, 'List pairings');
+  }
+});
+
+app.post('/api/platform/pairings', requireSuperAdmin, async (req, res) => {
+  try {
+    const { xrIdA, xrIdB, label, enabled } = req.body || {};
+
+    // Both ends must be registered users before they can be paired
+    const ids = [xrIdA, xrIdB].map(id => String(id || '').trim()).filter(Boolean);
+    if (ids.length === 2) {
+      const unknown = await findUnknownXrIds(ids);
+      if (unknown.length > 0) {
+        return res.status(400).json({ ok: false, message: `Unknown XR ID: ${unknown.join(', ')}` });
+      }
+    }
+
+    const pairing = await pairingRegistry.createPairing({ xrIdA, xrIdB, label, enabled: enabled !== false });
+    console.log('[PLATFORM] Pairing created:', pairing);
+    await applyPairingChange(pairing);
+    return res.json({ ok: true, pairing });
+  } catch (err) {
+    return sendPlatformError(res, err, 'Create pairing');
+  }
+});
+
+app.patch('/api/platform/pairings/:id', requireSuperAdmin, async (req, res) => {
+  try {
+    const { enabled, label } = req.body || {};
+    const { after } = await pairingRegistry.updatePairing(Number(req.params.id), { enabled, label });
+    console.log('[PLATFORM] Pairing updated:', after);
+    await applyPairingChange(after);
+    return res.json({ ok: true, pairing: after });
+  } catch (err) {
+    return sendPlatformError(res, err, 'Update pairing');
+  }
+});
+
+app.delete('/api/platform/pairings/:id', requireSuperAdmin, async (req, res) => {
+  try {
+    const removed = await pairingRegistry.deletePairing(Number(req.params.id));
+    console.log('[PLATFORM] Pairing deleted:', removed);
+    await applyPairingChange(removed);
+    return res.json({ ok: true, pairing: removed });
+  } catch (err) {
+    return sendPlatformError(res, err, 'Delete pairing');
+  }
+});
+
+// ---- Drug synonyms (brand → generic for medication checks) ----
+app.get('/api/platform/drug-synonyms', requireSuperAdmin, async (req, res) => {
+  try {
+    const { source, synonyms } = await drugSynonyms.listSynonyms();
+    return res.json({ ok: true, source, synonyms });
+  } catch (err) {
+    return sendPlatformError(res, err, 'List drug synonyms');
+  }
+});
+
+// Body: { csv: "synonym,generic\n..." }
+app.post('/api/platform/drug-synonyms/import', requireSuperAdmin, async (req, res) => {
+  try {
+    const csv = typeof req.body?.csv === 'string' ? req.body.csv : '';
+    if (!csv.trim()) {
+      return res.status(400).json({ ok: false, message: 'Body must include "csv" text' });
+    }
+    const result = await drugSynonyms.importCsv(csv);
+    console.log(`[PLATFORM] Drug synonyms imported: ${result.imported} row(s), ${result.skipped.length} skipped`);
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendPlatformError(res, err, 'Import drug synonyms');
+  }
+});
+
+// ---- Device credentials (socket handshake tokens) ----
+app.get('/api/platform/device-credentials', requireSuperAdmin, async (req, res) => {
+  try {
+    const { source, credentials } = await deviceCredentials.listCredentials();
+    return res.json({ ok: true, source, enforced: DEVICE_AUTH_REQUIRED, credentials });
+  } catch (err) {
+    return sendPlatformError(res, err, 'List device credentials');
+  }
+});
+
+app.post('/api/platform/device-credentials', requireSuperAdmin, async (req, res) => {
+  try {
+    const xrId = String(req.body?.xrId || '').trim();
+    if (xrId) {
+      const unknown = await findUnknownXrIds([xrId]);
+      if (unknown.length > 0) {
+        return res.status(400).json({ ok: false, message: `Unknown XR ID: ${xrId}` });
+      }
+    }
+
+    const { credential, token } = await deviceCredentials.issueCredential(xrId, { label: req.body?.label });
+    console.log('[PLATFORM] Device credential issued:', credential);
+    // The plaintext token is only ever returned here
+    return res.json({ ok: true, credential, token });
+  } catch (err) {
+    return sendPlatformError(res, err, 'Issue device credential');
+  }
+});
+
+app.delete('/api/platform/device-credentials/:id', requireSuperAdmin, async (req, res) => {
+  try {
+    const revoked = await deviceCredentials.revokeCredential(Number(req.params.id));
+    console.log('[PLATFORM] Device credential revoked:', revoked);
+
+    // Drop any live socket that authenticated with this credential
+    const sockets = await safeFetchSockets(io, '/');
+    for (const s of sockets) {
+      if (s.data?.credentialId === revoked.id) {
+        s.emit('auth_error', { event: 'revoked', xrId: revoked.xrId, message: 'Device token revoked' });
+        s.disconnect(true);
+      }
+    }
+
+    return res.json({ ok: true, credential: revoked });
+  } catch (err) {
+    return sendPlatformError(res, err, 'Revoke device credential');
+  }
+});
+
 // ---- Desktop HTTP telemetry (beginner path) ----
-app.post('/desktop-telemetry', (req, res) => {
+// Same payload as the socket `telemetry` event. The device token goes in
+// `Authorization: Bearer <token>` (or `X-Device-Token`) and must match `xrId`.
+app.post('/desktop-telemetry', async (req, res) => {
   try {
     const d = req.body || {};
-    const xrId = typeof d.xrId === 'string' ? d.xrId : null;
-    if (!xrId) return res.status(400).json({ error: 'xrId required' });
-
-    const rec = {
-      xrId,
-      connType: d.connType || 'other',
-      // network (optional)
-      wifiDbm: numOrNull(d.wifiDbm),
-      wifiMbps: numOrNull(d.wifiMbps),
-      wifiBars: numOrNull(d.wifiBars),
-      cellDbm: numOrNull(d.cellDbm),
-      cellBars: numOrNull(d.cellBars),
-      netDownMbps: numOrNull(d.netDownMbps),
-      netUpMbps: numOrNull(d.netUpMbps),
-      // system
-      cpuPct: numOrNull(d.cpuPct),
-      memUsedMb: numOrNull(d.memUsedMb),
-      memTotalMb: numOrNull(d.memTotalMb),
-      deviceTempC: numOrNull(d.deviceTempC),
-      ts: Date.now(),
-    };
-
-    // latest snapshot for device rows
-    telemetryByDevice.set(xrId, rec);
-
-    // history (drives charts/detail modal)
-    pushHist(telemetryHist, xrId, {
-      ts: rec.ts,
-      connType: rec.connType,
-      wifiMbps: rec.wifiMbps,
-      netDownMbps: rec.netDownMbps,
-      netUpMbps: rec.netUpMbps,
-      batteryPct: batteryByDevice.get(xrId)?.pct ?? null,
-      cpuPct: rec.cpuPct,
-      memUsedMb: rec.memUsedMb,
-      memTotalMb: rec.memTotalMb,
-      deviceTempC: rec.deviceTempC,
-    });
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1];
+    const token = bearer || req.get('x-device-token') || null;
+    let authXrId = null;
+    if (token && typeof d.xrId === 'string') {
+      authXrId = (await deviceCredentials.verifyDeviceToken(d.xrId, token.trim()))?.xrId || null;
+    }
 
-    // broadcast to dashboards (same event Android uses)
-    io.emit('telemetry_update', rec);
+    const result = telemetryIngest.ingestTelemetry(d, { authXrId, requireAuth: DEVICE_AUTH_REQUIRED });
+    if (!result.ok) {
+      const { code, message, errors, retryAfterMs } = result;
+      if (code === 'rate_limited') {
+        dlog('[desktop-telemetry] rate limited', result.xrId);
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      } else {
+        dwarn(`[desktop-telemetry] rejected (${code}):`, message);
+      }
+      return res.status(telemetryIngest.HTTP_STATUS[code] || 400).json({ ok: false, code, message, errors, retryAfterMs });
+    }
+    if (!authXrId) dwarn('[DEVICE_AUTH] (not enforced) desktop-telemetry: Device not authenticated', result.rec.xrId);
 
-    dlog('[desktop-telemetry] update', rec);
+    publishTelemetry(result.rec);
+    dlog('[desktop-telemetry] update', result.rec);
     res.status(204).end();
   } catch (e) {
-    dwarn('[desktop-telemetry] bad payload:', e?.message || e);
-    res.status(400).json({ error: 'bad payload' });
+    derr('[desktop-telemetry] failed:', e?.message || e);
+    res.status(500).json({ ok: false, message: 'Internal server error' });
   }
 });
 
@@ -1034,41 +1568,96 @@ app.post('/desktop-telemetry', (req, res) => {
   }
 })();
 
-// ---- Medication sanitizer: keep only "pure" medication (name ± strength) ----
-function normalizeMedicationList(raw) {
-  // Accept string or array; split strings into items
-  let items = Array.isArray(raw) ? raw.slice() :
-    typeof raw === 'string' ? raw.split(/[\n;,]+/) : [];
-
-  return items
-    .map(s => (s ?? '').toString())
-    // strip bullets/numbering
-    .map(s => s.replace(/^\s*[-•\u2022\u25CF]*\s*\d*[.)]?\s*/g, '').trim())
-    // keep only the leading "drug name [strength unit]" and drop trailing sentences
-    .map(s => {
-      // Try to capture: Name (letters, numbers, spaces, -, /) + optional strength (e.g., 500 mg)
-      const m = s.match(/^([A-Za-z][A-Za-z0-9\s\-\/]+?(?:\s+\d+(?:\.\d+)?\s*(?:mg|mcg|g|kg|ml|mL|l|L|iu|IU|units|mcL|µg|%))?)/);
-      if (m) return m[1].trim();
-
-      // Fallback: cut at the first sentence break, but keep decimals like "2.5 mg"
-      const cut = s.split(/(?<!\d)\.(?!\d)/)[0]; // split on period not between digits
-      return cut.trim();
-    })
-    // remove common instruction tails if any slipped through
-    .map(s => s.replace(/\b(take|give|use|apply|instill|one|two|daily|once|twice|bid|tid|qid|po|prn|before|after|with|without|meals?|for|x|weeks?|days?|hours?)\b.*$/i, '').trim())
-    // collapse extra spaces
-    .map(s => s.replace(/\s{2,}/g, ' ').trim())
-    // drop empties
-    .filter(s => s.length > 0);
+// -------------------- SOAP Note Generator --------------------
+// Strip code fences / chatter around the JSON object; null when unreadable
+function parseSoapJson(rawContent) {
+  const content = rawContent
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/i, '');
+  try {
+    return JSON.parse(content);
+  } catch {
+    const first = content.indexOf('{');
+    const last = content.lastIndexOf('}');
+    if (first === -1 || last === -1) return null;
+    try { return JSON.parse(content.slice(first, last + 1)); } catch { return null; }
+  }
 }
 
+// Medication lines as "name strength unit form" display strings. Every parsed
+// line is returned in `medications` with `indexed` (false: name not in the drug
+// index, null: no index loaded); a line that is not indexed may be misparsed,
+// so it is displayed as dictated
+function formatMedicationSection(lines) {
+  const medications = parseMedicationList(lines).map(m => ({ ...m, indexed: drugLookup.isIndexedName(m.name) }));
+  const out = medications.map(m => (m.indexed === false ? m.raw : formatMedication(m)));
+  return { medications, lines: out.length ? out : [NO_DATA] };
+}
 
+// Stream one completion, calling onPartial(section, lines) once per section as its JSON value completes
+async function streamSoapCompletion(messages, onPartial) {
+  const sent = new Set();
+  return llm.stream({
+    messages,
+    onDelta: onPartial && ((_delta, text) => {
+      for (const [section, lines] of Object.entries(completedSections(text))) {
+        if (sent.has(section)) continue;
+        sent.add(section);
+        onPartial(section, section === 'Medication' ? formatMedicationSection(lines).lines : lines);
+      }
+    }),
+  });
+}
 
+// A cockpit note (textarea strings or line arrays) as { section: lines[] } for a prompt
+function soapNoteForPrompt(note) {
+  return Object.fromEntries(SOAP_SECTIONS.map((section) => {
+    const raw = note?.[section];
+    const lines = (Array.isArray(raw) ? raw : String(raw ?? '').split('\n'))
+      .map(l => String(l ?? '').trim())
+      .filter(Boolean);
+    return [section, lines.length ? lines : [NO_DATA]];
+  }));
+}
 
-// -------------------- SOAP Note Generator --------------------
-async function generateSoapNote(transcript) {
+// A cockpit note as { section: lines[] } with the text kept verbatim, so a saved
+// version joins back to exactly what was in each box
+function soapNoteAsSaved(note) {
+  return Object.fromEntries(SOAP_SECTIONS.map((section) => {
+    const raw = note?.[section];
+    return [section, Array.isArray(raw) ? raw.map(l => String(l ?? '')) : String(raw ?? '').split('\n')];
+  }));
+}
+
+/**
+ * Returns { note, medications, validation }; throws LlmError (provider selected by
+ * LLM_PROVIDER, see services/llm-provider.js). A response with no usable
+ * sections gets one re-prompt before giving up.
+ * @param {string} transcript
+ * @param {{ onPartial?: (section: string, lines: string[]) => void, currentNote?: object }} [opts]
+ *   onPartial: called as each section finishes streaming (before validation; the final note wins)
+ *   currentNote: regenerate — update this (possibly scribe-edited) note with the transcript
+ *   instead of writing a new one
+ */
+async function generateSoapNote(transcript, { onPartial, currentNote } = {}) {
   try {
-    const prompt = `
+    const prompt = currentNote ? `
+      Update the current SOAP note with the new transcript.
+      A scribe may have corrected the current note by hand, so:
+      - Keep every existing line exactly as written unless the new transcript contradicts it.
+      - Add new information to the appropriate section.
+      - Replace "No data available" when the new transcript provides that information.
+      - Return the complete note with all sections, in this order:
+        Chief Complaints, History of Present Illness, Subjective, Objective, Assessment, Plan, Medication.
+      - Each section should be an array of strings OR "No data available".
+      - JSON only, no extra commentary.
+
+      Current note (JSON):
+      ${JSON.stringify(soapNoteForPrompt(currentNote), null, 2)}
+
+      New transcript:
+      ${transcript.trim()}
+    ` : `
       Based on the provided transcript, generate a structured SOAP note.
       Sections (always in this order):
       - Chief Complaints
@@ -1088,202 +1677,147 @@ async function generateSoapNote(transcript) {
       ${transcript.trim()}
     `;
 
-    // ADDED: Use Abacus.AI RouteLLM instead of OpenAI
-    const ABACUS_API_KEY = process.env.ABACUS_API_KEY; // ADDED
-    if (!ABACUS_API_KEY) throw new Error('Missing ABACUS_API_KEY in environment');
-    const ABACUS_MODEL = ((process.env.ABACUS_MODEL).trim());
-    const ABACUS_TEMPERATURE = Number(process.env.ABACUS_TEMPERATURE);
-    let llmEndpoint = (process.env.ABACUS_LLM_ENDPOINT || '').trim();
-    if (!llmEndpoint) {
-      const epRes = await axios.get('https://api.abacus.ai/api/v0/getApiEndpoint', {
-        headers: { 'apiKey': ABACUS_API_KEY },
-      });
-      llmEndpoint = epRes?.data?.result?.llmEndpoint;
-    }
-    if (!llmEndpoint) throw new Error('Could not resolve Abacus.AI LLM endpoint');
-
-    const base = llmEndpoint.replace(/\/$/, '');
-
-    // ADDED: OpenAI-compatible Chat Completions request body
-    const reqBody = {
-      model: ABACUS_MODEL,
-      messages: [
-        { role: 'system', content: 'You are a helpful assistant skilled at creating structured SOAP notes.' },
-        { role: 'user', content: prompt },
-      ],
-      temperature: ABACUS_TEMPERATURE,
-    };
-    let chatResponse;
-    try {
-      chatResponse = await axios.post(`${base}/v1/chat/completions`, reqBody, {
-        headers: { 'Content-Type': 'application/json', 'apiKey': ABACUS_API_KEY },
-      });
-    } catch (e) {
-      chatResponse = await axios.post(`${base}/chat/completions`, reqBody, {
-        headers: { 'Content-Type': 'application/json', 'apiKey': ABACUS_API_KEY },
-      });
+    const messages = [
+      { role: 'system', content: 'You are a helpful assistant skilled at creating structured SOAP notes.' },
+      { role: 'user', content: prompt },
+    ];
+
+    let rawContent = await streamSoapCompletion(messages, onPartial);
+    let parsed = parseSoapJson(rawContent);
+    let checked = parsed ? checkSoapNote(parsed) : null;
+    let reprompted = false;
+
+    if (!checked || checked.needsReprompt) {
+      reprompted = true;
+      const problems = checked ? checked.validation.errors.join('; ') : 'the response was not valid JSON';
+      dwarn('[SOAP_NOTE] unusable response; re-prompting:', problems);
+      messages.push(
+        { role: 'assistant', content: rawContent },
+        {
+          role: 'user',
+          content: `That response could not be used (${problems}). Reply with only a JSON object whose keys are exactly: ` +
+            `${SOAP_SECTIONS.map(s => `"${s}"`).join(', ')}. Each value must be an array of strings; use ["No data available"] when there is nothing to report.`,
+        }
+      );
+      rawContent = await streamSoapCompletion(messages, onPartial);
+      parsed = parseSoapJson(rawContent);
+      checked = parsed ? checkSoapNote(parsed) : null;
     }
-    const rawContent = (
-      chatResponse?.data?.choices?.[0]?.message?.content?.trim() ||
-      chatResponse?.data?.choices?.[0]?.text?.trim() ||
-      chatResponse?.data?.output_text?.trim() ||
-      ''
-    );
-    const soapNoteContent = rawContent
-      .replace(/^```(?:json)?\s*/i, '')
-      .replace(/\s*```$/i, '');
-
-    let parsed;
-    try {
-      parsed = JSON.parse(soapNoteContent);
-    } catch (e) {
-      const first = soapNoteContent.indexOf('{');
-      const last = soapNoteContent.lastIndexOf('}');
-      if (first !== -1 && last !== -1) {
-        parsed = JSON.parse(soapNoteContent.slice(first, last + 1));
-      } else {
-        throw e;
-      }
+
+    if (!checked || checked.needsReprompt) {
+      throw new LlmError('invalid_response', `${llm.providerName()} did not return a usable SOAP note`);
     }
-    // sanitize Medication to be pure medication items only
-    const meds = normalizeMedicationList(parsed["Medication"]);
-    return {
-      "Chief Complaints": parsed["Chief Complaints"] || ["No data available"],
-      "History of Present Illness": parsed["History of Present Illness"] || ["No data available"],
-      "Subjective": parsed["Subjective"] || ["No data available"],
-      "Objective": parsed["Objective"] || ["No data available"],
-      "Assessment": parsed["Assessment"] || ["No data available"],
-      "Plan": parsed["Plan"] || ["No data available"],
-      "Medication": parsed["Medication"] || ["No data available"],
-    };
+
+    // Medication: structured entries, and "name strength unit" lines for display / drug checks
+    const soapNote = checked.note;
+    const { medications, lines } = formatMedicationSection(soapNote["Medication"]);
+    soapNote["Medication"] = lines;
+
+    return { note: soapNote, medications, validation: { ...checked.validation, reprompted } };
   } catch (err) {
     console.error('[SOAP_NOTE] generation failed:', err.message);
-    return {
-      "Chief Complaints": ["Error generating note"],
-      "History of Present Illness": ["Error generating note"],
-      "Subjective": ["Error generating note"],
-      "Objective": ["Error generating note"],
-      "Assessment": ["Error generating note"],
-      "Plan": ["Error generating note"],
-      "Medication": ["Error generating note"],
-    };
+    throw err instanceof LlmError ? err : new LlmError('invalid_response', err.message, { cause: err });
   }
 }
 
-// Parse Medication from SOAP note, check dbo.DrugMaster.drug, and log availability
-async function checkSoapMedicationAvailability(soapNote, opts = {}) {
-  const schema = opts.schema || 'dbo';
-  const table = opts.table || 'DrugMaster';
-  const nameCol = opts.nameCol || 'drug';
-
-  // Normalize a term in JS exactly the same way we normalize in SQL
-  function normalizeTerm(s) {
-    return String(s || '')
-      .toLowerCase()
-      .replace(/[ \-\/\.,'()]/g, ''); // remove spaces and punctuation
-  }
-
-  function extractDrugQuery(raw) {
-    if (!raw) return null;
-    let s = String(raw)
-      .replace(/^[-•]\s*/u, '')
-      .replace(/\(.*?\)/g, '')
-      .replace(/\b(tablet|tablets|tab|tabs|capsule|capsules|cap|caps|syrup|susp(?:ension)?|inj(?:ection)?)\b/gi, '')
-      .replace(/\b(po|od|bd|tid|qid|prn|q\d+h|iv|im|sc|sl)\b/gi, '')
-      .replace(/\b\d+(\.\d+)?\s*(mg|mcg|g|kg|ml|l|iu|units|%)\b/gi, '')
-      .split(/\b\d/)[0]
-      .replace(/[.,;:/]+$/g, '')
-      .replace(/\s+/g, ' ')
-      .trim();
-    return s || null;
-  }
-
-  // Updated: stronger, consistent matching with status=1 filter
-  async function findDrugMatch(q) {
-    const raw = String(q || '').trim();
-    const rawLike = `%${raw}%`;
-    const norm = normalizeTerm(raw);
-    const normLike = `%${norm}%`;
-
-    // SQL-side normalization expression (mirrors normalizeTerm)
-    const normExpr = `
-      REPLACE(
-        REPLACE(
-          REPLACE(
-            REPLACE(
-              REPLACE(
-                REPLACE(
-                  REPLACE(
-                    REPLACE(LOWER([${nameCol}]), '-', ''), ',', ''), '/', ''), '.', ''), '''', ''), ' ', ''), '(', ''), ')', '')
-    `;
-
-    const sql = `
-      SELECT TOP 1 [${nameCol}] AS name
-      FROM [${schema}].[${table}]
-      WHERE status = 1
-        AND [${nameCol}] IS NOT NULL
-        AND (
-          -- Exact (raw)
-          LOWER([${nameCol}]) = LOWER(:raw)
-          -- Contains (raw)
-          OR LOWER([${nameCol}]) LIKE LOWER(:rawLike)
-          -- Exact (normalized)
-          OR ${normExpr} = :norm
-          -- Contains (normalized)
-          OR ${normExpr} LIKE :normLike
-        )
-      ORDER BY
-        CASE
-          WHEN ${normExpr} = :norm THEN 1
-          WHEN LOWER([${nameCol}]) = LOWER(:raw) THEN 2
-          WHEN ${normExpr} LIKE :normLike THEN 3
-          ELSE 4
-        END,
-        [${nameCol}];
-    `;
-
-    const rows = await sequelize.query(sql, {
-      replacements: { raw, rawLike, norm, normLike },
-      type: Sequelize.QueryTypes.SELECT
-    });
-    return rows?.[0]?.name || null;
-  }
+// Check the SOAP note's Medication lines (name, strength and form) against the DrugMaster index
+const SOAP_DRUG_STATUS = { available: 'exists', availableOtherStrengths: 'other_strengths', notFound: 'not_found' };
 
+async function checkSoapMedicationAvailability(soapNote) {
   const meds = Array.isArray(soapNote?.Medication) ? soapNote.Medication : [];
-  const queries = Array.from(new Set(
+  const lines = Array.from(new Set(
     meds
       .map(m => typeof m === 'string' ? m : (m?.name || m?.drug || m?.Medication || ''))
-      .map(extractDrugQuery)
-      .filter(Boolean)
+      .map(s => String(s).trim())
+      .filter(s => s && drugLookup.extractDrugQuery(s))
   ));
 
-  if (queries.length === 0) {
+  if (lines.length === 0) {
     console.log('[DRUG_CHECK] No medication entries to check.');
     return { results: [] };
   }
 
   const results = [];
-  console.log(`[DRUG_CHECK] Checking ${queries.length} medication name(s) against ${schema}.${table}.${nameCol} ...`);
-  for (const q of queries) {
+  console.log(`[DRUG_CHECK] Checking ${lines.length} medication line(s) against the DrugMaster index ...`);
+  for (const r of await drugLookup.checkMedications(lines)) {
+    const q = r.query;
+    if (r.error) {
+      console.log(`[DRUG_CHECK] "${q}" => ERROR: ${r.error}`);
+      results.push({ name: r.name, query: q, status: 'error', error: r.error });
+      continue;
+    }
+
+    const via = r.generic ? ` via generic "${r.generic}"` : '';
+    const suggestions = r.suggestions || [];
+    if (r.availability === 'available') {
+      console.log(`[DRUG_CHECK] "${r.name}" => AVAILABLE (matched as "${r.matched}"${via})`);
+    } else if (r.availability === 'availableOtherStrengths') {
+      console.log(`[DRUG_CHECK] "${r.name}" => OTHER STRENGTHS ONLY (stocked: ${r.stocked.join(', ')})`);
+    } else {
+      console.log(`[DRUG_CHECK] "${r.name}" => NOT FOUND${via}${suggestions.length ? ` (did you mean ${suggestions.map(x => x.name).join(', ')}?)` : ''}`);
+    }
+    results.push({
+      name: r.name,
+      query: q,
+      status: SOAP_DRUG_STATUS[r.availability],
+      availability: r.availability,
+      matched: r.matched,
+      stocked: r.stocked,
+      generic: r.generic,
+      suggestions,
+    });
+  }
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  console.log(`[DRUG_CHECK] Summary: ${count('exists')} found, ${count('other_strengths')} other strengths only, ` +
+    `${count('not_found')} not found, ${count('error')} errors.`);
+  return { results };
+}
+
+// -------------------- Device Auth --------------------
+// Devices authenticate in the handshake: io(url, { auth: { xrId, token } }).
+// Dashboards and the cockpit connect without a token and only listen.
+io.use(async (socket, next) => {
+  const { xrId, token } = socket.handshake?.auth || {};
+  socket.data.authXrId = null;
+
+  if (xrId && token) {
     try {
-      const matched = await findDrugMatch(q);
-      if (matched) {
-        console.log(`[DRUG_CHECK] "${q}" => AVAILABLE (matched as "${matched}")`);
-        results.push({ query: q, status: 'exists', matched });
+      const cred = await deviceCredentials.verifyDeviceToken(String(xrId), String(token));
+      if (cred) {
+        socket.data.authXrId = cred.xrId;
+        socket.data.credentialId = cred.id;
       } else {
-        console.log(`[DRUG_CHECK] "${q}" => NOT FOUND`);
-        results.push({ query: q, status: 'not_found', matched: null });
+        dwarn('[DEVICE_AUTH] invalid token presented for', xrId);
       }
     } catch (e) {
-      console.log(`[DRUG_CHECK] "${q}" => ERROR: ${e.message || e}`);
-      results.push({ query: q, status: 'error', error: String(e) });
+      dwarn('[DEVICE_AUTH] verify failed:', e?.message || e);
     }
   }
+  next();
+});
 
-  const ok = results.filter(r => r.status === 'exists').length;
-  const nf = results.filter(r => r.status === 'not_found').length;
-  console.log(`[DRUG_CHECK] Summary: ${ok} found, ${nf} not found, ${results.length - ok - nf} errors.`);
-  return { results };
+// Gate a device-only event. `xrId` is the id the client claims to act as
+// (identify/join id, or `from` on relayed events) and must match the token;
+// an event that names no device counts as a mismatch.
+function ensureDeviceAuth(socket, event, xrId) {
+  const authXrId = socket.data?.authXrId;
+  if (authXrId && xrId && xrId === authXrId) return true;
+
+  const message = !authXrId
+    ? 'Device not authenticated'
+    : xrId
+      ? `Device token is not valid for ${xrId}`
+      : 'Event does not name the sending device';
+
+  if (!DEVICE_AUTH_REQUIRED) {
+    dwarn(`[DEVICE_AUTH] (not enforced) ${event}: ${message}`, socket.id);
+    return true;
+  }
+
+  dwarn(`[DEVICE_AUTH] rejected ${event}: ${message}`, socket.id);
+  socket.emit('auth_error', { event, xrId: xrId || null, message });
+  return false;
 }
 
 // -------------------- Socket.IO Handlers --------------------
@@ -1291,14 +1825,7 @@ io.on('connection', (socket) => {
   console.log(`🔌 [CONNECTION] ${socket.id}`);
   dlog('[CONNECTION] handshake.query:', safeDataPreview(socket.handshake?.query));
 
-  // Send recent message history
-  if (messageHistory.length > 0) {
-    const recent = messageHistory.slice(-10);
-    dlog('[CONNECTION] sending message_history size=', recent.length);
-    socket.emit('message_history', { type: 'message_history', messages: recent });
-  }
-
-  // after sending message_history (or right at the top of the connection handler)
+  // Message history is sent after identify, scoped to the device's own conversations
   (async () => {
     try {
       // send current presence snapshot
@@ -1315,6 +1842,7 @@ io.on('connection', (socket) => {
   // -------- join --------
   socket.on('join', (xrId) => {
     dlog('[EVENT] join', xrId);
+    if (!ensureDeviceAuth(socket, 'join', xrId)) return;
     socket.data.xrId = xrId;
     socket.join(roomOf(xrId));
     clients.set(xrId, socket);
@@ -1342,6 +1870,10 @@ io.on('connection', (socket) => {
       return socket.disconnect(true);
     }
 
+    if (!ensureDeviceAuth(socket, 'identify', xrId)) {
+      return socket.disconnect(true);
+    }
+
     // 🔒 GLOBAL duplicate guard (works across devices; cluster-wide with Redis adapter)
     try {
       const all = await safeFetchSockets(io, "/"); // includes other instances if Redis adapter is enabled
@@ -1368,6 +1900,9 @@ io.on('connection', (socket) => {
         }, 1200);
 
         socket.emit('duplicate_id', { xrId, holderInfo });
+        reportAlerts(alertEngine.raiseSystem('duplicate-id', xrId, {
+          details: { rejectedDeviceName: deviceName || 'Unknown', holderDeviceName: holderInfo.deviceName, holderSince: holderInfo.since },
+        }));
         return socket.disconnect(true);
       }
     } catch (e) {
@@ -1379,10 +1914,36 @@ io.on('connection', (socket) => {
     socket.data.xrId = xrId;
     socket.data.connectedAt = Date.now();
 
+    clearTimeout(offlineTimers.get(xrId));
+    offlineTimers.delete(xrId);
+    reportAlerts(alertEngine.clearSystem('device-offline', xrId));
+
     try { await socket.join(roomOf(xrId)); } catch (e) { dwarn('[IDENTIFY] join room failed:', e?.message || e); }
     clients.set(xrId, socket);
     onlineDevices.set(xrId, socket);
 
+    // Messages that arrived while this device was offline are delivered live below,
+    // so keep them out of the history replay
+    const queued = offlineQueue.drain(xrId);
+    const queuedIds = new Set(queued.map(m => m.id));
+
+    // Replay recent history from this device's own conversations only
+    try {
+      const page = await messageStore.getHistory({ participant: xrId, limit: 10 });
+      page.messages = page.messages.filter(m => !queuedIds.has(m.id));
+      if (page.messages.length > 0) {
+        dlog('[IDENTIFY] sending message_history size=', page.messages.length);
+        socket.emit('message_history', { type: 'message_history', ...page });
+      }
+    } catch (e) {
+      dwarn('[IDENTIFY] message_history failed:', e?.message || e);
+    }
+
+    if (queued.length > 0) {
+      dlog('[IDENTIFY] flushing offline queue size=', queued.length);
+      for (const m of queued) socket.emit('message', m);
+    }
+
     // Track desktop for convenience (no replacement logic anymore)
     if ((deviceName?.toLowerCase().includes('desktop')) || xrId === 'XR-1238') {
       desktopClients.set(xrId, socket);
@@ -1410,14 +1971,35 @@ io.on('connection', (socket) => {
   });
 
   // -------- metrics_subscribe / unsubscribe (NEW) --------
-  socket.on('metrics_subscribe', ({ xrId }) => {
+  // Optional range: { from, to, resolution } (epoch ms or ISO; resolution raw | 1m | auto).
+  // Defaults to the last 24 hours. Live metrics_update deltas follow only when the range is open-ended (no `to`).
+  socket.on('metrics_subscribe', async ({ xrId, from, to, resolution } = {}) => {
     if (!xrId) return;
-    socket.join(`metrics:${xrId}`);
-    socket.emit('metrics_snapshot', {
-      xrId,
-      telemetry: telemetryHist.get(xrId) || [],
-      quality: qualityHist.get(xrId) || [],
-    });
+    if (to == null || to === '') socket.join(`metrics:${xrId}`);
+    else socket.leave(`metrics:${xrId}`);
+    try {
+      const range = { from, to, resolution };
+      const [telemetry, quality] = await Promise.all([
+        metricsStore.query('telemetry', xrId, range),
+        metricsStore.query('quality', xrId, range),
+      ]);
+      socket.emit('metrics_snapshot', {
+        xrId,
+        from: telemetry.from,
+        to: telemetry.to,
+        resolution: telemetry.resolution,
+        telemetry: telemetry.samples,
+        quality: quality.samples,
+      });
+    } catch (e) {
+      if (!(e instanceof RangeError)) derr('[METRICS] snapshot failed:', e?.message || e);
+      socket.emit('metrics_snapshot', {
+        xrId,
+        error: e instanceof RangeError ? e.message : 'Could not load metrics history',
+        telemetry: [],
+        quality: [],
+      });
+    }
   });
 
   socket.on('metrics_unsubscribe', ({ xrId }) => {
@@ -1425,6 +2007,43 @@ io.on('connection', (socket) => {
     socket.leave(`metrics:${xrId}`);
   });
 
+  // -------- alert center (dashboards) --------
+  // Acknowledgements and mutes are broadcast so every open dashboard stays in sync.
+  socket.on('alerts_get', () => {
+    socket.emit('alerts_snapshot', {
+      active: alertEngine.listActive(),
+      recent: alertEngine.listRecent(),
+      mutes: alertEngine.listMutes(),
+    });
+  });
+
+  // Ack / mute / unmute change state for every dashboard, so they need the
+  // platform admin session; `by` is that admin, not anything in the payload
+  socket.on('alert_ack', async ({ id } = {}) => {
+    const by = await requireSocketAdmin(socket, 'ack');
+    if (!by) return;
+    const changes = id ? alertEngine.acknowledge(String(id), by) : null;
+    if (!changes) return socket.emit('alert_error', { action: 'ack', id: id || null, message: 'Alert not found' });
+    reportAlerts(changes);
+  });
+
+  socket.on('alert_mute', async ({ ruleId, xrId, durationMs } = {}) => {
+    const by = await requireSocketAdmin(socket, 'mute');
+    if (!by) return;
+    try {
+      const mute = alertEngine.mute(ruleId, xrId, durationMs, by);
+      dlog('[ALERTS] muted', mute);
+      io.emit('alert_mutes', { mutes: alertEngine.listMutes() });
+    } catch (e) {
+      socket.emit('alert_error', { action: 'mute', ruleId: ruleId || null, xrId: xrId || null, message: e.message });
+    }
+  });
+
+  socket.on('alert_unmute', async ({ ruleId, xrId } = {}) => {
+    if (!(await requireSocketAdmin(socket, 'unmute'))) return;
+    if (alertEngine.unmute(ruleId, xrId)) io.emit('alert_mutes', { mutes: alertEngine.listMutes() });
+  });
+
 
 
 
@@ -1479,22 +2098,22 @@ io.on('connection', (socket) => {
 
     const { type } = msg;
     dlog('📡 [EVENT] signal', { type, preview: safeDataPreview(msg) });
+    if (!ensureDeviceAuth(socket, 'signal', msg.from || msg.deviceId)) return;
 
     try {
       // 2) Intercept Android/Dock quality feed and **return** (don’t fall through)
       if (type === 'webrtc_quality_update') {
-        const deviceId = msg.deviceId;
-        const samples = Array.isArray(msg.samples) ? msg.samples : [];
-
-        if (deviceId && samples.length) {
+        const rec = ingestFromSocket('webrtc_quality_update', { xrId: msg.deviceId, samples: msg.samples }, telemetryIngest.ingestQuality);
+        if (rec) {
+          const { xrId: deviceId, samples } = rec;
           // Store to the existing per-device history so your detail modal works
           for (const s of samples) {
-            pushHist(qualityHist, deviceId, {
+            metricsStore.record('quality', deviceId, {
               ts: s.ts,
-              jitterMs: numOrNull(s.jitterMs),
-              rttMs: numOrNull(s.rttMs),
-              lossPct: numOrNull(s.lossPct),
-              bitrateKbps: numOrNull(s.bitrateKbps),
+              jitterMs: s.jitterMs,
+              rttMs: s.rttMs,
+              lossPct: s.lossPct,
+              bitrateKbps: s.bitrateKbps,
             });
           }
 
@@ -1512,6 +2131,7 @@ io.on('connection', (socket) => {
 
           // Broadcast to dashboards (powers the connection tiles)
           io.emit('webrtc_quality_update', { deviceId, samples });
+          for (const s of samples) checkAlerts('quality', deviceId, s);
         }
         return; // ✅ do not route as a regular signaling message
       }
@@ -1550,11 +2170,24 @@ io.on('connection', (socket) => {
     // Accept both `command` and `action`; keep original casing for compatibility
     const cmdRaw = (p.command != null ? p.command : p.action) || '';
     const cmd = String(cmdRaw);
-    const from = p.from;
+    // Older Docks send request_offer without `from`: it can only be the token's device
+    const from = p.from || socket.data?.authXrId;
     const to = p.to;
     const msg = p.message;
 
     dlog('🎮 [EVENT] control', { command: cmd, from, to, message: trimStr(msg || '') });
+    if (!ensureDeviceAuth(socket, 'control', from)) return;
+
+    // Note sessions: start_note opens a new encounter, scribe_flush makes sure one is open
+    if (cmd === 'start_note' || cmd === 'scribe_flush') {
+      const ctx = encounterContext(from, to, socket.data?.roomId);
+      if (ctx) {
+        (cmd === 'start_note'
+          ? encounterStore.startEncounter({ ...ctx, patientRef: p.patientRef })
+          : encounterStore.ensureOpenEncounter(ctx)
+        ).catch(e => dwarn(`[ENCOUNTERS] ${cmd} failed:`, e?.message || e));
+      }
+    }
 
     // Keep both keys so all clients see what they expect
     const payload = { command: cmd, action: cmd, from, message: msg };
@@ -1589,6 +2222,8 @@ io.on('connection', (socket) => {
       return dwarn('[message] JSON parse failed:', e.message);
     }
 
+    if (!ensureDeviceAuth(socket, 'message', data?.from)) return;
+
     const type = data?.type || 'message';
     const from = data?.from;
     const to = data?.to;
@@ -1617,13 +2252,43 @@ io.on('connection', (socket) => {
           dlog('[transcript] emitted signal "transcript_console" to room', socket.data.roomId);
         }
 
-        // Generate SOAP note if this transcript is final
-        if (out.final && out.text) {
+        // The cockpit regenerates its own note in merge mode; only record the transcript
+        const scribeXrId = out.final && (encounterContext(from, to, socket.data?.roomId)?.scribeXrId || to);
+        if (out.final && out.text && isMergeModeOn(scribeXrId)) {
+          dlog('[transcript] merge mode on for', scribeXrId, '- no automatic note');
+          recordEncounterTranscript(from, to, socket.data?.roomId, out);
+        } else if (out.final && out.text) {
+          // Generate SOAP note if this transcript is final
           (async () => {
+            const target = socket.data?.roomId || (to ? roomOf(to) : null);
+            const encounterIdP = recordEncounterTranscript(from, to, socket.data?.roomId, out);
             try {
-              const soapNote = await generateSoapNote(out.text);
+              let soapNote, medications, validation;
+              try {
+                ({ note: soapNote, medications, validation } = await generateSoapNote(out.text, {
+                  // Fill the cockpit section by section while the model is still writing
+                  onPartial: target && ((section, lines) => {
+                    io.to(target).emit('signal', { type: 'soap_note_partial', from, data: { section, lines } });
+                  }),
+                }));
+              } catch (e) {
+                // Tell the cockpit why, instead of showing a placeholder note
+                if (target) {
+                  io.to(target).emit('signal', {
+                    type: 'soap_note_error',
+                    from,
+                    data: e instanceof LlmError ? e.toJSON() : { code: 'unknown', message: e?.message || String(e) },
+                  });
+                }
+                return;
+              }
 
-              const target = socket.data?.roomId || (to ? roomOf(to) : null);
+              const encounterId = await encounterIdP;
+              if (encounterId) {
+                // Recorded before the cockpit hears about it, so its history panel already lists it
+                await encounterStore.addNoteVersion(encounterId, { note: soapNote, medications, source: 'generated' })
+                  .catch(e => dwarn('[ENCOUNTERS] note not recorded:', e?.message || e));
+              }
 
               // Send SOAP note back to console UI
               if (target) {
@@ -1631,16 +2296,15 @@ io.on('connection', (socket) => {
                   type: 'soap_note_console',
                   from,
                   data: soapNote,
+                  medications,
+                  validation,
+                  encounterId,
                 });
               }
               console.log('[SOAP_NOTE]', JSON.stringify(soapNote, null, 2));
 
               // Check Medication against dbo.DrugMaster(drug) and log availability
-              const { results } = await checkSoapMedicationAvailability(soapNote, {
-                schema: 'dbo',
-                table: 'DrugMaster',
-                nameCol: 'drug',
-              });
+              const { results } = await checkSoapMedicationAvailability(soapNote);
 
               // Emit availability to both Dock (target) and Scribe Cockpit
               if (target) {
@@ -1656,6 +2320,18 @@ io.on('connection', (socket) => {
                 from,
                 data: results,
               });
+
+              // Screen the medications against each other and reported allergies
+              const screen = await drugInteractions.checkSoapNote(soapNote);
+              console.log(`[DRUG_INTERACTIONS] ${screen.interactions.length} interaction(s), ` +
+                `${screen.allergyWarnings.length} allergy warning(s) for ${screen.medications.length} medication(s)`);
+              if (target) {
+                io.to(target).emit('signal', {
+                  type: 'drug_interaction_console',
+                  from,
+                  data: screen,
+                });
+              }
             } catch (e) {
               console.error('[SOAP/DRUG] failed:', e?.message || e);
             }
@@ -1682,11 +2358,46 @@ io.on('connection', (socket) => {
         xrId: from,
         timestamp,
       };
-      addToMessageHistory(msg);
+
+      // Persist under the pair conversation; room messages get their implicit recipient
+      const conversation = conversationOf(from, to, socket.data?.roomId);
+      const saved = addToMessageHistory({
+        ...msg,
+        to: to || partnerInConversation(conversation, from) || undefined,
+        conversation,
+      });
+      msg.id = saved.id;
+      if (data?.clientId) msg.clientId = data.clientId;
+
+      // Tell the sender which id the server assigned (clientId lets it match its local copy)
+      socket.emit('message_sent', {
+        id: saved.id,
+        clientId: data?.clientId ?? null,
+        to: saved.to ?? null,
+        timestamp,
+      });
 
       if (to) {
-        dlog('[message] direct to', to);
-        io.to(roomOf(to)).emit('message', msg);
+        isDeviceOnline(to).then((online) => {
+          if (online) {
+            dlog('[message] direct to', to);
+            io.to(roomOf(to)).emit('message', msg);
+            return;
+          }
+          const q = offlineQueue.enqueue(to, msg);
+          dlog('[message] recipient offline; queued for', to, { position: q.position, dropped: q.dropped });
+          socket.emit('message_queued', {
+            id: msg.id,
+            clientId: msg.clientId ?? null,
+            to,
+            position: q.position,
+            expiresAt: new Date(q.expiresAt).toISOString(),
+          });
+        }).catch((e) => {
+          // Neither delivered nor queued: the history row exists, so the sender can retry
+          dwarn('[message] delivery to', to, 'failed:', e?.message || e);
+          socket.emit('message_failed', { id: msg.id, clientId: msg.clientId ?? null, to, message: 'Message could not be delivered or queued' });
+        });
       } else {
         const roomId = socket.data?.roomId;
         if (roomId) {
@@ -1706,11 +2417,50 @@ io.on('connection', (socket) => {
 
 
 
+  // -------- message_ack / message_read (receipts) --------
+  // Recipient → server: { ids: [...] | id, from: <me>, to: <original sender> }
+  // Server → original sender: { ids, by, ts }
+  // `by` is the identified device, never the payload; only messages `to` sent
+  // to it are marked, at most messageStore.MAX_RECEIPT_IDS per receipt
+  function relayReceipt(event, status, payload) {
+    const p = (typeof payload === 'string') ? (() => { try { return JSON.parse(payload); } catch { return {}; } })() : (payload || {});
+    const by = socket.data?.xrId;
+    const ids = (Array.isArray(p.ids) ? p.ids : [p.id])
+      .filter(id => typeof id === 'string' && id)
+      .slice(0, messageStore.MAX_RECEIPT_IDS);
+    dlog(`[EVENT] ${event}`, { by, to: p.to, count: ids.length });
+
+    if (!ensureDeviceAuth(socket, event, by)) return;
+    if (!p.to || ids.length === 0) return;
+
+    messageStore.markStatus(ids, status, { recipient: by, sender: p.to })
+      .catch(e => dwarn(`[${event}] store update failed:`, e?.message || e));
+    io.to(roomOf(p.to)).emit(event, { ids, by, ts: Date.now() });
+  }
+
+  socket.on('message_ack', (payload) => relayReceipt('message_ack', 'delivered', payload));
+  socket.on('message_read', (payload) => relayReceipt('message_read', 'read', payload));
+
   // -------- clear-messages --------
-  socket.on('clear-messages', ({ by }) => {
-    dlog('[EVENT] clear-messages', { by });
-    const payload = { type: 'message-cleared', by, messageId: Date.now() };
-    io.emit('message-cleared', payload);
+  // Clears only the caller's conversation (with `peerId`, or its current pair room)
+  socket.on('clear-messages', async ({ by, peerId } = {}) => {
+    dlog('[EVENT] clear-messages', { by, peerId });
+    const me = socket.data?.xrId;
+    const conversation = (me && peerId) ? getRoomIdForPair(me, peerId) : conversationOf(null, null, socket.data?.roomId);
+    const payload = { type: 'message-cleared', by, messageId: Date.now(), conversation };
+
+    const members = pairMembers(conversation);
+    if (!members || !members.includes(me)) {
+      socket.emit('message-cleared', payload);
+      return;
+    }
+
+    try {
+      await messageStore.clearConversation(conversation);
+    } catch (e) {
+      dwarn('[clear-messages] store clear failed:', e?.message || e);
+    }
+    io.to(roomOf(members[0])).to(roomOf(members[1])).emit('message-cleared', payload);
   });
 
   // -------- clear_confirmation --------
@@ -1739,84 +2489,38 @@ io.on('connection', (socket) => {
     }
   });
 
-  // -------- battery (NEW) --------
-  socket.on('battery', ({ xrId, batteryPct, charging }) => {
-    try {
-      const id = xrId || socket.data?.xrId;
-      if (!id) return;
-      const pct = Math.max(0, Math.min(100, Number(batteryPct)));
-      const rec = { pct, charging: !!charging, ts: Date.now() };
-
-      batteryByDevice.set(id, rec);
-      io.emit('battery_update', { xrId: id, pct: rec.pct, charging: rec.charging, ts: rec.ts });
-      dlog('[battery] update', { id, pct: rec.pct, charging: rec.charging });
-    } catch (e) {
-      dwarn('[battery] bad payload:', e?.message || e);
-    }
+  // -------- battery / telemetry (validated + rate limited in services/telemetry-ingest.js) --------
+  // Rejected samples are answered with telemetry_error { event, code, message, errors?, retryAfterMs? }.
+  function ingestFromSocket(event, payload, ingestFn, opts = {}) {
+    const result = ingestFn(payload, {
+      authXrId: socket.data?.authXrId || null,
+      identifiedXrId: socket.data?.xrId || null,
+      requireAuth: DEVICE_AUTH_REQUIRED,
+      ...opts,
+    });
+    if (result.ok) return result.rec;
+    const { code, message, errors, retryAfterMs, xrId } = result;
+    if (code === 'rate_limited') dlog(`[${event}] rate limited`, xrId);
+    else dwarn(`[${event}] rejected (${code}):`, message);
+    socket.emit('telemetry_error', { event, code, message, errors, retryAfterMs });
+    return null;
+  }
+
+  socket.on('battery', (payload) => {
+    const rec = ingestFromSocket('battery', payload, telemetryIngest.ingestBattery);
+    if (!rec) return;
+    const { xrId, ...battery } = rec;
+    batteryByDevice.set(xrId, battery);
+    io.emit('battery_update', { xrId, pct: battery.pct, charging: battery.charging, ts: battery.ts });
+    checkAlerts('battery', xrId, battery);
+    dlog('[battery] update', { id: xrId, pct: battery.pct, charging: battery.charging });
   });
 
-  // -------- telemetry (NEW) --------
   socket.on('telemetry', (payload) => {
-    try {
-      const d = typeof payload === 'string' ? JSON.parse(payload) : (payload || {});
-      const xrId = d.xrId || socket.data?.xrId;
-      if (!xrId) return;
-
-      // keep ALL fields (network + system)
-      const rec = {
-        xrId,
-        connType: d.connType || 'none',
-
-        // network (existing)
-        wifiDbm: numOrNull(d.wifiDbm),
-        wifiMbps: numOrNull(d.wifiMbps),
-        wifiBars: numOrNull(d.wifiBars),
-        cellDbm: numOrNull(d.cellDbm),
-        cellBars: numOrNull(d.cellBars),
-        netDownMbps: numOrNull(d.netDownMbps),
-        netUpMbps: numOrNull(d.netUpMbps),
-
-        // 🔵 system (NEW)
-        cpuPct: numOrNull(d.cpuPct),
-        memUsedMb: numOrNull(d.memUsedMb),
-        memTotalMb: numOrNull(d.memTotalMb),
-        deviceTempC: numOrNull(d.deviceTempC),
-
-        ts: Date.now(),
-      };
-
-      // keep latest snapshot for device rows
-      telemetryByDevice.set(xrId, rec);
-
-      // time-series history (for modal charts)
-      pushHist(telemetryHist, xrId, {
-        ts: rec.ts,
-        connType: rec.connType,
-        wifiMbps: rec.wifiMbps,
-        netDownMbps: rec.netDownMbps,
-        netUpMbps: rec.netUpMbps,
-        batteryPct: batteryByDevice.get(xrId)?.pct ?? null,
-
-        // include system series
-        cpuPct: rec.cpuPct,
-        memUsedMb: rec.memUsedMb,
-        memTotalMb: rec.memTotalMb,
-        deviceTempC: rec.deviceTempC,
-      });
-
-      // live delta for open detail modal subscribers
-      io.to(`metrics:${xrId}`).emit('metrics_update', {
-        xrId,
-        telemetry: [telemetryHist.get(xrId).at(-1)]
-      });
-
-      // broadcast the latest snapshot to dashboards
-      io.emit('telemetry_update', rec);
-
-      dlog('[telemetry] update', rec);
-    } catch (e) {
-      dwarn('[telemetry] bad payload:', e?.message || e);
-    }
+    const rec = ingestFromSocket('telemetry', payload, telemetryIngest.ingestTelemetry, { defaultConnType: 'none' });
+    if (!rec) return;
+    publishTelemetry(rec);
+    dlog('[telemetry] update', rec);
   });
 
 
@@ -1825,27 +2529,16 @@ io.on('connection', (socket) => {
   socket.on('webrtc_quality', (q) => {
     dlog('[QUALITY] recv', q);
     try {
-      const xrId = (q && q.xrId) || socket.data?.xrId;
-      if (!xrId) return;
-
-      const snap = {
-        xrId,
-        ts: q.ts || Date.now(),
-        jitterMs: numOrNull(q.jitterMs),
-        lossPct: numOrNull(q.lossPct),
-        rttMs: numOrNull(q.rttMs),
-        fps: numOrNull(q.fps),
-        dropped: numOrNull(q.dropped),
-        nackCount: numOrNull(q.nackCount),
-        // optional if your Dock computes it and sends it:
-        bitrateKbps: numOrNull(q.bitrateKbps),
-      };
+      const rec = ingestFromSocket('webrtc_quality', q, telemetryIngest.ingestQuality);
+      if (!rec) return;
+      const { xrId, samples: [sample] } = rec;
+      const snap = { xrId, ...sample };
 
       // keep latest (powers center tiles)
       qualityByDevice.set(xrId, snap);
 
       // 🔵 store to history + stream to detail subscribers
-      pushHist(qualityHist, xrId, {
+      const histSample = metricsStore.record('quality', xrId, {
         ts: snap.ts,
         jitterMs: snap.jitterMs,
         rttMs: snap.rttMs,
@@ -1854,11 +2547,12 @@ io.on('connection', (socket) => {
       });
       io.to(`metrics:${xrId}`).emit('metrics_update', {
         xrId,
-        quality: [qualityHist.get(xrId).at(-1)]
+        quality: [histSample]
       });
 
       // existing broadcast (summary tiles)
       io.emit('webrtc_quality_update', Array.from(qualityByDevice.values()));
+      checkAlerts('quality', xrId, snap);
     } catch (e) {
       dwarn('[QUALITY] store/broadcast failed:', e?.message || e);
     }
@@ -1868,12 +2562,28 @@ io.on('connection', (socket) => {
 
 
   // -------- message_history (on demand) --------
-  socket.on('message_history', () => {
-    dlog('[EVENT] message_history request');
-    socket.emit('message_history', {
-      type: 'message_history',
-      messages: messageHistory.slice(-10),
-    });
+  // Optional paging: { before, limit, peerId } (before = ISO timestamp or epoch ms).
+  // Only the caller's own conversations are returned; peerId narrows to one pair.
+  socket.on('message_history', async (opts) => {
+    dlog('[EVENT] message_history request', opts);
+    const { before, limit, peerId } = (opts && typeof opts === 'object') ? opts : {};
+    const me = socket.data?.xrId;
+    try {
+      if (!me) {
+        socket.emit('message_history', { type: 'message_history', messages: [], hasMore: false, nextBefore: null });
+        return;
+      }
+      const page = await messageStore.getHistory({
+        before,
+        limit: limit ?? 10,
+        participant: me,
+        conversation: peerId ? getRoomIdForPair(me, peerId) : null,
+      });
+      socket.emit('message_history', { type: 'message_history', ...page });
+    } catch (e) {
+      dwarn('[message_history] failed:', e?.message || e);
+      socket.emit('message_history', { type: 'message_history', messages: [], hasMore: false, nextBefore: null });
+    }
   });
 
 
@@ -1912,6 +2622,13 @@ io.on('connection', (socket) => {
           desktopClients.delete(xrId);
           dlog('[disconnect] removed desktop client:', xrId);
         }
+
+        clearTimeout(offlineTimers.get(xrId));
+        offlineTimers.set(xrId, setTimeout(() => {
+          offlineTimers.delete(xrId);
+          if (clients.has(xrId)) return;
+          reportAlerts(alertEngine.raiseSystem('device-offline', xrId, { details: { reason } }));
+        }, ALERT_OFFLINE_GRACE_MS));
       }
 
       // Broadcast device list so UIs update without manual refresh
@@ -1967,7 +2684,8 @@ function shutdown() {
       await new Promise((resolve) => server.close(resolve));
       console.log('[SHUTDOWN] HTTP server closed');
 
-      // 3) close DB
+      // 3) write buffered metrics, then close DB
+      await metricsStore.flush({ final: true }).catch(e => dwarn('[SHUTDOWN] metrics flush error:', e?.message || e));
       try {
         await closeDatabase();
       } catch (e) {
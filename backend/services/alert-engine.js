@@ -0,0 +1,278 @@
+// ========================================
+// Device Alerting (threshold rules)
+// ========================================
+// Evaluates every battery / telemetry / webrtc_quality sample against the rules
+// in ALERT_RULES_FILE (default backend/data/alert-rules.json):
+//
+//   { id, source, metric, comparator, threshold, durationMs, severity, message }
+//
+//   source      battery | telemetry | quality (which event carries the metric)
+//   comparator  < <= > >= == !=
+//   durationMs  the condition must hold this long (across samples) before raising
+//   severity    info | warning | critical
+//
+// An alert is raised once per rule and device and cleared by the first sample
+// where the condition no longer holds. Samples without the metric are ignored.
+// Connection problems are raised by server.js as system alerts (SYSTEM_RULES):
+// device-offline clears when the device identifies again, duplicate-id when
+// someone acknowledges it.
+//
+// Dashboards can acknowledge an alert or mute a rule for one device for a
+// while; muted alerts are still listed but not sent to the webhook.
+// State changes are returned to the caller (server.js emits alert_raised /
+// alert_cleared / alert_updated) and, when ALERT_WEBHOOK_URL is set, raises
+// and clears are POSTed there as { event, alert }. State is per server
+// instance and lost on restart.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const RULES_FILE = process.env.ALERT_RULES_FILE || path.join(__dirname, '..', 'data', 'alert-rules.json');
+const WEBHOOK_URL = (process.env.ALERT_WEBHOOK_URL || '').trim() || null;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 5000;
+const RECENT_MAX = 200;
+const MAX_MUTE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const SOURCES = ['battery', 'telemetry', 'quality'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const COMPARATORS = {
+  '<': (v, t) => v < t,
+  '<=': (v, t) => v <= t,
+  '>': (v, t) => v > t,
+  '>=': (v, t) => v >= t,
+  '==': (v, t) => v === t,
+  '!=': (v, t) => v !== t,
+};
+
+// Raised by server.js rather than by samples; autoClear: false stays until acknowledged
+const SYSTEM_RULES = {
+  'device-offline': { source: 'system', severity: 'warning', message: 'Device went offline', autoClear: true },
+  'duplicate-id': { source: 'system', severity: 'warning', message: 'Connection rejected: XR id already in use', autoClear: false },
+};
+
+let rules = null;                 // validated rules, grouped by source
+const pending = new Map();        // "ruleId|xrId" → ts the condition started holding
+const active = new Map();         // "ruleId|xrId" → raised alert
+let recent = [];                  // cleared alerts, newest first (RECENT_MAX)
+const mutes = new Map();          // "ruleId|xrId" → { ruleId, xrId, until, by, at }
+
+// Reason a rule cannot be used, or null
+function ruleProblem(r) {
+  if (!r || typeof r !== 'object') return 'not an object';
+  if (!r.id || typeof r.id !== 'string') return 'missing "id"';
+  if (!SOURCES.includes(r.source)) return `"source" must be one of ${SOURCES.join(', ')}`;
+  if (!r.metric || typeof r.metric !== 'string') return 'missing "metric"';
+  if (!COMPARATORS[r.comparator]) return `"comparator" must be one of ${Object.keys(COMPARATORS).join(' ')}`;
+  if (!Number.isFinite(r.threshold)) return '"threshold" must be a number';
+  if (r.durationMs != null && !(Number.isFinite(r.durationMs) && r.durationMs >= 0)) return '"durationMs" must be a non-negative number';
+  if (r.severity != null && !SEVERITIES.includes(r.severity)) return `"severity" must be one of ${SEVERITIES.join(', ')}`;
+  return null;
+}
+
+function loadRules() {
+  if (rules) return rules;
+  let raw = {};
+  try {
+    raw = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+  } catch (e) {
+    console.warn(`[ALERTS] Could not load ${RULES_FILE}; alerting disabled:`, e?.message || e);
+  }
+  const seen = new Set();
+  const valid = [];
+  for (const r of Array.isArray(raw.rules) ? raw.rules : []) {
+    const problem = ruleProblem(r) || (seen.has(r.id) ? `duplicate id "${r.id}"` : null);
+    if (problem) {
+      console.warn(`[ALERTS] Skipping rule ${r?.id ? `"${r.id}"` : '(no id)'}: ${problem}`);
+      continue;
+    }
+    seen.add(r.id);
+    valid.push({ durationMs: 0, severity: 'warning', message: `${r.metric} ${r.comparator} ${r.threshold}`, ...r });
+  }
+  rules = Object.fromEntries(SOURCES.map(s => [s, valid.filter(r => r.source === s)]));
+  console.log(`[ALERTS] Loaded ${valid.length} rule(s)${WEBHOOK_URL ? '; webhook enabled' : ''}`);
+  return rules;
+}
+
+function muteOf(ruleId, xrId, now = Date.now()) {
+  const key = `${ruleId}|${xrId}`;
+  const m = mutes.get(key);
+  if (m && m.until <= now) mutes.delete(key);
+  return m && m.until > now ? m : null;
+}
+
+function notifyWebhook(event, alert) {
+  if (!WEBHOOK_URL || muteOf(alert.ruleId, alert.xrId)) return;
+  axios.post(WEBHOOK_URL, { event, alert }, { timeout: WEBHOOK_TIMEOUT_MS })
+    .catch(e => console.warn(`[ALERTS] Webhook ${event} for ${alert.ruleId}/${alert.xrId} failed:`, e?.message || e));
+}
+
+/**
+ * Check one sample against the rules for its source.
+ * @param {'battery'|'telemetry'|'quality'} source
+ * @param {string} xrId
+ * @param {object} sample  flat numeric fields (e.g. { pct } or { lossPct, rttMs })
+ * @param {number} [now]   epoch ms; durations are measured in server time
+ * @returns {Array<{ type: 'raised'|'cleared', alert: object }>} state changes, in rule order
+ */
+function evaluate(source, xrId, sample, now = Date.now()) {
+  const list = loadRules()[source];
+  if (!list || !xrId || !sample) return [];
+  const changes = [];
+
+  for (const rule of list) {
+    const value = sample[rule.metric];
+    if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+    const key = `${rule.id}|${xrId}`;
+
+    if (COMPARATORS[rule.comparator](value, rule.threshold)) {
+      if (!pending.has(key)) pending.set(key, now);
+      const current = active.get(key);
+      if (current) {
+        current.value = value;
+        current.lastSeenAt = now;
+        continue;
+      }
+      if (now - pending.get(key) < rule.durationMs) continue;
+      changes.push(raiseAlert(key, {
+        ruleId: rule.id,
+        xrId: String(xrId),
+        source,
+        metric: rule.metric,
+        comparator: rule.comparator,
+        threshold: rule.threshold,
+        severity: rule.severity,
+        message: rule.message,
+        value,
+        since: pending.get(key),
+      }, now));
+    } else {
+      pending.delete(key);
+      if (active.has(key)) changes.push(clearAlert(key, now, { value }));
+    }
+  }
+  return changes;
+}
+
+function raiseAlert(key, fields, now) {
+  const alert = { id: crypto.randomUUID(), ...fields, raisedAt: now, lastSeenAt: now, acknowledgedAt: null, acknowledgedBy: null };
+  active.set(key, alert);
+  notifyWebhook('alert_raised', alert);
+  return { type: 'raised', alert };
+}
+
+function clearAlert(key, now, extra = {}) {
+  const alert = { ...active.get(key), ...extra, clearedAt: now };
+  active.delete(key);
+  recent = [alert, ...recent].slice(0, RECENT_MAX);
+  notifyWebhook('alert_cleared', alert);
+  return { type: 'cleared', alert };
+}
+
+/**
+ * Raise a system alert (SYSTEM_RULES). Raising one that is already active
+ * bumps its `count` instead.
+ * @param {'device-offline'|'duplicate-id'} ruleId
+ * @param {string} xrId
+ * @param {{ message?: string, details?: object }} [info]
+ * @returns {Array<{ type: 'raised'|'updated', alert: object }>}
+ */
+function raiseSystem(ruleId, xrId, info = {}, now = Date.now()) {
+  const rule = SYSTEM_RULES[ruleId];
+  if (!rule || !xrId) return [];
+  const key = `${ruleId}|${xrId}`;
+  const current = active.get(key);
+  if (current) {
+    current.count = (current.count || 1) + 1;
+    current.lastSeenAt = now;
+    if (info.details) current.details = info.details;
+    return [{ type: 'updated', alert: current }];
+  }
+  return [raiseAlert(key, {
+    ruleId,
+    xrId: String(xrId),
+    source: rule.source,
+    severity: rule.severity,
+    message: info.message || rule.message,
+    details: info.details || null,
+    count: 1,
+    since: now,
+  }, now)];
+}
+
+/** Clear an active system alert (e.g. device-offline when the device is back). */
+function clearSystem(ruleId, xrId, now = Date.now()) {
+  const key = `${ruleId}|${xrId}`;
+  return active.has(key) ? [clearAlert(key, now)] : [];
+}
+
+/**
+ * Mark an alert (active or recent) as seen. Acknowledging a system alert that
+ * does not clear by itself clears it.
+ * @returns {Array<{ type: 'updated'|'cleared', alert: object }>|null} null when the id is unknown
+ */
+function acknowledge(id, by = null, now = Date.now()) {
+  const stamp = (a) => Object.assign(a, { acknowledgedAt: a.acknowledgedAt || now, acknowledgedBy: a.acknowledgedAt ? a.acknowledgedBy : by });
+  for (const [key, a] of active) {
+    if (a.id !== id) continue;
+    stamp(a);
+    if (SYSTEM_RULES[a.ruleId]?.autoClear === false) return [clearAlert(key, now)];
+    return [{ type: 'updated', alert: a }];
+  }
+  const past = recent.find(a => a.id === id);
+  return past ? [{ type: 'updated', alert: stamp(past) }] : null;
+}
+
+/**
+ * Mute one rule for one device until now + durationMs (capped at 7 days).
+ * @returns {{ ruleId: string, xrId: string, until: number, by: string|null, at: number }}
+ */
+function mute(ruleId, xrId, durationMs, by = null, now = Date.now()) {
+  const ms = Math.min(Math.max(Number(durationMs) || 0, 0), MAX_MUTE_MS);
+  if (!ruleId || !xrId || !ms) throw new RangeError('ruleId, xrId and a positive durationMs are required');
+  const m = { ruleId: String(ruleId), xrId: String(xrId), until: now + ms, by, at: now };
+  mutes.set(`${m.ruleId}|${m.xrId}`, m);
+  return m;
+}
+
+function unmute(ruleId, xrId) {
+  return mutes.delete(`${ruleId}|${xrId}`);
+}
+
+/** Mutes still in effect. */
+function listMutes(now = Date.now()) {
+  return Array.from(mutes.values()).filter(m => muteOf(m.ruleId, m.xrId, now));
+}
+
+/** Alerts currently raised, newest first (optionally for one device). */
+function listActive(xrId = null) {
+  return Array.from(active.values())
+    .filter(a => !xrId || a.xrId === xrId)
+    .sort((a, b) => b.raisedAt - a.raisedAt);
+}
+
+/** Recently cleared alerts, newest first. */
+function listRecent(xrId = null) {
+  return recent.filter(a => !xrId || a.xrId === xrId);
+}
+
+/** The rules in effect (after validation), then the system rules. */
+function listRules() {
+  return SOURCES.flatMap(s => loadRules()[s])
+    .concat(Object.entries(SYSTEM_RULES).map(([id, r]) => ({ id, ...r })));
+}
+
+module.exports = {
+  SOURCES,
+  evaluate,
+  raiseSystem,
+  clearSystem,
+  acknowledge,
+  mute,
+  unmute,
+  listActive,
+  listRecent,
+  listMutes,
+  listRules,
+};
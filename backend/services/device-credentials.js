@@ -0,0 +1,215 @@
+// ========================================
+// Device Credentials
+// ========================================
+// Per-device secrets issued from /platform. Devices present { xrId, token }
+// in the Socket.IO handshake `auth`; only a SHA-256 of each token is stored
+// in [dbo].[device_credentials], so a token is shown exactly once at issue.
+//
+// Without a database, DEVICE_TOKENS from env ("XR-1234:secret,...") is used.
+
+const crypto = require('crypto');
+const { Sequelize } = require('sequelize');
+const { sequelize } = require('../database/database-config');
+
+const SCHEMA = 'dbo';
+const TABLE = 'device_credentials';
+const CACHE_TTL_MS = Number(process.env.DEVICE_CREDENTIALS_CACHE_TTL_MS) || 60 * 1000;
+
+let cache = null;     // { byHash: Map<hash, credential>, source: 'db' | 'env', loadedAt }
+let loading = null;
+let tableReady = false;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function credentialError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseEnvTokens() {
+  return String(process.env.DEVICE_TOKENS || '')
+    .split(/[,\s]+/)
+    .map(s => {
+      const i = s.indexOf(':');
+      return i > 0 ? [s.slice(0, i).trim(), s.slice(i + 1).trim()] : [];
+    })
+    .filter(([xrId, token]) => xrId && token)
+    .map(([xrId, token], i) => ({
+      id: `env:${i + 1}`,
+      xrId,
+      tokenHash: hashToken(token),
+      label: 'env',
+      createdAt: null,
+      lastUsedAt: null,
+      revokedAt: null,
+    }));
+}
+
+function rowToCredential(row) {
+  return {
+    id: row.id,
+    xrId: row.xr_id,
+    tokenHash: row.token_hash,
+    label: row.label || null,
+    createdAt: row.created_at || null,
+    lastUsedAt: row.last_used_at || null,
+    revokedAt: row.revoked_at || null,
+  };
+}
+
+// Public shape: never leak the hash
+function toPublic({ tokenHash, ...rest }) {
+  return rest;
+}
+
+async function ensureTable() {
+  if (tableReady) return;
+
+  await sequelize.query(`
+    IF OBJECT_ID(N'[${SCHEMA}].[${TABLE}]', N'U') IS NULL
+    CREATE TABLE [${SCHEMA}].[${TABLE}] (
+      id INT IDENTITY(1,1) PRIMARY KEY,
+      xr_id NVARCHAR(64) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      label NVARCHAR(128) NULL,
+      created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+      last_used_at DATETIME2 NULL,
+      revoked_at DATETIME2 NULL
+    )
+  `);
+
+  tableReady = true;
+}
+
+// force: after a write, a load already in flight may have read the table
+// before it, so wait for that one and start a fresh load
+async function refresh({ force = false } = {}) {
+  if (loading && force) await loading.catch(() => {});
+  if (loading) return loading;
+
+  loading = (async () => {
+    let list;
+    let source = 'db';
+    try {
+      await ensureTable();
+      const rows = await sequelize.query(
+        `SELECT id, xr_id, token_hash, label, created_at, last_used_at, revoked_at
+         FROM [${SCHEMA}].[${TABLE}]
+         ORDER BY id`,
+        { type: Sequelize.QueryTypes.SELECT }
+      );
+      list = rows.map(rowToCredential);
+    } catch (e) {
+      console.warn('[DEVICE_AUTH] DB load failed; using DEVICE_TOKENS:', e?.message || e);
+      list = parseEnvTokens();
+      source = 'env';
+    }
+
+    const byHash = new Map();
+    for (const c of list) byHash.set(c.tokenHash, c);
+    cache = { byHash, source, loadedAt: Date.now() };
+    return cache;
+  })();
+
+  try {
+    return await loading;
+  } finally {
+    loading = null;
+  }
+}
+
+async function getCache() {
+  if (!cache) return refresh();
+  if (Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    refresh().catch(() => {});
+  }
+  return cache;
+}
+
+/**
+ * Check a handshake credential.
+ * @returns {Promise<{ id: number|string, xrId: string } | null>}
+ */
+async function verifyDeviceToken(xrId, token) {
+  if (!xrId || !token) return null;
+
+  const hash = hashToken(token);
+  let c = await getCache();
+  // A token issued on another instance may not be in our cache yet
+  if (!c.byHash.has(hash) && c.source === 'db' && Date.now() - c.loadedAt > 5000) {
+    c = await refresh();
+  }
+
+  const cred = c.byHash.get(hash);
+  if (!cred || cred.revokedAt || cred.xrId !== xrId) return null;
+
+  if (c.source === 'db') {
+    sequelize.query(
+      `UPDATE [${SCHEMA}].[${TABLE}] SET last_used_at = SYSUTCDATETIME() WHERE id = :id`,
+      { replacements: { id: cred.id }, type: Sequelize.QueryTypes.UPDATE }
+    ).catch(() => {});
+  }
+
+  return { id: cred.id, xrId: cred.xrId };
+}
+
+async function listCredentials() {
+  const c = await getCache();
+  return { source: c.source, credentials: Array.from(c.byHash.values()).map(toPublic) };
+}
+
+async function issueCredential(xrId, { label = null } = {}) {
+  const id = String(xrId || '').trim();
+  if (!id) throw credentialError(400, 'xrId is required');
+
+  const c = await getCache();
+  if (c.source !== 'db') {
+    throw credentialError(503, 'Database unavailable; cannot issue device tokens');
+  }
+
+  const token = `xrd_${crypto.randomBytes(24).toString('base64url')}`;
+  const rows = await sequelize.query(
+    `INSERT INTO [${SCHEMA}].[${TABLE}] (xr_id, token_hash, label)
+     OUTPUT INSERTED.id, INSERTED.xr_id, INSERTED.token_hash, INSERTED.label,
+            INSERTED.created_at, INSERTED.last_used_at, INSERTED.revoked_at
+     VALUES (:xrId, :tokenHash, :label)`,
+    {
+      replacements: { xrId: id, tokenHash: hashToken(token), label: label || null },
+      type: Sequelize.QueryTypes.SELECT,
+    }
+  );
+
+  await refresh({ force: true });
+  return { credential: toPublic(rowToCredential(rows[0])), token };
+}
+
+async function revokeCredential(credentialId) {
+  const c = await getCache();
+  if (c.source !== 'db') {
+    throw credentialError(503, 'Database unavailable; cannot revoke device tokens');
+  }
+
+  const rows = await sequelize.query(
+    `UPDATE [${SCHEMA}].[${TABLE}]
+     SET revoked_at = SYSUTCDATETIME()
+     OUTPUT INSERTED.id, INSERTED.xr_id, INSERTED.token_hash, INSERTED.label,
+            INSERTED.created_at, INSERTED.last_used_at, INSERTED.revoked_at
+     WHERE id = :id AND revoked_at IS NULL`,
+    { replacements: { id: credentialId }, type: Sequelize.QueryTypes.SELECT }
+  );
+  if (!rows[0]) throw credentialError(404, 'Credential not found or already revoked');
+
+  await refresh({ force: true });
+  return toPublic(rowToCredential(rows[0]));
+}
+
+module.exports = {
+  refresh,
+  verifyDeviceToken,
+  listCredentials,
+  issueCredential,
+  revokeCredential,
+};
@@ -0,0 +1,175 @@
+// ========================================
+// Drug Interaction & Allergy Check
+// ========================================
+// Screens the medications in a generated SOAP note against each other and
+// against allergies mentioned in Subjective / History of Present Illness,
+// using the local dataset at DRUG_INTERACTIONS_FILE
+// (default backend/data/drug-interactions.json):
+//
+//   classes       { <class>: [generic, ...] }
+//   interactions  [{ a, b, severity, description }]    a/b: generic or "class:<class>"
+//   allergies     [{ allergens: [...], drugs, severity, description }]
+//
+// Brand names are resolved through the synonym table first, so "Advil" is
+// screened as ibuprofen.
+
+const fs = require('fs');
+const path = require('path');
+const { resolveSynonym } = require('./drug-synonyms');
+const { parseMedicationLine } = require('./medication-parser');
+
+const DATA_FILE = process.env.DRUG_INTERACTIONS_FILE || path.join(__dirname, '..', 'data', 'drug-interactions.json');
+const SEVERITY_RANK = { major: 3, moderate: 2, minor: 1 };
+const ALLERGY_SECTIONS = ['Subjective', 'History of Present Illness'];
+
+let dataset = null;   // { classes: Map<class, string[]>, interactions, allergies }
+
+function lowerWords(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Whole-word containment ("metformin" matches "metformin hydrochloride")
+function mentions(haystack, term) {
+  const h = ` ${lowerWords(haystack)} `;
+  const t = lowerWords(term);
+  return !!t && h.includes(` ${t} `);
+}
+
+function loadDataset() {
+  if (dataset) return dataset;
+  let raw = {};
+  try {
+    raw = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (e) {
+    console.warn(`[DRUG_INTERACTIONS] Could not load ${DATA_FILE}; interaction checks disabled:`, e?.message || e);
+  }
+  dataset = {
+    classes: new Map(Object.entries(raw.classes || {}).map(([k, v]) => [k, (v || []).map(lowerWords)])),
+    interactions: Array.isArray(raw.interactions) ? raw.interactions : [],
+    allergies: Array.isArray(raw.allergies) ? raw.allergies : [],
+  };
+  console.log(`[DRUG_INTERACTIONS] Loaded ${dataset.interactions.length} interaction rule(s) and ${dataset.allergies.length} allergy rule(s)`);
+  return dataset;
+}
+
+// "class:nsaid" / "warfarin" / [..] → list of generic terms
+function expandTerms(spec) {
+  const { classes } = loadDataset();
+  return [].concat(spec || []).flatMap((s) => {
+    const m = /^class:(.+)$/.exec(String(s));
+    return m ? classes.get(m[1]) || [] : [lowerWords(s)];
+  });
+}
+
+function medMatches(med, spec) {
+  return expandTerms(spec).some(t => med.names.some(n => mentions(n, t)));
+}
+
+/**
+ * Allergies mentioned in free text.
+ * @returns {{ allergies: string[], noKnownAllergies: boolean }}
+ */
+function extractAllergies(lines) {
+  const text = [].concat(lines || []).map(String).join('\n');
+  const noKnownAllergies =
+    /\b(?:nkda|nka|no known (?:drug )?allergies|(?:denies|no) (?:any )?(?:known )?(?:drug )?allergies)\b/i.test(text);
+
+  const found = new Set();
+  const add = (s) => {
+    const a = lowerWords(String(s).replace(/\(.*?\)/g, ''))
+      .replace(/^(?:a|an|the|to|drug|drugs|medication|known)\s+/, '')
+      .trim();
+    if (a && a.length <= 40 && a.split(' ').length <= 4 && !/^(?:no|none|nkda|unknown)$/.test(a)) found.add(a);
+  };
+
+  // "allergic to penicillin and sulfa", "allergies: codeine, latex"
+  for (const m of text.matchAll(/\ballerg(?:y|ies|ic)\s*(?:to|:|-)\s*([^.;\n]+)/gi)) {
+    m[1].split(/,|\/|\band\b|\bor\b/i).forEach(add);
+  }
+  // "penicillin allergy"
+  for (const m of text.matchAll(/\b([a-z][a-z-]+)\s+allerg(?:y|ies)\b/gi)) {
+    if (!/^(?:no|known|drug|food|seasonal|environmental|any|denies|reports?|of)$/i.test(m[1])) add(m[1]);
+  }
+
+  return { allergies: Array.from(found), noKnownAllergies: noKnownAllergies && found.size === 0 };
+}
+
+async function describeMedication(line) {
+  const parsed = parseMedicationLine(line);
+  const name = parsed?.name || String(line).trim();
+  const syn = await resolveSynonym(name).catch(() => null);
+  return { line: String(line).trim(), name, generic: syn?.generic || null, names: [name, syn?.generic].filter(Boolean) };
+}
+
+function bySeverity(a, b) {
+  return (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0);
+}
+
+/**
+ * Screen Medication lines against each other and the listed allergies.
+ * @param {string[]} medicationLines
+ * @param {string[]} allergies  lower-case allergen names
+ * @returns {Promise<{ medications: Array<{ line, name, generic }>, interactions: Array<{ medications: string[], severity, description }>, allergyWarnings: Array<{ medication: string, allergen: string, severity, description }> }>}
+ */
+async function checkInteractions(medicationLines, allergies = []) {
+  const data = loadDataset();
+  const meds = [];
+  for (const line of medicationLines) {
+    if (String(line || '').trim()) meds.push(await describeMedication(line));
+  }
+
+  const interactions = [];
+  const seen = new Set();
+  for (let i = 0; i < meds.length; i++) {
+    for (let j = i + 1; j < meds.length; j++) {
+      const [x, y] = [meds[i], meds[j]];
+      for (const rule of data.interactions) {
+        const hit = (medMatches(x, rule.a) && medMatches(y, rule.b)) || (medMatches(x, rule.b) && medMatches(y, rule.a));
+        const key = `${i}|${j}|${rule.description}`;
+        if (!hit || seen.has(key)) continue;
+        seen.add(key);
+        interactions.push({ medications: [x.line, y.line], severity: rule.severity, description: rule.description });
+      }
+    }
+  }
+
+  const allergyWarnings = [];
+  for (const med of meds) {
+    for (const allergen of allergies) {
+      // The allergen itself is on the list
+      if (med.names.some(n => mentions(n, allergen) || mentions(allergen, n))) {
+        allergyWarnings.push({ medication: med.line, allergen, severity: 'major', description: `Patient reports an allergy to ${allergen}.` });
+        continue;
+      }
+      // Otherwise the first (most specific) class rule that covers it
+      const rule = data.allergies.find(r => (r.allergens || []).some(a => mentions(allergen, a)) && medMatches(med, r.drugs));
+      if (rule) allergyWarnings.push({ medication: med.line, allergen, severity: rule.severity, description: rule.description });
+    }
+  }
+
+  interactions.sort(bySeverity);
+  allergyWarnings.sort(bySeverity);
+  return {
+    medications: meds.map(({ line, name, generic }) => ({ line, name, generic })),
+    interactions,
+    allergyWarnings,
+  };
+}
+
+/**
+ * Interaction + allergy screen for a canonical SOAP note.
+ * @returns {Promise<{ medications, interactions, allergyWarnings, allergies: string[], noKnownAllergies: boolean, checkedAt: string }>}
+ */
+async function checkSoapNote(soapNote) {
+  const meds = (Array.isArray(soapNote?.Medication) ? soapNote.Medication : [])
+    .filter(l => typeof l === 'string' && parseMedicationLine(l));
+  const { allergies, noKnownAllergies } = extractAllergies(ALLERGY_SECTIONS.flatMap(s => soapNote?.[s] || []));
+  const result = await checkInteractions(meds, allergies);
+  return { ...result, allergies, noKnownAllergies, checkedAt: new Date().toISOString() };
+}
+
+module.exports = {
+  extractAllergies,
+  checkInteractions,
+  checkSoapNote,
+};
@@ -0,0 +1,340 @@
+// ========================================
+// Drug Lookup
+// ========================================
+// Single place that decides whether a medication name is in the formulary
+// ([dbo].[DrugMaster], active rows only). Used by /api/medications/availability
+// and by the post-SOAP drug check.
+//
+// The active drug names are held in an in-memory index loaded at startup and
+// refreshed every DRUG_INDEX_REFRESH_MS, so a check is a map lookup / scan in
+// memory instead of a normalising table scan per medication.
+//
+// When DrugMaster has strength / unit / dosage-form columns, each name keeps
+// its stocked variants and a line's strength and form are compared against
+// them: "available", "availableOtherStrengths" (the drug is stocked, but not
+// as dictated) or "notFound".
+//
+// Brand names are resolved to their generic first (see drug-synonyms.js), and
+// names that still do not match get ranked "Did you mean…" suggestions from
+// edit distance and Metaphone similarity (see fuzzy-match.js).
+
+const { Sequelize } = require('sequelize');
+const { sequelize } = require('../database/database-config');
+const { normalizeTerm, levenshtein, editSimilarity, metaphone, phoneticKey } = require('./fuzzy-match');
+const { resolveSynonym } = require('./drug-synonyms');
+const { parseMedicationLine, parseStrength, parseDosageForm } = require('./medication-parser');
+
+const SCHEMA = 'dbo';
+const TABLE = 'DrugMaster';
+const NAME_COL = 'drug';
+// Optional DrugMaster columns; the first one present (case-insensitive) is used
+const VARIANT_COLUMNS = {
+  strength: ['strength', 'drug_strength', 'dose'],
+  unit: ['unit', 'strength_unit', 'uom'],
+  form: ['dosage_form', 'dosageform', 'form', 'drug_form'],
+};
+const REFRESH_MS = Number(process.env.DRUG_INDEX_REFRESH_MS) || 10 * 60 * 1000;
+const SUGGEST_LIMIT = Number(process.env.DRUG_SUGGEST_LIMIT) || 3;
+const SUGGEST_MAX_LIMIT = 10;
+const SUGGEST_MIN_SCORE = Number(process.env.DRUG_SUGGEST_MIN_SCORE) || 0.7;
+
+let index = null;     // { entries: [{ name, lower, norm, firstNorm, phon, firstPhon, variants }], byNorm, byLower, columns, loadedAt }
+let loading = null;
+let timer = null;
+
+// Reduce a Medication line to the drug name: no bullets, form, route, strength or directions
+function extractDrugQuery(raw) {
+  if (!raw) return null;
+  const s = String(raw)
+    .replace(/^[-•]\s*/u, '')
+    .replace(/\(.*?\)/g, '')
+    .replace(/\b(tablet|tablets|tab|tabs|capsule|capsules|cap|caps|syrup|susp(?:ension)?|inj(?:ection)?|solution|cream|ointment|gel|inhaler|drops?|patch|suppository)\b/gi, '')
+    .replace(/\b(po|od|bd|tid|qid|prn|q\d+h|iv|im|sc|sl)\b/gi, '')
+    .replace(/\b\d+(\.\d+)?\s*(mg|mcg|g|kg|ml|l|iu|units|%)\b/gi, '')
+    .split(/\b\d/)[0]
+    .replace(/[.,;:/]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return s || null;
+}
+
+// Mass units compare across g / mg / mcg ("0.5 g" = "500 mg")
+const MG_FACTOR = { g: 1000, mg: 1, mcg: 0.001 };
+
+function strengthKey(v) {
+  if (!v?.strength) return null;
+  const unit = String(v.unit || '').toLowerCase();
+  const n = Number(v.strength);
+  if (Number.isFinite(n) && MG_FACTOR[unit]) return `${+(n * MG_FACTOR[unit]).toFixed(6)}mg`;
+  return `${v.strength}${unit}`;
+}
+
+function variantLabel(v) {
+  const strength = v.strength ? `${v.strength}${v.unit === '%' || !v.unit ? '' : ' '}${v.unit || ''}` : '';
+  return [strength, v.form].filter(Boolean).join(' ');
+}
+
+// One DrugMaster row → { strength, unit, form } (null when it carries none)
+function rowVariant(r) {
+  const text = [r.strength, r.unit].filter(x => x != null && String(x).trim()).join(' ');
+  const parsed = text ? parseStrength(text) : null;
+  const strength = parsed?.strength || (r.strength != null && String(r.strength).trim()) || null;
+  const unit = parsed?.unit || (r.unit != null && String(r.unit).trim()) || null;
+  const form = r.form ? parseDosageForm(r.form) || String(r.form).trim().toLowerCase() : null;
+  return strength || form ? { strength, unit, form } : null;
+}
+
+function buildIndex(rows, columns = {}) {
+  const byName = new Map();
+  for (const r of rows) {
+    const name = String(r.name).trim();
+    if (!name) continue;
+    if (!byName.has(name)) byName.set(name, []);
+    const v = rowVariant(r);
+    const variants = byName.get(name);
+    if (v && !variants.some(x => variantLabel(x) === variantLabel(v))) variants.push(v);
+  }
+
+  const entries = [];
+  const byNorm = new Map();
+  const byLower = new Map();
+  for (const name of Array.from(byName.keys()).sort((a, b) => a.localeCompare(b))) {
+    const first = name.split(/\s+/)[0];
+    const e = {
+      name,
+      lower: name.toLowerCase(),
+      norm: normalizeTerm(name),
+      // Suggestions also compare against the first word ("Metformin" in "Metformin Hydrochloride")
+      firstNorm: normalizeTerm(first),
+      phon: phoneticKey(name),
+      firstPhon: metaphone(first),
+      variants: byName.get(name),
+    };
+    entries.push(e);
+    if (!byNorm.has(e.norm)) byNorm.set(e.norm, e);
+    if (!byLower.has(e.lower)) byLower.set(e.lower, e);
+  }
+  return { entries, byNorm, byLower, columns, loadedAt: Date.now() };
+}
+
+// Which optional variant columns this DrugMaster has: { strength?: 'col', unit?: 'col', form?: 'col' }
+async function detectVariantColumns() {
+  const rows = await sequelize.query(
+    `SELECT COLUMN_NAME AS name FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = :schema AND TABLE_NAME = :table`,
+    { replacements: { schema: SCHEMA, table: TABLE }, type: Sequelize.QueryTypes.SELECT }
+  );
+  const present = new Map(rows.map(r => [String(r.name).toLowerCase(), r.name]));
+  const columns = {};
+  for (const [field, candidates] of Object.entries(VARIANT_COLUMNS)) {
+    const hit = candidates.find(c => present.has(c));
+    if (hit) columns[field] = present.get(hit);
+  }
+  return columns;
+}
+
+async function refresh() {
+  if (loading) return loading;
+
+  loading = (async () => {
+    const columns = await detectVariantColumns();
+    const extra = Object.entries(columns).map(([field, col]) => `, [${col}] AS ${field}`).join('');
+    const rows = await sequelize.query(
+      `SELECT DISTINCT [${NAME_COL}] AS name${extra}
+       FROM [${SCHEMA}].[${TABLE}]
+       WHERE status = 1 AND [${NAME_COL}] IS NOT NULL`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    index = buildIndex(rows, columns);
+    const cols = Object.keys(columns);
+    console.log(`[DRUG_INDEX] Loaded ${index.entries.length} active drug name(s) from ${SCHEMA}.${TABLE}` +
+      (cols.length ? ` with ${cols.join('/')} variants` : ''));
+    return index;
+  })();
+
+  try {
+    return await loading;
+  } finally {
+    loading = null;
+  }
+}
+
+async function getIndex() {
+  if (!index) return refresh();
+  if (Date.now() - index.loadedAt > REFRESH_MS) {
+    refresh().catch(e => console.warn('[DRUG_INDEX] refresh failed; serving stale index:', e?.message || e));
+  }
+  return index;
+}
+
+/** Load the index now and keep it fresh in the background. */
+function start() {
+  if (!timer) {
+    timer = setInterval(() => {
+      refresh().catch(e => console.warn('[DRUG_INDEX] periodic refresh failed:', e?.message || e));
+    }, REFRESH_MS);
+    timer.unref?.();
+  }
+  return refresh();
+}
+
+/**
+ * Best formulary match for a drug name, ranked like the original SQL:
+ * normalized exact, exact, normalized contains, contains (ties by name).
+ * `variants` lists the stocked strengths / forms (empty when unknown).
+ * @returns {Promise<{ name: string, matchType: 'exact'|'contains', variants: Array<{ strength, unit, form }> } | null>}
+ * @throws when the index cannot be loaded
+ */
+async function findDrugMatch(query) {
+  const raw = String(query || '').trim();
+  if (!raw) return null;
+  return matchInIndex(await getIndex(), raw);
+}
+
+function matchInIndex({ entries, byNorm, byLower }, raw) {
+  const lower = raw.toLowerCase();
+  const norm = normalizeTerm(raw);
+
+  const exact = byNorm.get(norm) || byLower.get(lower);
+  if (exact) return { name: exact.name, matchType: 'exact', variants: exact.variants };
+
+  const contains =
+    (norm && entries.find(e => e.norm.includes(norm))) ||
+    entries.find(e => e.lower.includes(lower));
+  return contains ? { name: contains.name, matchType: 'contains', variants: contains.variants } : null;
+}
+
+/**
+ * Whether a parsed drug name is in the index already loaded (matched as
+ * findDrugMatch does; brand names are not resolved). Synchronous, so it
+ * never loads: null when there is no index yet.
+ * @returns {boolean|null}
+ */
+function isIndexedName(name) {
+  if (!index) return null;
+  const raw = String(name || '').trim();
+  return !!raw && !!matchInIndex(index, raw);
+}
+
+/**
+ * Compare the dictated strength / form with the stocked variants. Anything
+ * not stated on either side is not held against the match.
+ * @returns {{ availability: 'available'|'availableOtherStrengths', stocked: string[] }}
+ */
+function compareVariants(variants, want = {}) {
+  const wantStrength = strengthKey(want);
+  const wantForm = want.form || null;
+  if (!variants?.length || (!wantStrength && !wantForm)) return { availability: 'available', stocked: [] };
+
+  const fits = (v) =>
+    (!wantStrength || !v.strength || strengthKey(v) === wantStrength) &&
+    (!wantForm || !v.form || v.form === wantForm);
+  if (variants.some(fits)) return { availability: 'available', stocked: [] };
+  return { availability: 'availableOtherStrengths', stocked: variants.map(variantLabel) };
+}
+
+/**
+ * Match one drug name, trying the generic of a known brand name first.
+ * `generic` is set when the name resolved through the synonym table, even if
+ * that generic is not in the formulary. `want` ({ strength, unit, form }, as
+ * from parseMedicationLine) is checked against the stocked variants.
+ * @returns {Promise<{ matched: string|null, matchType?: string, availability: 'available'|'availableOtherStrengths'|'notFound', stocked: string[], synonym: string|null, generic: string|null }>}
+ * @throws when the index cannot be loaded
+ */
+async function matchDrug(query, want = {}) {
+  const syn = await resolveSynonym(query).catch((e) => {
+    console.warn('[DRUG_SYNONYMS] lookup failed:', e?.message || e);
+    return null;
+  });
+
+  if (syn) {
+    const m = await findDrugMatch(syn.generic);
+    if (m) {
+      return { matched: m.name, matchType: m.matchType, ...compareVariants(m.variants, want), synonym: syn.synonym, generic: syn.generic };
+    }
+  }
+
+  // Also covers brands whose mapped generic is missing but that are listed under their own name
+  const m = await findDrugMatch(query);
+  if (m) return { matched: m.name, matchType: m.matchType, ...compareVariants(m.variants, want), synonym: null, generic: null };
+  return { matched: null, availability: 'notFound', stocked: [], synonym: syn?.synonym || null, generic: syn?.generic || null };
+}
+
+/**
+ * Ranked near-misses for a name that did not match.
+ * score = 0.6 × spelling similarity + 0.4 × phonetic similarity (0…1).
+ * @returns {Promise<Array<{ name: string, score: number, match: 'phonetic'|'spelling' }>>}
+ */
+async function suggestDrugs(query, { limit = SUGGEST_LIMIT, minScore = SUGGEST_MIN_SCORE } = {}) {
+  const raw = String(query || '').trim();
+  const q = normalizeTerm(raw);
+  if (q.length < 3) return [];
+  const { entries } = await getIndex();
+
+  const qPhon = phoneticKey(raw);
+  const maxEdits = Math.ceil(q.length * 0.4);
+  const take = Math.min(Math.max(1, Number(limit) || SUGGEST_LIMIT), SUGGEST_MAX_LIMIT);
+
+  const scored = [];
+  for (const e of entries) {
+    // Cheap bound first: too many edits away from both the full name and its first word
+    const dFull = levenshtein(q, e.norm, maxEdits);
+    const dFirst = levenshtein(q, e.firstNorm, maxEdits);
+    const phonExact = !!qPhon && (qPhon === e.phon || qPhon === e.firstPhon);
+    if (dFull > maxEdits && dFirst > maxEdits && !phonExact) continue;
+
+    const spelling = Math.max(editSimilarity(q, e.norm), editSimilarity(q, e.firstNorm));
+    const phonetic = phonExact ? 1 : Math.max(editSimilarity(qPhon, e.phon), editSimilarity(qPhon, e.firstPhon));
+    const score = Math.round((0.6 * spelling + 0.4 * phonetic) * 1000) / 1000;
+    if (score >= minScore) scored.push({ name: e.name, score, match: phonExact ? 'phonetic' : 'spelling' });
+  }
+
+  scored.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+  return scored.slice(0, take);
+}
+
+/**
+ * Check Medication lines, including the strength and form written on each
+ * line. Unmatched names carry `suggestions` (for the resolved generic when
+ * there is one) unless `suggest` is false.
+ * @returns {Promise<Array<{ name: string, query: string|null, matched: string|null, matchType?: string, availability?: string, stocked?: string[], synonym?: string|null, generic?: string|null, suggestions?: Array, error?: string }>>}
+ */
+async function checkMedications(names, { suggest = true, limit } = {}) {
+  const results = [];
+  for (const name of names) {
+    const query = extractDrugQuery(name);
+    if (!query) {
+      results.push({ name, query: null, matched: null });
+      continue;
+    }
+    try {
+      const parsed = parseMedicationLine(name);
+      const m = await matchDrug(query, parsed ? { strength: parsed.strength, unit: parsed.unit, form: parsed.form } : {});
+      const entry = { name, query, ...m };
+      if (!m.matched && suggest) entry.suggestions = await suggestDrugs(m.generic || query, { limit });
+      results.push(entry);
+    } catch (e) {
+      results.push({ name, query, matched: null, error: e?.message || String(e) });
+    }
+  }
+  return results;
+}
+
+function indexStatus() {
+  return index
+    ? { loaded: true, size: index.entries.length, columns: index.columns, loadedAt: new Date(index.loadedAt).toISOString() }
+    : { loaded: false, size: 0, columns: {}, loadedAt: null };
+}
+
+module.exports = {
+  normalizeTerm,
+  extractDrugQuery,
+  start,
+  refresh,
+  findDrugMatch,
+  isIndexedName,
+  matchDrug,
+  suggestDrugs,
+  checkMedications,
+  indexStatus,
+};
@@ -0,0 +1,217 @@
+// ========================================
+// Drug Synonyms
+// ========================================
+// Brand and alternate names → the generic stored in [dbo].[DrugMaster]
+// ("Tylenol" → "Paracetamol", "Glucophage" → "Metformin"). Consulted by the
+// drug lookup before matching, so dictated brand names are not reported as
+// missing from the formulary.
+//
+// Mappings live in [dbo].[drug_synonyms] and are cached in memory. The table
+// is created on first use and seeded from DRUG_SYNONYMS_CSV
+// (default backend/data/drug-synonyms.csv); more rows can be imported from
+// CSV later. Without a database the CSV file itself is used, read-only.
+//
+// CSV format: `synonym,generic` per line; a header row and `#` comments are
+// skipped, fields may be double-quoted.
+
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { sequelize } = require('../database/database-config');
+const { normalizeTerm } = require('./fuzzy-match');
+
+const SCHEMA = 'dbo';
+const TABLE = 'drug_synonyms';
+const CACHE_TTL_MS = Number(process.env.DRUG_SYNONYMS_CACHE_TTL_MS) || 10 * 60 * 1000;
+const SEED_CSV = process.env.DRUG_SYNONYMS_CSV || path.join(__dirname, '..', 'data', 'drug-synonyms.csv');
+
+let cache = null;     // { byKey: Map<normalizedSynonym, { synonym, generic }>, source: 'db' | 'csv', loadedAt }
+let loading = null;
+let tableReady = false;
+
+function synonymError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// One CSV record → fields (handles "quoted, values" and "" escapes)
+function splitCsvLine(line) {
+  const fields = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { fields.push(cur); cur = ''; }
+    else cur += c;
+  }
+  fields.push(cur);
+  return fields.map(f => f.trim());
+}
+
+/**
+ * Parse `synonym,generic` CSV text.
+ * @returns {{ rows: Array<{ synonym: string, generic: string }>, skipped: number[] }} skipped holds 1-based line numbers
+ */
+function parseSynonymCsv(text) {
+  const rows = [];
+  const skipped = [];
+  String(text || '').split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const [synonym, generic] = splitCsvLine(line);
+    if (i === 0 && /^synonym$/i.test(synonym) && /^generic$/i.test(generic || '')) return;
+    if (!synonym || !generic || !normalizeTerm(synonym)) {
+      skipped.push(i + 1);
+      return;
+    }
+    rows.push({ synonym, generic });
+  });
+  return { rows, skipped };
+}
+
+function readSeedCsv() {
+  try {
+    return parseSynonymCsv(fs.readFileSync(SEED_CSV, 'utf8')).rows;
+  } catch (e) {
+    console.warn(`[DRUG_SYNONYMS] Could not read ${SEED_CSV}:`, e?.message || e);
+    return [];
+  }
+}
+
+async function upsertRows(rows, source) {
+  let written = 0;
+  for (const { synonym, generic } of rows) {
+    await sequelize.query(
+      `MERGE [${SCHEMA}].[${TABLE}] AS t
+       USING (SELECT :key AS synonym_key) AS s ON t.synonym_key = s.synonym_key
+       WHEN MATCHED THEN
+         UPDATE SET synonym = :synonym, generic = :generic, source = :source, updated_at = SYSUTCDATETIME()
+       WHEN NOT MATCHED THEN
+         INSERT (synonym_key, synonym, generic, source) VALUES (:key, :synonym, :generic, :source);`,
+      { replacements: { key: normalizeTerm(synonym), synonym, generic, source } }
+    );
+    written++;
+  }
+  return written;
+}
+
+// Create the table on first use and seed it from the bundled CSV
+async function ensureTable() {
+  if (tableReady) return;
+
+  const [{ objectId } = {}] = await sequelize.query(
+    `SELECT OBJECT_ID(N'[${SCHEMA}].[${TABLE}]', N'U') AS objectId`,
+    { type: Sequelize.QueryTypes.SELECT }
+  );
+
+  if (!objectId) {
+    await sequelize.query(`
+      CREATE TABLE [${SCHEMA}].[${TABLE}] (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        synonym_key NVARCHAR(200) NOT NULL,
+        synonym NVARCHAR(200) NOT NULL,
+        generic NVARCHAR(200) NOT NULL,
+        source NVARCHAR(32) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        updated_at DATETIME2 NULL,
+        CONSTRAINT UQ_${TABLE}_key UNIQUE (synonym_key)
+      )
+    `);
+    const seeded = await upsertRows(readSeedCsv(), 'seed');
+    console.log(`[DRUG_SYNONYMS] Created table ${SCHEMA}.${TABLE} (seeded ${seeded} row(s) from ${SEED_CSV})`);
+  }
+
+  tableReady = true;
+}
+
+async function loadFromDb() {
+  await ensureTable();
+  return sequelize.query(
+    `SELECT synonym, generic FROM [${SCHEMA}].[${TABLE}] ORDER BY synonym`,
+    { type: Sequelize.QueryTypes.SELECT }
+  );
+}
+
+// force: after a write, a load already in flight may have read the table
+// before it, so wait for that one and start a fresh load
+async function refresh({ force = false } = {}) {
+  if (loading && force) await loading.catch(() => {});
+  if (loading) return loading;
+
+  loading = (async () => {
+    let rows;
+    let source = 'db';
+    try {
+      rows = await loadFromDb();
+    } catch (e) {
+      console.warn('[DRUG_SYNONYMS] DB load failed; using CSV seed:', e?.message || e);
+      rows = readSeedCsv();
+      source = 'csv';
+    }
+
+    const byKey = new Map();
+    for (const r of rows) byKey.set(normalizeTerm(r.synonym), { synonym: r.synonym, generic: r.generic });
+    cache = { byKey, source, loadedAt: Date.now() };
+    return cache;
+  })();
+
+  try {
+    return await loading;
+  } finally {
+    loading = null;
+  }
+}
+
+async function getCache() {
+  if (!cache) return refresh();
+  if (Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    refresh().catch(() => {});
+  }
+  return cache;
+}
+
+/**
+ * Generic for a brand or alternate name. Tries the whole name, then its first
+ * word ("Tylenol Extra Strength" → "Tylenol").
+ * @returns {Promise<{ synonym: string, generic: string } | null>}
+ */
+async function resolveSynonym(name) {
+  const raw = String(name || '').trim();
+  if (!raw) return null;
+  const { byKey } = await getCache();
+  return byKey.get(normalizeTerm(raw)) || byKey.get(normalizeTerm(raw.split(/\s+/)[0])) || null;
+}
+
+async function listSynonyms() {
+  const c = await getCache();
+  return { source: c.source, synonyms: Array.from(c.byKey.values()) };
+}
+
+/**
+ * Add or replace mappings from CSV text. Existing synonyms are updated.
+ * @returns {Promise<{ imported: number, skipped: number[] }>}
+ */
+async function importCsv(text) {
+  const { rows, skipped } = parseSynonymCsv(text);
+  if (rows.length === 0) throw synonymError(400, 'No valid "synonym,generic" rows found');
+
+  const c = await getCache();
+  if (c.source !== 'db') throw synonymError(503, 'Database unavailable; synonyms are read-only');
+
+  const imported = await upsertRows(rows, 'import');
+  await refresh({ force: true });
+  return { imported, skipped };
+}
+
+module.exports = {
+  parseSynonymCsv,
+  refresh,
+  resolveSynonym,
+  listSynonyms,
+  importCsv,
+};
@@ -0,0 +1,465 @@
+// ========================================
+// Encounter Store
+// ========================================
+// One encounter = one provider/scribe note session: the transcript segments
+// the headset dictated and every SOAP note version produced from them. The
+// cockpit used to be the only place these were stitched together (in
+// localStorage); keeping them here means notes survive browser resets and can
+// be reviewed later.
+//
+// An encounter is opened by `start_note` (which also closes the previous one
+// for that pair), or on demand by `scribe_flush` / a final transcript when none
+// is open, and stays open until closed through the REST API.
+//
+// Backends (ENCOUNTER_STORE):
+//   sql    - [dbo].[encounters], [dbo].[encounter_transcripts] and
+//            [dbo].[encounter_notes] via the shared Sequelize connection (default)
+//   memory - bounded in-process map (ENCOUNTER_MEMORY_MAX, default 200)
+// If the SQL tables cannot be reached on first use we fall back to memory.
+
+const crypto = require('crypto');
+const { Sequelize } = require('sequelize');
+const { sequelize } = require('../database/database-config');
+
+const SCHEMA = 'dbo';
+const TABLE = 'encounters';
+const TRANSCRIPTS_TABLE = 'encounter_transcripts';
+const NOTES_TABLE = 'encounter_notes';
+const ENCOUNTER_STORE = (process.env.ENCOUNTER_STORE || 'sql').toLowerCase();
+const MEMORY_MAX = Number(process.env.ENCOUNTER_MEMORY_MAX) || 200;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function clampLimit(limit) {
+  const n = Number(limit);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_LIMIT;
+  return Math.min(Math.floor(n), MAX_LIMIT);
+}
+
+function parseBefore(before) {
+  if (before == null || before === '') return null;
+  const t = typeof before === 'number' ? before : Date.parse(before);
+  if (Number.isFinite(t)) return t;
+  const n = Number(before);
+  return Number.isFinite(n) ? n : null;
+}
+
+const iso = (ts) => (ts == null ? null : new Date(ts).toISOString());
+
+function summaryOf(e) {
+  const { transcripts, notes, ...rest } = e;
+  return { ...rest, transcriptCount: transcripts.length, noteCount: notes.length };
+}
+
+// -------------------- Memory backend --------------------
+function createMemoryStore() {
+  const byId = new Map(); // insertion order = oldest → newest
+
+  return {
+    name: 'memory',
+
+    async insert(e) {
+      byId.set(e.id, { ...e, transcripts: [], notes: [] });
+      if (byId.size > MEMORY_MAX) byId.delete(byId.keys().next().value);
+    },
+
+    async findOpen(conversation) {
+      let found = null;
+      for (const e of byId.values()) {
+        if (e.conversation === conversation && e.status === 'open') found = e;
+      }
+      return found ? summaryOf(found) : null;
+    },
+
+    async close(id, endedAt) {
+      const e = byId.get(id);
+      if (!e) return false;
+      if (e.status !== 'closed') { e.status = 'closed'; e.endedAt = endedAt; }
+      return true;
+    },
+
+    async addTranscript(id, seg) {
+      byId.get(id)?.transcripts.push(seg);
+    },
+
+    async addNote(id, note) {
+      const e = byId.get(id);
+      if (!e) return null;
+      const rec = { ...note, version: e.notes.length + 1 };
+      e.notes.push(rec);
+      return rec;
+    },
+
+    async get(id) {
+      const e = byId.get(id);
+      return e ? { ...e, transcripts: e.transcripts.slice(), notes: e.notes.slice() } : null;
+    },
+
+    async list({ beforeTs, limit, status, providerXrId, scribeXrId, patientRef }) {
+      const out = [];
+      const all = Array.from(byId.values()).sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+      for (const e of all) {
+        if (out.length > limit) break;
+        if (beforeTs != null && Date.parse(e.startedAt) >= beforeTs) continue;
+        if (status && e.status !== status) continue;
+        if (providerXrId && e.providerXrId !== providerXrId) continue;
+        if (scribeXrId && e.scribeXrId !== scribeXrId) continue;
+        if (patientRef && e.patientRef !== patientRef) continue;
+        out.push(summaryOf(e));
+      }
+      return out; // newest → oldest, up to limit + 1
+    },
+  };
+}
+
+// -------------------- SQL backend --------------------
+function rowToEncounter(row) {
+  return {
+    id: row.id,
+    conversation: row.conversation || null,
+    providerXrId: row.provider_xr_id || null,
+    scribeXrId: row.scribe_xr_id || null,
+    patientRef: row.patient_ref || null,
+    status: row.status,
+    startedAt: iso(row.started_at),
+    endedAt: iso(row.ended_at),
+  };
+}
+
+function parseJson(s) {
+  if (s == null) return null;
+  try { return JSON.parse(s); } catch { return null; }
+}
+
+function createSqlStore() {
+  const columns = 'id, conversation, provider_xr_id, scribe_xr_id, patient_ref, status, started_at, ended_at';
+  const T = `[${SCHEMA}].[${TABLE}]`;
+  const TT = `[${SCHEMA}].[${TRANSCRIPTS_TABLE}]`;
+  const NT = `[${SCHEMA}].[${NOTES_TABLE}]`;
+
+  return {
+    name: 'sql',
+
+    async init() {
+      await sequelize.query(`
+        IF OBJECT_ID(N'${T}', N'U') IS NULL
+        BEGIN
+          CREATE TABLE ${T} (
+            id NVARCHAR(36) NOT NULL PRIMARY KEY,
+            conversation NVARCHAR(160) NULL,
+            provider_xr_id NVARCHAR(64) NULL,
+            scribe_xr_id NVARCHAR(64) NULL,
+            patient_ref NVARCHAR(128) NULL,
+            status NVARCHAR(16) NOT NULL,
+            started_at DATETIME2(3) NOT NULL,
+            ended_at DATETIME2(3) NULL
+          );
+          CREATE INDEX IX_${TABLE}_conversation ON ${T} (conversation, status);
+          CREATE INDEX IX_${TABLE}_started_at ON ${T} (started_at DESC);
+        END
+
+        IF OBJECT_ID(N'${TT}', N'U') IS NULL
+        BEGIN
+          CREATE TABLE ${TT} (
+            seq BIGINT IDENTITY(1,1) PRIMARY KEY,
+            encounter_id NVARCHAR(36) NOT NULL,
+            from_xr_id NVARCHAR(64) NULL,
+            text NVARCHAR(MAX) NOT NULL,
+            created_at DATETIME2(3) NOT NULL
+          );
+          CREATE INDEX IX_${TRANSCRIPTS_TABLE}_encounter ON ${TT} (encounter_id, seq);
+        END
+
+        IF OBJECT_ID(N'${NT}', N'U') IS NULL
+        BEGIN
+          CREATE TABLE ${NT} (
+            seq BIGINT IDENTITY(1,1) PRIMARY KEY,
+            encounter_id NVARCHAR(36) NOT NULL,
+            version INT NOT NULL,
+            source NVARCHAR(32) NOT NULL,
+            author NVARCHAR(128) NULL,
+            edits INT NULL,
+            note NVARCHAR(MAX) NOT NULL,
+            medications NVARCHAR(MAX) NULL,
+            created_at DATETIME2(3) NOT NULL,
+            CONSTRAINT UQ_${NOTES_TABLE}_version UNIQUE (encounter_id, version)
+          );
+        END
+      `);
+    },
+
+    async insert(e) {
+      await sequelize.query(
+        `INSERT INTO ${T} (${columns})
+         VALUES (:id, :conversation, :providerXrId, :scribeXrId, :patientRef, :status, :startedAt, NULL)`,
+        {
+          replacements: {
+            id: e.id,
+            conversation: e.conversation || null,
+            providerXrId: e.providerXrId || null,
+            scribeXrId: e.scribeXrId || null,
+            patientRef: e.patientRef || null,
+            status: e.status,
+            startedAt: new Date(e.startedAt),
+          },
+          type: Sequelize.QueryTypes.INSERT,
+        }
+      );
+    },
+
+    async findOpen(conversation) {
+      const [row] = await sequelize.query(
+        `SELECT TOP (1) ${columns} FROM ${T}
+         WHERE conversation = :conversation AND status = 'open'
+         ORDER BY started_at DESC`,
+        { replacements: { conversation }, type: Sequelize.QueryTypes.SELECT }
+      );
+      return row ? rowToEncounter(row) : null;
+    },
+
+    async close(id, endedAt) {
+      const [row] = await sequelize.query(`SELECT id FROM ${T} WHERE id = :id`, {
+        replacements: { id }, type: Sequelize.QueryTypes.SELECT,
+      });
+      if (!row) return false;
+      await sequelize.query(
+        `UPDATE ${T} SET status = 'closed', ended_at = :endedAt WHERE id = :id AND status <> 'closed'`,
+        { replacements: { id, endedAt: new Date(endedAt) }, type: Sequelize.QueryTypes.UPDATE }
+      );
+      return true;
+    },
+
+    async addTranscript(id, seg) {
+      await sequelize.query(
+        `INSERT INTO ${TT} (encounter_id, from_xr_id, text, created_at) VALUES (:id, :from, :text, :createdAt)`,
+        {
+          replacements: { id, from: seg.from || null, text: seg.text, createdAt: new Date(seg.timestamp) },
+          type: Sequelize.QueryTypes.INSERT,
+        }
+      );
+    },
+
+    async addNote(id, note) {
+      const [row] = await sequelize.query(
+        `INSERT INTO ${NT} (encounter_id, version, source, author, edits, note, medications, created_at)
+         OUTPUT INSERTED.version
+         SELECT :id, ISNULL(MAX(version), 0) + 1, :source, :author, :edits, :note, :medications, :createdAt
+         FROM ${NT} WHERE encounter_id = :id`,
+        {
+          replacements: {
+            id,
+            source: note.source,
+            author: note.author || null,
+            edits: Number.isFinite(note.edits) ? note.edits : null,
+            note: JSON.stringify(note.note || {}),
+            medications: note.medications ? JSON.stringify(note.medications) : null,
+            createdAt: new Date(note.createdAt),
+          },
+          type: Sequelize.QueryTypes.SELECT,
+        }
+      );
+      return { ...note, version: row?.version };
+    },
+
+    async get(id) {
+      const [row] = await sequelize.query(`SELECT ${columns} FROM ${T} WHERE id = :id`, {
+        replacements: { id }, type: Sequelize.QueryTypes.SELECT,
+      });
+      if (!row) return null;
+
+      const segs = await sequelize.query(
+        `SELECT from_xr_id, text, created_at FROM ${TT} WHERE encounter_id = :id ORDER BY seq`,
+        { replacements: { id }, type: Sequelize.QueryTypes.SELECT }
+      );
+      const notes = await sequelize.query(
+        `SELECT version, source, author, edits, note, medications, created_at FROM ${NT}
+         WHERE encounter_id = :id ORDER BY version`,
+        { replacements: { id }, type: Sequelize.QueryTypes.SELECT }
+      );
+      return {
+        ...rowToEncounter(row),
+        transcripts: segs.map(s => ({ from: s.from_xr_id || null, text: s.text, timestamp: iso(s.created_at) })),
+        notes: notes.map(n => ({
+          version: n.version,
+          source: n.source,
+          author: n.author || null,
+          edits: n.edits,
+          note: parseJson(n.note) || {},
+          medications: parseJson(n.medications),
+          createdAt: iso(n.created_at),
+        })),
+      };
+    },
+
+    async list({ beforeTs, limit, status, providerXrId, scribeXrId, patientRef }) {
+      const where = [];
+      const replacements = { take: limit + 1 };
+      if (beforeTs != null) { where.push('e.started_at < :before'); replacements.before = new Date(beforeTs); }
+      if (status) { where.push('e.status = :status'); replacements.status = status; }
+      if (providerXrId) { where.push('e.provider_xr_id = :providerXrId'); replacements.providerXrId = providerXrId; }
+      if (scribeXrId) { where.push('e.scribe_xr_id = :scribeXrId'); replacements.scribeXrId = scribeXrId; }
+      if (patientRef) { where.push('e.patient_ref = :patientRef'); replacements.patientRef = patientRef; }
+
+      const rows = await sequelize.query(
+        `SELECT TOP (:take) ${columns.split(', ').map(c => `e.${c}`).join(', ')},
+           (SELECT COUNT(*) FROM ${TT} t WHERE t.encounter_id = e.id) AS transcript_count,
+           (SELECT COUNT(*) FROM ${NT} n WHERE n.encounter_id = e.id) AS note_count
+         FROM ${T} e
+         WHERE ${where.join(' AND ') || '1 = 1'}
+         ORDER BY e.started_at DESC`,
+        { replacements, type: Sequelize.QueryTypes.SELECT }
+      );
+      return rows.map(r => ({
+        ...rowToEncounter(r),
+        transcriptCount: Number(r.transcript_count) || 0,
+        noteCount: Number(r.note_count) || 0,
+      }));
+    },
+  };
+}
+
+// -------------------- Backend selection --------------------
+let backendPromise = null;
+
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      if (ENCOUNTER_STORE === 'sql') {
+        const store = createSqlStore();
+        try {
+          await store.init();
+          console.log('[ENCOUNTERS] Using SQL backend');
+          return store;
+        } catch (e) {
+          console.warn('[ENCOUNTERS] SQL unavailable; falling back to memory:', e?.message || e);
+        }
+      }
+      console.log(`[ENCOUNTERS] Using memory backend (max ${MEMORY_MAX})`);
+      return createMemoryStore();
+    })();
+  }
+  return backendPromise;
+}
+
+// Serialize open/close per conversation so a transcript and a control command
+// arriving together do not open two encounters
+const locks = new Map();
+function withLock(key, fn) {
+  const prev = locks.get(key) || Promise.resolve();
+  const next = prev.catch(() => {}).then(fn);
+  const tail = next.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+  return next;
+}
+
+async function createEncounter(backend, { conversation, providerXrId, scribeXrId, patientRef }) {
+  const e = {
+    id: crypto.randomUUID(),
+    conversation: conversation || null,
+    providerXrId: providerXrId || null,
+    scribeXrId: scribeXrId || null,
+    patientRef: patientRef || null,
+    status: 'open',
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+  };
+  await backend.insert(e);
+  console.log(`[ENCOUNTERS] Opened ${e.id} (${e.providerXrId || '?'} → ${e.scribeXrId || '?'})`);
+  return { ...e, transcriptCount: 0, noteCount: 0 };
+}
+
+/**
+ * Start a new encounter for a pair, closing the one still open (start_note).
+ * @param {{ conversation: string, providerXrId?: string, scribeXrId?: string, patientRef?: string }} opts
+ */
+async function startEncounter(opts) {
+  const backend = await getBackend();
+  return withLock(opts.conversation || '', async () => {
+    const open = opts.conversation ? await backend.findOpen(opts.conversation) : null;
+    if (open) await backend.close(open.id, new Date().toISOString());
+    return createEncounter(backend, opts);
+  });
+}
+
+/** The pair's open encounter, opened if there is none (scribe_flush, transcripts). */
+async function ensureOpenEncounter(opts) {
+  const backend = await getBackend();
+  return withLock(opts.conversation || '', async () => {
+    const open = opts.conversation ? await backend.findOpen(opts.conversation) : null;
+    return open || createEncounter(backend, opts);
+  });
+}
+
+async function addTranscript(encounterId, { from, text, timestamp }) {
+  if (!encounterId || !String(text || '').trim()) return;
+  const backend = await getBackend();
+  await backend.addTranscript(encounterId, {
+    from: from || null,
+    text: String(text),
+    timestamp: timestamp && Number.isFinite(Date.parse(timestamp)) ? new Date(timestamp).toISOString() : new Date().toISOString(),
+  });
+}
+
+/**
+ * Record a SOAP note version. source: 'generated' | 'regenerated' | 'saved'.
+ * @returns {Promise<{ version: number, source, author, edits, note, medications, createdAt } | null>}
+ */
+async function addNoteVersion(encounterId, { note, medications, source, author, edits }) {
+  if (!encounterId) return null;
+  const backend = await getBackend();
+  return backend.addNote(encounterId, {
+    note: note || {},
+    medications: medications || null,
+    source: source || 'generated',
+    author: author || null,
+    edits: edits == null || !Number.isFinite(Number(edits)) ? null : Number(edits),
+    createdAt: new Date().toISOString(),
+  });
+}
+
+/** @returns {Promise<object|null>} the closed encounter, or null when unknown */
+async function closeEncounter(id) {
+  const backend = await getBackend();
+  const found = await backend.close(id, new Date().toISOString());
+  if (!found) return null;
+  console.log(`[ENCOUNTERS] Closed ${id}`);
+  return backend.get(id);
+}
+
+async function getEncounter(id) {
+  if (!id) return null;
+  const backend = await getBackend();
+  return backend.get(id);
+}
+
+/** Newest first, with a cursor (startedAt) for the next older page. */
+async function listEncounters({ before, limit, status, providerXrId, scribeXrId, patientRef } = {}) {
+  const take = clampLimit(limit);
+  const backend = await getBackend();
+  const rows = await backend.list({
+    beforeTs: parseBefore(before),
+    limit: take,
+    status: status || null,
+    providerXrId: providerXrId || null,
+    scribeXrId: scribeXrId || null,
+    patientRef: patientRef || null,
+  });
+  const hasMore = rows.length > take;
+  const page = rows.slice(0, take);
+  return {
+    encounters: page,
+    hasMore,
+    nextBefore: hasMore && page.length ? page[page.length - 1].startedAt : null,
+  };
+}
+
+module.exports = {
+  startEncounter,
+  ensureOpenEncounter,
+  addTranscript,
+  addNoteVersion,
+  closeEncounter,
+  getEncounter,
+  listEncounters,
+};
@@ -0,0 +1,238 @@
+// ========================================
+// FHIR R4 Export ("Add To EHR")
+// ========================================
+// Turns a scribe-approved SOAP note into a FHIR R4 transaction Bundle and
+// POSTs it to the EHR's FHIR base URL (FHIR_BASE_URL):
+//
+//   Practitioner       the provider (headset XR id), conditional create by identifier
+//   Encounter          the server-side encounter, conditional create by identifier
+//   Composition        the note; one section per SOAP section (LOINC coded)
+//   MedicationRequest  one per Medication line (draft orders for the provider to sign)
+//
+// The patient is referenced logically by identifier (patientRef from start_note)
+// rather than created, since the EHR owns patient records.
+//
+// FHIR_STUB=true mounts the HAPI-compatible stub (fhir-stub.js) at /fhir-stub
+// and makes it the default target, for local development without an EHR.
+// Failures are thrown as FhirError so the cockpit can show why an export failed.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { SOAP_SECTIONS } = require('./soap-schema');
+const { parseMedicationList, formatMedication } = require('./medication-parser');
+
+const TIMEOUT_MS = Number(process.env.FHIR_TIMEOUT_MS) || 15 * 1000;
+const STUB_ENABLED = /^(1|true|yes|on)$/i.test(String(process.env.FHIR_STUB || '').trim());
+
+// Identifier systems for the ids this server owns
+const SYSTEMS = {
+  xrId: 'urn:xr-messaging:xr-id',
+  encounter: 'urn:xr-messaging:encounter',
+  patient: process.env.FHIR_PATIENT_IDENTIFIER_SYSTEM || 'urn:xr-messaging:patient-ref',
+};
+
+const LOINC = 'http://loinc.org';
+const SECTION_CODES = {
+  'Chief Complaints': ['10154-3', 'Chief complaint Narrative'],
+  'History of Present Illness': ['10164-2', 'History of Present illness Narrative'],
+  'Subjective': ['61150-9', 'Subjective Narrative'],
+  'Objective': ['61149-1', 'Objective Narrative'],
+  'Assessment': ['51848-0', 'Evaluation note'],
+  'Plan': ['18776-5', 'Plan of care note'],
+  'Medication': ['10160-0', 'History of Medication use Narrative'],
+};
+
+class FhirError extends Error {
+  /**
+   * @param {'config'|'timeout'|'network'|'http'|'invalid_response'} code
+   * @param {string} message
+   * @param {{ status?: number, issues?: string[], cause?: unknown }} [info]
+   */
+  constructor(code, message, info = {}) {
+    super(message);
+    this.name = 'FhirError';
+    this.code = code;
+    this.status = info.status ?? null;
+    this.issues = info.issues || [];
+    if (info.cause) this.cause = info.cause;
+  }
+
+  // Safe to send to clients (no stack, no upstream body beyond OperationOutcome diagnostics)
+  toJSON() {
+    return { code: this.code, message: this.message, status: this.status, issues: this.issues };
+  }
+}
+
+function baseUrl() {
+  const configured = (process.env.FHIR_BASE_URL || '').trim();
+  if (configured) return configured.replace(/\/$/, '');
+  if (STUB_ENABLED) return `http://127.0.0.1:${process.env.PORT || 8080}/fhir-stub`;
+  return null;
+}
+
+function escapeXhtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Narrative required on every Composition section
+function narrative(lines) {
+  const body = lines.length ? lines.map(l => `<p>${escapeXhtml(l)}</p>`).join('') : '<p>No data available</p>';
+  return { status: 'generated', div: `<div xmlns="http://www.w3.org/1999/xhtml">${body}</div>` };
+}
+
+function sectionLines(note, section) {
+  const raw = note?.[section];
+  return (Array.isArray(raw) ? raw : String(raw ?? '').split('\n'))
+    .map(l => String(l ?? '').trim())
+    .filter(Boolean);
+}
+
+function patientReference(patientRef) {
+  return patientRef
+    ? { identifier: { system: SYSTEMS.patient, value: patientRef }, display: patientRef }
+    : { display: 'Unidentified patient' };
+}
+
+function dosageOf(med) {
+  const dosage = { text: med.raw };
+  if (med.route) dosage.route = { text: med.route };
+  if (med.frequency) {
+    dosage.timing = { code: { text: med.frequency } };
+    if (/as needed/.test(med.frequency)) dosage.asNeededBoolean = true;
+  }
+  const value = Number(med.strength);
+  if (med.strength && Number.isFinite(value)) {
+    dosage.doseAndRate = [{ doseQuantity: { value, unit: med.unit } }];
+  }
+  return dosage;
+}
+
+/**
+ * Transaction Bundle for one SOAP note.
+ * @param {{ note: object, encounter?: object|null, author?: string|null }} opts
+ *   note: { section: string | lines[] }; encounter: from encounter-store; author: scribe name
+ * @returns {object} FHIR R4 Bundle (type "transaction")
+ */
+function buildSoapBundle({ note, encounter = null, author = null }) {
+  const now = new Date().toISOString();
+  const urn = () => `urn:uuid:${crypto.randomUUID()}`;
+  const subject = patientReference(encounter?.patientRef);
+  const entries = [];
+  const add = (fullUrl, resource, request) => { entries.push({ fullUrl, resource, request }); return fullUrl; };
+
+  let practitionerRef = null;
+  if (encounter?.providerXrId) {
+    const identifier = { system: SYSTEMS.xrId, value: encounter.providerXrId };
+    practitionerRef = add(urn(), {
+      resourceType: 'Practitioner',
+      identifier: [identifier],
+      name: [{ text: encounter.providerXrId }],
+    }, { method: 'POST', url: 'Practitioner', ifNoneExist: `identifier=${identifier.system}|${identifier.value}` });
+  }
+
+  let encounterRef = null;
+  if (encounter?.id) {
+    const identifier = { system: SYSTEMS.encounter, value: encounter.id };
+    encounterRef = add(urn(), {
+      resourceType: 'Encounter',
+      identifier: [identifier],
+      status: encounter.status === 'closed' ? 'finished' : 'in-progress',
+      class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'AMB', display: 'ambulatory' },
+      subject,
+      participant: practitionerRef ? [{ individual: { reference: practitionerRef } }] : undefined,
+      period: { start: encounter.startedAt || now, end: encounter.endedAt || undefined },
+    }, { method: 'POST', url: 'Encounter', ifNoneExist: `identifier=${identifier.system}|${identifier.value}` });
+  }
+
+  const medRefs = parseMedicationList(sectionLines(note, 'Medication')).map(med => add(urn(), {
+    resourceType: 'MedicationRequest',
+    status: 'draft',       // dictated, not yet signed by the provider
+    intent: 'order',
+    medicationCodeableConcept: { text: formatMedication(med) },
+    subject,
+    encounter: encounterRef ? { reference: encounterRef } : undefined,
+    authoredOn: now,
+    requester: practitionerRef ? { reference: practitionerRef } : undefined,
+    dosageInstruction: [dosageOf(med)],
+  }, { method: 'POST', url: 'MedicationRequest' }));
+
+  const authors = [];
+  if (practitionerRef) authors.push({ reference: practitionerRef });
+  if (author) authors.push({ display: `${author} (scribe)` });
+  if (!authors.length) authors.push({ display: 'Scribe' });
+
+  add(urn(), {
+    resourceType: 'Composition',
+    status: 'final',
+    type: { coding: [{ system: LOINC, code: '11506-3', display: 'Progress note' }], text: 'SOAP note' },
+    subject,
+    encounter: encounterRef ? { reference: encounterRef } : undefined,
+    date: now,
+    author: authors,
+    title: 'SOAP note',
+    section: SOAP_SECTIONS.map((section) => {
+      const [code, display] = SECTION_CODES[section] || [];
+      return {
+        title: section,
+        code: code ? { coding: [{ system: LOINC, code, display }] } : undefined,
+        text: narrative(sectionLines(note, section)),
+        entry: section === 'Medication' && medRefs.length ? medRefs.map(reference => ({ reference })) : undefined,
+      };
+    }),
+  }, { method: 'POST', url: 'Composition' });
+
+  return JSON.parse(JSON.stringify({ resourceType: 'Bundle', type: 'transaction', timestamp: now, entry: entries }));
+}
+
+// OperationOutcome diagnostics from an error body, if there are any
+function outcomeIssues(body) {
+  if (body?.resourceType !== 'OperationOutcome' || !Array.isArray(body.issue)) return [];
+  return body.issue.map(i => i.diagnostics || i.details?.text || i.code).filter(Boolean);
+}
+
+/**
+ * POST a transaction Bundle to the FHIR server.
+ * @returns {Promise<{ id: string|null, entries: Array<{ resourceType: string|null, location: string|null, status: string|null }> }>}
+ */
+async function sendBundle(bundle) {
+  const base = baseUrl();
+  if (!base) throw new FhirError('config', 'Missing FHIR_BASE_URL in environment');
+
+  const headers = { 'Content-Type': 'application/fhir+json', Accept: 'application/fhir+json' };
+  if (process.env.FHIR_AUTH_TOKEN) headers.Authorization = `Bearer ${process.env.FHIR_AUTH_TOKEN}`;
+
+  let res;
+  try {
+    res = await axios.post(base, bundle, { headers, timeout: TIMEOUT_MS });
+  } catch (e) {
+    if (e?.code === 'ECONNABORTED' || e?.code === 'ETIMEDOUT' || /timeout/i.test(e?.message || '')) {
+      throw new FhirError('timeout', `FHIR server did not answer within ${TIMEOUT_MS}ms`, { cause: e });
+    }
+    const status = e?.response?.status;
+    if (status) {
+      const issues = outcomeIssues(e.response.data);
+      throw new FhirError('http', `FHIR server rejected the bundle (HTTP ${status})${issues.length ? `: ${issues[0]}` : ''}`, { status, issues, cause: e });
+    }
+    throw new FhirError('network', `Could not reach FHIR server: ${e?.message || e}`, { cause: e });
+  }
+
+  const body = res.data;
+  if (body?.resourceType !== 'Bundle' || !Array.isArray(body.entry)) {
+    throw new FhirError('invalid_response', 'FHIR server did not return a transaction-response Bundle', { status: res.status });
+  }
+  return {
+    id: body.id || null,
+    entries: body.entry.map(e => ({
+      resourceType: e.response?.location ? e.response.location.split('/')[0] : null,
+      location: e.response?.location || null,
+      status: e.response?.status || null,
+    })),
+  };
+}
+
+module.exports = {
+  FhirError,
+  STUB_ENABLED,
+  buildSoapBundle,
+  sendBundle,
+};
@@ -0,0 +1,209 @@
+// ========================================
+// FHIR R4 Stub Server (HAPI-compatible subset)
+// ========================================
+// In-memory stand-in for a HAPI FHIR server so "Add To EHR" can be exercised
+// without an EHR. Answers the way HAPI does for what fhir-export.js sends:
+//
+//   GET  /metadata           CapabilityStatement
+//   POST /                   transaction / batch Bundle → transaction-response
+//                            (urn:uuid references resolved, ifNoneExist honoured,
+//                            numeric ids, "201 Created" / "200 OK" + location)
+//   POST /:type              create
+//   GET  /:type/:id          read
+//   GET  /:type?identifier=  search (searchset Bundle; also _count)
+//
+// Errors come back as OperationOutcome with HAPI's status codes. A transaction
+// is validated as a whole before anything is stored. Data is lost on restart.
+//
+// Mounted by server.js at /fhir-stub when FHIR_STUB=true, or run on its own:
+//   node services/fhir-stub.js            (FHIR_STUB_PORT, default 8090, base /fhir)
+
+const crypto = require('crypto');
+const express = require('express');
+
+const MAX_PER_TYPE = 1000;
+
+// Elements each supported resource must carry (R4 cardinality 1..*)
+const REQUIRED = {
+  Practitioner: [],
+  Patient: [],
+  Encounter: ['status', 'class'],
+  Composition: ['status', 'type', 'date', 'author', 'title'],
+  MedicationRequest: ['status', 'intent', 'subject'],
+};
+
+function outcome(res, status, code, diagnostics) {
+  return res.status(status).type('application/fhir+json').json({
+    resourceType: 'OperationOutcome',
+    issue: [{ severity: 'error', code, diagnostics }],
+  });
+}
+
+function resourceProblem(resource, expectedType) {
+  if (!resource || typeof resource !== 'object') return 'Entry has no resource';
+  const type = resource.resourceType;
+  if (!REQUIRED[type]) return `Resource type "${type}" is not supported by this server`;
+  if (expectedType && type !== expectedType) return `Resource type "${type}" does not match request URL "${expectedType}"`;
+  const missing = REQUIRED[type].filter(k => resource[k] == null || (Array.isArray(resource[k]) && !resource[k].length));
+  if (type === 'MedicationRequest' && !resource.medicationCodeableConcept && !resource.medicationReference) missing.push('medication[x]');
+  return missing.length ? `${type}: missing required element(s) ${missing.join(', ')}` : null;
+}
+
+function createFhirStubRouter() {
+  const router = express.Router();
+  const store = new Map();   // type → Map<id, resource>
+  let nextId = 1;
+
+  router.use(express.json({ type: ['application/json', 'application/fhir+json'], limit: '5mb' }));
+
+  const table = (type) => {
+    if (!store.has(type)) store.set(type, new Map());
+    return store.get(type);
+  };
+
+  // "identifier=system|value" (either part optional) → first matching resource
+  function findByIdentifier(type, query) {
+    const [system, value] = String(query).includes('|') ? String(query).split('|') : [null, String(query)];
+    for (const r of table(type).values()) {
+      if ((r.identifier || []).some(i => (!system || i.system === system) && (!value || i.value === value))) return r;
+    }
+    return null;
+  }
+
+  function save(resource) {
+    const now = new Date().toISOString();
+    const stored = { ...resource, id: String(nextId++), meta: { versionId: '1', lastUpdated: now } };
+    const byId = table(stored.resourceType);
+    byId.set(stored.id, stored);
+    if (byId.size > MAX_PER_TYPE) byId.delete(byId.keys().next().value);
+    return stored;
+  }
+
+  const locationOf = (r) => `${r.resourceType}/${r.id}/_history/${r.meta.versionId}`;
+
+  // Replace urn:uuid references with the ids assigned in this transaction
+  function resolveReferences(node, ids) {
+    if (Array.isArray(node)) return node.map(n => resolveReferences(n, ids));
+    if (!node || typeof node !== 'object') return node;
+    const out = {};
+    for (const [k, v] of Object.entries(node)) {
+      out[k] = k === 'reference' && typeof v === 'string' && ids.has(v) ? ids.get(v) : resolveReferences(v, ids);
+    }
+    return out;
+  }
+
+  router.get('/metadata', (req, res) => {
+    res.type('application/fhir+json').json({
+      resourceType: 'CapabilityStatement',
+      status: 'active',
+      date: new Date().toISOString(),
+      kind: 'instance',
+      software: { name: 'HAPI FHIR Server (stub)', version: '0' },
+      fhirVersion: '4.0.1',
+      format: ['application/fhir+json'],
+      rest: [{
+        mode: 'server',
+        resource: Object.keys(REQUIRED).map(type => ({
+          type,
+          interaction: [{ code: 'read' }, { code: 'create' }, { code: 'search-type' }],
+          searchParam: [{ name: 'identifier', type: 'token' }],
+        })),
+        interaction: [{ code: 'transaction' }, { code: 'batch' }],
+      }],
+    });
+  });
+
+  router.post('/', (req, res) => {
+    const bundle = req.body;
+    if (bundle?.resourceType !== 'Bundle' || !['transaction', 'batch'].includes(bundle.type)) {
+      return outcome(res, 400, 'invalid', 'Expected a Bundle of type "transaction" or "batch"');
+    }
+    const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+
+    // Validate everything first: a transaction either stores all entries or none
+    for (const [i, e] of entries.entries()) {
+      const method = e?.request?.method;
+      const type = String(e?.request?.url || '').split(/[/?]/)[0];
+      if (method !== 'POST') return outcome(res, 400, 'not-supported', `Bundle.entry[${i}]: only POST is supported (got ${method || 'none'})`);
+      const problem = resourceProblem(e.resource, type);
+      if (problem) return outcome(res, 422, 'processing', `Bundle.entry[${i}]: ${problem}`);
+    }
+
+    const ids = new Map();      // fullUrl → "Type/id"
+    const results = entries.map((e) => {
+      const existing = e.request.ifNoneExist
+        ? findByIdentifier(e.resource.resourceType, String(e.request.ifNoneExist).replace(/^identifier=/, ''))
+        : null;
+      if (existing) {
+        if (e.fullUrl) ids.set(e.fullUrl, `${existing.resourceType}/${existing.id}`);
+        return { existing };
+      }
+      const stored = save(e.resource);
+      if (e.fullUrl) ids.set(e.fullUrl, `${stored.resourceType}/${stored.id}`);
+      return { stored };
+    });
+    // References may point at entries later in the bundle, so resolve once every id is known
+    for (const r of results) {
+      if (r.stored) table(r.stored.resourceType).set(r.stored.id, resolveReferences(r.stored, ids));
+    }
+
+    res.type('application/fhir+json').json({
+      resourceType: 'Bundle',
+      id: crypto.randomUUID(),
+      type: `${bundle.type}-response`,
+      link: [{ relation: 'self', url: `${req.protocol}://${req.get('host')}${req.baseUrl}` }],
+      entry: results.map(({ stored, existing }) => {
+        const r = stored || existing;
+        return {
+          response: {
+            status: stored ? '201 Created' : '200 OK',
+            location: locationOf(r),
+            etag: `W/"${r.meta.versionId}"`,
+            lastModified: r.meta.lastUpdated,
+          },
+        };
+      }),
+    });
+  });
+
+  router.post('/:type', (req, res) => {
+    const problem = resourceProblem(req.body, req.params.type);
+    if (problem) return outcome(res, 422, 'processing', problem);
+    const stored = save(req.body);
+    res.status(201).location(`${req.baseUrl}/${locationOf(stored)}`).type('application/fhir+json').json(stored);
+  });
+
+  router.get('/:type/:id', (req, res) => {
+    const found = store.get(req.params.type)?.get(req.params.id);
+    if (!found) return outcome(res, 404, 'not-found', `Resource ${req.params.type}/${req.params.id} is not known`);
+    res.type('application/fhir+json').json(found);
+  });
+
+  router.get('/:type', (req, res) => {
+    const { identifier, _count } = req.query;
+    let matches = Array.from(store.get(req.params.type)?.values() || []);
+    if (identifier) {
+      const hit = findByIdentifier(req.params.type, identifier);
+      matches = hit ? [hit] : [];
+    }
+    const count = Number(_count) > 0 ? Math.floor(Number(_count)) : 20;
+    res.type('application/fhir+json').json({
+      resourceType: 'Bundle',
+      id: crypto.randomUUID(),
+      type: 'searchset',
+      total: matches.length,
+      entry: matches.slice(-count).reverse().map(r => ({ fullUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}/${r.resourceType}/${r.id}`, resource: r })),
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createFhirStubRouter };
+
+if (require.main === module) {
+  const port = Number(process.env.FHIR_STUB_PORT) || 8090;
+  const app = express();
+  app.use('/fhir', createFhirStubRouter());
+  app.listen(port, () => console.log(`[FHIR_STUB] Listening on http://localhost:${port}/fhir`));
+}
@@ -0,0 +1,149 @@
+// ========================================
+// Fuzzy Matching Helpers
+// ========================================
+// Edit distance and a Metaphone phonetic key, used by the drug lookup to
+// catch speech-recognition misspellings ("amoxicilin", "metformine").
+
+// Lower-case and drop spaces and punctuation ("Co-Amoxiclav (625)" → "coamoxiclav625")
+function normalizeTerm(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/[ \-\/\.,'()]/g, '');
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max` (returns max + 1).
+ */
+function levenshtein(a, b, max = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = new Array(b.length + 1);
+  let cur = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    cur[0] = i;
+    let rowMin = cur[0];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a.charCodeAt(i - 1) === b.charCodeAt(j - 1) ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    [prev, cur] = [cur, prev];
+  }
+  return prev[b.length];
+}
+
+/** 1 for identical strings, 0 for nothing in common. */
+function editSimilarity(a, b) {
+  const len = Math.max(a.length, b.length);
+  if (!len) return 1;
+  return 1 - levenshtein(a, b) / len;
+}
+
+const VOWELS = 'AEIOU';
+const isVowel = (c) => !!c && VOWELS.includes(c);
+
+/**
+ * Metaphone key for one word (letters only, upper-cased internally).
+ * Follows Lawrence Philips' original rules; '0' stands for "th".
+ */
+function metaphone(word) {
+  let w = String(word || '').toUpperCase().replace(/[^A-Z]/g, '');
+  if (!w) return '';
+
+  // Collapse doubled letters except C
+  w = w.replace(/([^C])\1+/g, '$1');
+
+  // Awkward initial pairs
+  if (/^(KN|GN|PN|AE|WR)/.test(w)) w = w.slice(1);
+  if (w[0] === 'X') w = `S${w.slice(1)}`;
+  if (w.startsWith('WH')) w = `W${w.slice(2)}`;
+
+  let out = '';
+  for (let i = 0; i < w.length; i++) {
+    const c = w[i];
+    const prev = w[i - 1];
+    const next = w[i + 1];
+    const next2 = w[i + 2];
+
+    switch (c) {
+      case 'A': case 'E': case 'I': case 'O': case 'U':
+        if (i === 0) out += c;
+        break;
+      case 'B':
+        if (!(prev === 'M' && i === w.length - 1)) out += 'B';
+        break;
+      case 'C':
+        if (next === 'I' && next2 === 'A') out += 'X';
+        else if (next === 'H') { out += prev === 'S' ? 'K' : 'X'; i++; }
+        else if ('IEY'.includes(next || '_')) { if (prev !== 'S') out += 'S'; }
+        else out += 'K';
+        break;
+      case 'D':
+        if (next === 'G' && 'EIY'.includes(next2 || '_')) { out += 'J'; i++; }
+        else out += 'T';
+        break;
+      case 'G':
+        if (next === 'H' && !(i + 2 >= w.length || isVowel(next2))) break;
+        if (next === 'N' && (i + 2 === w.length || w.slice(i + 1) === 'NED')) break;
+        if ('IEY'.includes(next || '_') && prev !== 'G') out += 'J';
+        else out += 'K';
+        break;
+      case 'H':
+        if (isVowel(next) && !'CSPTG'.includes(prev || '_')) out += 'H';
+        break;
+      case 'K':
+        if (prev !== 'C') out += 'K';
+        break;
+      case 'P':
+        if (next === 'H') { out += 'F'; i++; } else out += 'P';
+        break;
+      case 'Q':
+        out += 'K';
+        break;
+      case 'S':
+        if (next === 'H') { out += 'X'; i++; }
+        else if (next === 'I' && (next2 === 'O' || next2 === 'A')) out += 'X';
+        else out += 'S';
+        break;
+      case 'T':
+        if (next === 'I' && (next2 === 'O' || next2 === 'A')) out += 'X';
+        else if (next === 'H') { out += '0'; i++; }
+        else if (!(next === 'C' && next2 === 'H')) out += 'T';
+        break;
+      case 'V':
+        out += 'F';
+        break;
+      case 'W': case 'Y':
+        if (isVowel(next)) out += c;
+        break;
+      case 'X':
+        out += 'KS';
+        break;
+      case 'Z':
+        out += 'S';
+        break;
+      default: // F J L M N R
+        out += c;
+    }
+  }
+  return out;
+}
+
+/** Phonetic key for a multi-word name ("Metformin HCl" → "MTFRMN HKL"). */
+function phoneticKey(s) {
+  return String(s || '').split(/[^A-Za-z]+/).filter(Boolean).map(metaphone).join(' ');
+}
+
+module.exports = {
+  normalizeTerm,
+  levenshtein,
+  editSimilarity,
+  metaphone,
+  phoneticKey,
+};
@@ -0,0 +1,426 @@
+// ========================================
+// LLM Provider Layer
+// ========================================
+// `complete({ messages, temperature })` and its streaming twin
+// `stream({ messages, temperature, onDelta })` for chat-completion style calls
+// (SOAP note generation), backed by an adapter chosen with LLM_PROVIDER:
+//
+//   abacus - Abacus.AI RouteLLM (endpoint discovery + `apiKey` header) (default)
+//   openai - any OpenAI-compatible /chat/completions endpoint
+//   azure  - Azure OpenAI deployment
+//   stub   - local deterministic responses, no network (offline development)
+//
+// Every call gets a timeout and retries with exponential backoff on timeouts,
+// network errors, 429 and 5xx (streams only until the first token arrives).
+// Failures are thrown as LlmError so callers can report a reason instead of a
+// placeholder note. LLM_STREAM=false makes `stream` a single `complete` call.
+
+const axios = require('axios');
+
+const PROVIDER = (process.env.LLM_PROVIDER || 'abacus').trim().toLowerCase();
+const TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 60 * 1000;
+const MAX_RETRIES = Number.isFinite(Number(process.env.LLM_MAX_RETRIES)) ? Number(process.env.LLM_MAX_RETRIES) : 2;
+const RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS) || 500;
+const RETRY_MAX_MS = 8000;
+const STREAM_ENABLED = !/^(0|false|no|off)$/i.test(String(process.env.LLM_STREAM ?? 'true').trim());
+
+class LlmError extends Error {
+  /**
+   * @param {'config'|'timeout'|'network'|'http'|'rate_limited'|'empty_response'|'invalid_response'} code
+   * @param {string} message
+   * @param {{ provider?: string, status?: number, retryable?: boolean, attempts?: number, cause?: unknown }} [info]
+   */
+  constructor(code, message, info = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.code = code;
+    this.provider = info.provider || PROVIDER;
+    this.status = info.status ?? null;
+    this.retryable = !!info.retryable;
+    this.attempts = info.attempts ?? null;
+    if (info.cause) this.cause = info.cause;
+  }
+
+  // Safe to send to clients (no stack, no upstream body)
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      provider: this.provider,
+      status: this.status,
+      retryable: this.retryable,
+      attempts: this.attempts,
+    };
+  }
+}
+
+function envNumber(...names) {
+  for (const n of names) {
+    const v = process.env[n];
+    if (v !== undefined && v !== '' && Number.isFinite(Number(v))) return Number(v);
+  }
+  return undefined;
+}
+
+function requireEnv(provider, name) {
+  const v = (process.env[name] || '').trim();
+  if (!v) throw new LlmError('config', `Missing ${name} in environment`, { provider });
+  return v;
+}
+
+// Map an axios failure onto an LlmError
+function toLlmError(provider, e) {
+  if (e instanceof LlmError) return e;
+  if (e?.code === 'ECONNABORTED' || e?.code === 'ETIMEDOUT' || /timeout/i.test(e?.message || '')) {
+    return new LlmError('timeout', `${provider} request timed out after ${TIMEOUT_MS}ms`, { provider, retryable: true, cause: e });
+  }
+  const status = e?.response?.status;
+  if (status === 429) {
+    return new LlmError('rate_limited', `${provider} rate limited the request`, { provider, status, retryable: true, cause: e });
+  }
+  if (status) {
+    const detail = e.response?.data?.error?.message || e.response?.data?.error || e.message;
+    return new LlmError('http', `${provider} returned HTTP ${status}: ${String(detail).slice(0, 200)}`, {
+      provider, status, retryable: status >= 500, cause: e,
+    });
+  }
+  return new LlmError('network', `${provider} unreachable: ${e?.message || e}`, { provider, retryable: true, cause: e });
+}
+
+function extractContent(data) {
+  return (
+    data?.choices?.[0]?.message?.content?.trim() ||
+    data?.choices?.[0]?.text?.trim() ||
+    data?.output_text?.trim() ||
+    ''
+  );
+}
+
+async function postChat(provider, url, body, headers) {
+  try {
+    const res = await axios.post(url, body, {
+      headers: { 'Content-Type': 'application/json', ...headers },
+      timeout: TIMEOUT_MS,
+    });
+    return res.data;
+  } catch (e) {
+    throw toLlmError(provider, e);
+  }
+}
+
+// OpenAI-style server-sent events: `data: {"choices":[{"delta":{"content":"..."}}]}` … `data: [DONE]`
+async function postChatStream(provider, url, body, headers, onDelta) {
+  let res;
+  try {
+    res = await axios.post(url, { ...body, stream: true }, {
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...headers },
+      timeout: TIMEOUT_MS,
+      responseType: 'stream',
+    });
+  } catch (e) {
+    throw toLlmError(provider, e);
+  }
+
+  return new Promise((resolve, reject) => {
+    const stream = res.data;
+    let buffer = '';
+    let text = '';
+    let settled = false;
+    let idle = null;
+
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(idle);
+      stream.destroy?.();
+      if (err) reject(err); else resolve(text);
+    };
+    // The request timeout only covers the response headers; also give up when tokens stop
+    const armIdle = () => {
+      clearTimeout(idle);
+      idle = setTimeout(() => finish(new LlmError('timeout', `${provider} stream stalled for ${TIMEOUT_MS}ms`, {
+        provider, retryable: !text,
+      })), TIMEOUT_MS);
+    };
+
+    const handleLine = (line) => {
+      const m = /^data:\s?(.*)$/.exec(line.trim());
+      if (!m) return;
+      if (m[1] === '[DONE]') return finish();
+      let evt;
+      try { evt = JSON.parse(m[1]); } catch { return; }
+      const delta = evt?.choices?.[0]?.delta?.content ?? evt?.choices?.[0]?.text ?? '';
+      if (!delta) return;
+      text += delta;
+      try { onDelta?.(delta, text); } catch (e) { console.warn('[LLM] onDelta handler failed:', e?.message || e); }
+    };
+
+    armIdle();
+    stream.on('data', (chunk) => {
+      armIdle();
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    });
+    stream.on('end', () => { if (buffer) handleLine(buffer); finish(); });
+    stream.on('error', (e) => finish(new LlmError('network', `${provider} stream failed: ${e?.message || e}`, {
+      provider, retryable: !text, cause: e,
+    })));
+  });
+}
+
+// -------------------- Adapters --------------------
+function createAbacusAdapter() {
+  const name = 'abacus';
+  let endpoint = (process.env.ABACUS_LLM_ENDPOINT || '').trim() || null;
+
+  async function resolveEndpoint(apiKey) {
+    if (endpoint) return endpoint;
+    try {
+      const res = await axios.get('https://api.abacus.ai/api/v0/getApiEndpoint', {
+        headers: { apiKey },
+        timeout: TIMEOUT_MS,
+      });
+      endpoint = res?.data?.result?.llmEndpoint || null;
+    } catch (e) {
+      throw toLlmError(name, e);
+    }
+    if (!endpoint) throw new LlmError('config', 'Could not resolve Abacus.AI LLM endpoint', { provider: name });
+    return endpoint;
+  }
+
+  async function request({ messages, temperature }) {
+    const apiKey = requireEnv(name, 'ABACUS_API_KEY');
+    const base = (await resolveEndpoint(apiKey)).replace(/\/$/, '');
+    const body = {
+      model: (process.env.ABACUS_MODEL || '').trim() || undefined,
+      messages,
+      temperature,
+    };
+    return { base, body, headers: { apiKey } };
+  }
+
+  // RouteLLM endpoints are served with or without the /v1 prefix
+  async function withV1Fallback(base, send) {
+    try {
+      return await send(`${base}/v1/chat/completions`);
+    } catch (e) {
+      if (e.status !== 404) throw e;
+      return send(`${base}/chat/completions`);
+    }
+  }
+
+  return {
+    name,
+    async complete(req) {
+      const { base, body, headers } = await request(req);
+      return withV1Fallback(base, async (url) => extractContent(await postChat(name, url, body, headers)));
+    },
+    async stream(req, onDelta) {
+      const { base, body, headers } = await request(req);
+      return withV1Fallback(base, (url) => postChatStream(name, url, body, headers, onDelta));
+    },
+  };
+}
+
+function createOpenAiAdapter() {
+  const name = 'openai';
+  function request({ messages, temperature }) {
+    const apiKey = (process.env.OPENAI_API_KEY || '').trim();
+    const base = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').trim().replace(/\/$/, '');
+    const body = { model: requireEnv(name, 'OPENAI_MODEL'), messages, temperature };
+    // Local OpenAI-compatible servers often run without a key
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    return { url: `${base}/chat/completions`, body, headers };
+  }
+
+  return {
+    name,
+    async complete(req) {
+      const { url, body, headers } = request(req);
+      return extractContent(await postChat(name, url, body, headers));
+    },
+    async stream(req, onDelta) {
+      const { url, body, headers } = request(req);
+      return postChatStream(name, url, body, headers, onDelta);
+    },
+  };
+}
+
+function createAzureAdapter() {
+  const name = 'azure';
+  function request({ messages, temperature }) {
+    const endpoint = requireEnv(name, 'AZURE_OPENAI_ENDPOINT').replace(/\/$/, '');
+    const deployment = requireEnv(name, 'AZURE_OPENAI_DEPLOYMENT');
+    const apiKey = requireEnv(name, 'AZURE_OPENAI_API_KEY');
+    const apiVersion = (process.env.AZURE_OPENAI_API_VERSION || '2024-06-01').trim();
+    const url = `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
+    return { url, body: { messages, temperature }, headers: { 'api-key': apiKey } };
+  }
+
+  return {
+    name,
+    async complete(req) {
+      const { url, body, headers } = request(req);
+      return extractContent(await postChat(name, url, body, headers));
+    },
+    async stream(req, onDelta) {
+      const { url, body, headers } = request(req);
+      return postChatStream(name, url, body, headers, onDelta);
+    },
+  };
+}
+
+// Deterministic: the same prompt always yields the same note; a regeneration
+// prompt appends to the current note. Set LLM_STUB_RESPONSE to return a fixed
+// string instead. Streams in small chunks every LLM_STUB_CHUNK_MS (default 40ms).
+function createStubAdapter() {
+  const name = 'stub';
+  const chunkMs = Number(process.env.LLM_STUB_CHUNK_MS) || 40;
+  return {
+    name,
+    async stream(req, onDelta) {
+      const full = await this.complete(req);
+      let text = '';
+      for (let i = 0; i < full.length; i += 24) {
+        const delta = full.slice(i, i + 24);
+        text += delta;
+        onDelta?.(delta, text);
+        await sleep(chunkMs);
+      }
+      return text;
+    },
+    async complete({ messages }) {
+      if (process.env.LLM_STUB_RESPONSE) return process.env.LLM_STUB_RESPONSE;
+
+      const prompt = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+      const transcript = (prompt.split(/Transcript:\s*/i).pop() || '').trim();
+      const sentences = transcript.split(/(?<=[.?!])\s+/).map(s => s.trim()).filter(Boolean);
+      const pick = (re) => sentences.filter(s => re.test(s));
+      const orNone = (arr) => (arr.length ? arr : ['No data available']);
+
+      const note = {
+        'Chief Complaints': sentences.slice(0, 1),
+        'History of Present Illness': pick(/\b(since|for|started|ago|days?|weeks?)\b/i),
+        'Subjective': pick(/\b(feel|feels|pain|ache|reports?|complains?)\b/i),
+        'Objective': pick(/\b(bp|blood pressure|temp|temperature|pulse|exam|\d+\/\d+)\b/i),
+        'Assessment': [],
+        'Plan': pick(/\b(follow up|return|plan|recommend|order)\b/i),
+        'Medication': pick(/\b\d+(?:\.\d+)?\s*(?:mg|mcg|g|ml|units)\b/i),
+      };
+
+      // Regeneration prompt: keep the current note's lines and append the new ones
+      const current = /Current note \(JSON\):\s*(\{[\s\S]*\})\s*New transcript:/i.exec(prompt);
+      let existing = {};
+      try { existing = current ? JSON.parse(current[1]) : {}; } catch { existing = {}; }
+
+      return JSON.stringify(Object.fromEntries(Object.entries(note).map(([section, lines]) => {
+        const kept = [].concat(existing[section] || []).filter(l => l && l !== 'No data available');
+        return [section, orNone([...kept, ...lines.filter(l => !kept.includes(l))])];
+      })));
+    },
+  };
+}
+
+const ADAPTERS = {
+  abacus: createAbacusAdapter,
+  openai: createOpenAiAdapter,
+  azure: createAzureAdapter,
+  stub: createStubAdapter,
+};
+
+let adapter = null;
+function getAdapter() {
+  if (adapter) return adapter;
+  const factory = ADAPTERS[PROVIDER];
+  if (!factory) {
+    throw new LlmError('config', `Unknown LLM_PROVIDER "${PROVIDER}" (expected ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+  adapter = factory();
+  return adapter;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function backoffMs(attempt, err) {
+  const retryAfter = Number(err?.cause?.response?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, RETRY_MAX_MS);
+  const exp = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+/**
+ * Run a chat completion on the configured provider.
+ * @param {{ messages: Array<{ role: string, content: string }>, temperature?: number }} req
+ * @returns {Promise<string>} the assistant message text
+ * @throws {LlmError}
+ */
+async function complete({ messages, temperature } = {}) {
+  const a = getAdapter();
+  const temp = temperature ?? envNumber('LLM_TEMPERATURE', 'ABACUS_TEMPERATURE');
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const text = await a.complete({ messages, temperature: temp });
+      if (!text) throw new LlmError('empty_response', `${a.name} returned an empty response`, { provider: a.name });
+      return text;
+    } catch (e) {
+      const err = toLlmError(a.name, e);
+      err.attempts = attempt + 1;
+      if (!err.retryable || attempt >= MAX_RETRIES) throw err;
+      const wait = backoffMs(attempt, err);
+      console.warn(`[LLM] ${a.name} ${err.code} (attempt ${attempt + 1}/${MAX_RETRIES + 1}); retrying in ${Math.round(wait)}ms`);
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * Streaming chat completion. `onDelta(delta, textSoFar)` is called as tokens
+ * arrive. Retries only happen before the first token, so a caller never sees
+ * the same text twice.
+ * @param {{ messages: Array<{ role: string, content: string }>, temperature?: number, onDelta?: (delta: string, text: string) => void }} req
+ * @returns {Promise<string>} the full assistant message text
+ * @throws {LlmError}
+ */
+async function stream({ messages, temperature, onDelta } = {}) {
+  const a = getAdapter();
+  if (!STREAM_ENABLED || typeof a.stream !== 'function') {
+    const text = await complete({ messages, temperature });
+    onDelta?.(text, text);
+    return text;
+  }
+
+  const temp = temperature ?? envNumber('LLM_TEMPERATURE', 'ABACUS_TEMPERATURE');
+  for (let attempt = 0; ; attempt++) {
+    let received = false;
+    try {
+      const text = (await a.stream({ messages, temperature: temp }, (delta, soFar) => {
+        received = true;
+        onDelta?.(delta, soFar);
+      })).trim();
+      if (!text) throw new LlmError('empty_response', `${a.name} returned an empty response`, { provider: a.name });
+      return text;
+    } catch (e) {
+      const err = toLlmError(a.name, e);
+      err.attempts = attempt + 1;
+      if (received) err.retryable = false;
+      if (!err.retryable || attempt >= MAX_RETRIES) throw err;
+      const wait = backoffMs(attempt, err);
+      console.warn(`[LLM] ${a.name} stream ${err.code} (attempt ${attempt + 1}/${MAX_RETRIES + 1}); retrying in ${Math.round(wait)}ms`);
+      await sleep(wait);
+    }
+  }
+}
+
+function providerName() {
+  return PROVIDER;
+}
+
+module.exports = {
+  LlmError,
+  complete,
+  stream,
+  providerName,
+};
@@ -0,0 +1,174 @@
+// ========================================
+// Medication Parser
+// ========================================
+// Turns free-text Medication lines from a SOAP note ("Take ibuprofen 400 mg
+// PO twice daily for pain") into structured entries:
+//   { name, strength, unit, form, route, frequency, raw }
+// `formatMedication` gives the short display string ("ibuprofen 400 mg") used
+// in the note and for drug lookups.
+
+const NO_DATA_RE = /^\s*(no data available|none|n\/a|na|no medications?)\s*\.?\s*$/i;
+
+const UNIT_RE = '(?:mg\\/ml|mg\\/5\\s?ml|mcg\\/hr|mg|mcg|µg|ug|g|kg|ml|mcl|l|iu|units?|meq|%)';
+// 500 mg, 2.5mg, 5/325 mg, 0.05%
+const STRENGTH_RE = new RegExp(`(\\d+(?:\\.\\d+)?(?:\\s*\\/\\s*\\d+(?:\\.\\d+)?)?)\\s*(${UNIT_RE})(?![a-z])`, 'i');
+
+// Matched against the lower-cased line; first hit wins
+const ROUTES = [
+  [/\b(?:po|p\.o\.|by mouth|orally|oral)\b/, 'oral'],
+  [/\b(?:iv|intravenous(?:ly)?)\b/, 'intravenous'],
+  [/\b(?:im|intramuscular(?:ly)?)\b/, 'intramuscular'],
+  [/\b(?:sc|sq|subq|subcut|subcutaneous(?:ly)?)\b/, 'subcutaneous'],
+  [/\b(?:sl|sublingual(?:ly)?)\b/, 'sublingual'],
+  [/\b(?:pr|rectal(?:ly)?)\b/, 'rectal'],
+  [/\b(?:inhaled|inhalation|inhaler|nebuli[sz]ed)\b/, 'inhalation'],
+  [/\b(?:topical(?:ly)?|apply)\b/, 'topical'],
+  [/\b(?:transdermal|patch)\b/, 'transdermal'],
+  [/\b(?:intranasal|nasal(?:ly)?)\b/, 'nasal'],
+  [/\b(?:ophthalmic|eye drops?)\b/, 'ophthalmic'],
+  [/\b(?:otic|ear drops?)\b/, 'otic'],
+];
+
+const FREQUENCIES = [
+  [/\b(?:bid|b\.i\.d\.|twice (?:a )?daily|twice a day|two times (?:a )?day|q12h)\b/, 'twice daily'],
+  [/\b(?:tid|t\.i\.d\.|three times (?:a )?(?:daily|day)|q8h)\b/, 'three times daily'],
+  [/\b(?:qid|q\.i\.d\.|four times (?:a )?(?:daily|day)|q6h)\b/, 'four times daily'],
+  // after the multi-dose entries so "twice daily" is not read as "daily"
+  [/\b(?:qd|od|once (?:a )?daily|once a day|daily|every day|q24h)\b/, 'once daily'],
+  [/\b(?:qhs|hs|at bedtime|nightly|at night)\b/, 'at bedtime'],
+  [/\b(?:qam|every morning|in the morning)\b/, 'every morning'],
+  [/\bq\s?(\d+)\s?h(?:rs?|ours?)?\b/, (m) => `every ${m[1]} hours`],
+  [/\bevery (\d+) hours?\b/, (m) => `every ${m[1]} hours`],
+  [/\b(?:weekly|once a week|every week)\b/, 'weekly'],
+  [/\b(?:stat|once|single dose)\b/, 'once'],
+];
+
+// Canonical dosage forms; first hit wins, so specific forms come before "tablet"
+const DOSAGE_FORMS = [
+  [/\b(?:suspension|susp)\b/, 'suspension'],
+  [/\b(?:syrup|elixir)\b/, 'syrup'],
+  [/\b(?:oral )?(?:solution|soln|liquid)\b/, 'solution'],
+  [/\b(?:injection|inj|injectable|vial|ampoule|amp)\b/, 'injection'],
+  [/\b(?:inhaler|mdi|puffer)\b/, 'inhaler'],
+  [/\b(?:eye drops?|ear drops?|drops?)\b/, 'drops'],
+  [/\b(?:cream)\b/, 'cream'],
+  [/\b(?:ointment|oint)\b/, 'ointment'],
+  [/\b(?:gel)\b/, 'gel'],
+  [/\b(?:patch(?:es)?)\b/, 'patch'],
+  [/\b(?:suppositor(?:y|ies))\b/, 'suppository'],
+  [/\b(?:capsules?|caps?)\b/, 'capsule'],
+  [/\b(?:tablets?|tabs?)\b/, 'tablet'],
+];
+
+const PRN_RE = /\b(?:prn|as needed|when needed|as required)\b/;
+
+// Leading subject, verbs and filler ("Patient to take one tablet of ...",
+// "Start with ...") and trailing instruction words that are not part of the name.
+// An article is only dropped after one of those words: "A and D ointment" keeps its "A".
+const LEAD_WORDS_RE = /^(?:(?:(?:the\s+)?(?:patient|pt)\s+(?:is\s+to|to|should|will|is|was|has\s+been)|(?:take|taking|start(?:ed)?|continue|continued|give|given|prescribe(?:d)?|recommend(?:ed)?|use|apply|resume|increase|decrease|add|with|of|on|one|two|three|half|\d+|(?:tablets?|tabs?|capsules?|caps?|puffs?|drops?)(?:\s+of)?)(?:\s+(?:a|an|the))?)\s+)+/i;
+const NAME_STOP_RE = /\b(?:take|taking|give|use|apply|one|two|three|daily|once|twice|bid|tid|qid|qd|od|po|iv|im|sc|prn|before|after|with|without|meals?|for|x|weeks?|days?|hours?|tablets?|tabs?|capsules?|caps?|by|every|at|as|per|via|orally|oral|puffs?|drops?)\b|\b\d/i;
+
+function cleanLine(s) {
+  return String(s ?? '')
+    .replace(/^\s*[-•●*]*\s*\d*[.)]?\s*/, '') // bullets / numbering
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+const UNIT_SPELLING = { iu: 'IU', ml: 'mL', mcl: 'mcL', l: 'L', meq: 'mEq', unit: 'units', ug: 'mcg', 'µg': 'mcg' };
+
+function normalizeUnit(u) {
+  const key = u.toLowerCase().replace(/\s+/g, '');
+  return UNIT_SPELLING[key] || key.replace(/ml$/, 'mL');
+}
+
+function matchFirst(table, text) {
+  for (const [re, value] of table) {
+    const m = text.match(re);
+    if (m) return typeof value === 'function' ? value(m) : value;
+  }
+  return null;
+}
+
+/**
+ * First strength in free text ("Amoxicillin 250mg/5ml" → { strength: '250', unit: 'mg/5mL' }).
+ * @returns {{ strength: string, unit: string } | null}
+ */
+function parseStrength(text) {
+  const m = String(text ?? '').match(STRENGTH_RE);
+  return m ? { strength: m[1].replace(/\s+/g, ''), unit: normalizeUnit(m[2]) } : null;
+}
+
+/** Canonical dosage form mentioned in free text, or null. */
+function parseDosageForm(text) {
+  return matchFirst(DOSAGE_FORMS, String(text ?? '').toLowerCase());
+}
+
+function extractName(line, strengthIndex) {
+  let head = strengthIndex >= 0 ? line.slice(0, strengthIndex) : line;
+  head = head.replace(LEAD_WORDS_RE, '');
+  const stop = head.search(NAME_STOP_RE);
+  if (stop > 0) head = head.slice(0, stop);
+  // Drop parentheticals and trailing punctuation ("Metformin (Glucophage),")
+  return head
+    .replace(/\s*[([{].*$/, '')
+    .split(/\s*[,;:]\s*/)[0]
+    .replace(/[\s\-–—.]+$/, '')
+    .trim();
+}
+
+/**
+ * Parse one Medication line.
+ * @returns {{ name: string, strength: string|null, unit: string|null, form: string|null, route: string|null, frequency: string|null, raw: string } | null}
+ */
+function parseMedicationLine(line) {
+  const raw = cleanLine(line);
+  if (!raw || NO_DATA_RE.test(raw)) return null;
+
+  const m = raw.match(STRENGTH_RE);
+  const name = extractName(raw, m ? m.index : -1);
+  if (!name || !/[a-z]/i.test(name)) return null;
+
+  const lower = raw.toLowerCase();
+  let frequency = matchFirst(FREQUENCIES, lower);
+  if (PRN_RE.test(lower)) frequency = frequency ? `${frequency} as needed` : 'as needed';
+
+  return {
+    name,
+    strength: m ? m[1].replace(/\s+/g, '') : null,
+    unit: m ? normalizeUnit(m[2]) : null,
+    form: matchFirst(DOSAGE_FORMS, lower),
+    route: matchFirst(ROUTES, lower),
+    frequency,
+    raw,
+  };
+}
+
+/**
+ * Parse a Medication section (array of lines or a single string).
+ * Lines that hold several drugs separated by ";" or newlines are split.
+ */
+function parseMedicationList(section) {
+  const lines = Array.isArray(section) ? section : typeof section === 'string' ? [section] : [];
+  return lines
+    .flatMap(l => String(l ?? '').split(/\r?\n|;/))
+    .map(parseMedicationLine)
+    .filter(Boolean);
+}
+
+/** "ibuprofen 400 mg", "amoxicillin 250 mg/5mL suspension" (no form repeated from the name: "Albuterol inhaler") */
+function formatMedication(entry) {
+  if (!entry) return '';
+  const parts = [entry.name];
+  if (entry.strength) parts.push(`${entry.strength}${entry.unit === '%' ? '' : ' '}${entry.unit}`);
+  if (entry.form && parseDosageForm(entry.name.split(/\s+/).pop()) !== entry.form) parts.push(entry.form);
+  return parts.join(' ');
+}
+
+module.exports = {
+  parseMedicationLine,
+  parseMedicationList,
+  formatMedication,
+  parseStrength,
+  parseDosageForm,
+};
@@ -0,0 +1,348 @@
+// ========================================
+// Chat Message Store
+// ========================================
+// Persists chat messages so history survives restarts and is the same on
+// every instance behind the Redis adapter. Each message carries the
+// `conversation` it belongs to (the `pair:` room id of its two ends) so
+// history and clears can be scoped to one provider/scribe pair.
+//
+// Backends (MESSAGE_STORE):
+//   sql    - [dbo].[chat_messages] via the shared Sequelize connection (default)
+//   memory - bounded in-process list (MESSAGE_MEMORY_MAX, default 1000)
+// If the SQL table cannot be reached on first use we fall back to memory.
+
+const crypto = require('crypto');
+const { Sequelize } = require('sequelize');
+const { sequelize } = require('../database/database-config');
+
+const SCHEMA = 'dbo';
+const TABLE = 'chat_messages';
+const MESSAGE_STORE = (process.env.MESSAGE_STORE || 'sql').toLowerCase();
+const MEMORY_MAX = Number(process.env.MESSAGE_MEMORY_MAX) || 1000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_RECEIPT_IDS = 200;
+
+function clampLimit(limit) {
+  const n = Number(limit);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_LIMIT;
+  return Math.min(Math.floor(n), MAX_LIMIT);
+}
+
+// `before` may be an ISO string or epoch ms; anything else means "now"
+function parseBefore(before) {
+  if (before == null || before === '') return null;
+  const t = typeof before === 'number' ? before : Date.parse(before);
+  if (Number.isFinite(t)) return t;
+  const n = Number(before);
+  return Number.isFinite(n) ? n : null;
+}
+
+// -------------------- Memory backend --------------------
+function createMemoryStore() {
+  const items = []; // oldest → newest
+
+  function matches(m, { beforeTs, peerId, participant, conversation }) {
+    if (beforeTs != null && m.ts >= beforeTs) return false;
+    if (peerId && m.from !== peerId && m.to !== peerId) return false;
+    if (participant && (!m.conversation || (m.from !== participant && m.to !== participant))) return false;
+    if (conversation && m.conversation !== conversation) return false;
+    return true;
+  }
+
+  return {
+    name: 'memory',
+
+    async insert(rec) {
+      items.push(rec);
+      if (items.length > MEMORY_MAX) items.shift();
+    },
+
+    async history(opts) {
+      const out = [];
+      for (let i = items.length - 1; i >= 0 && out.length <= opts.limit; i--) {
+        if (matches(items[i], opts)) out.push(items[i]);
+      }
+      return out; // newest → oldest, up to limit + 1
+    },
+
+    async clearConversation(conversation) {
+      for (let i = items.length - 1; i >= 0; i--) {
+        if (items[i].conversation === conversation) items.splice(i, 1);
+      }
+    },
+
+    async markStatus(ids, field, at, { recipient, sender }) {
+      const wanted = new Set(ids);
+      for (const m of items) {
+        if (wanted.has(m.id) && m.to === recipient && m.from === sender && !m[field]) m[field] = at;
+      }
+    },
+
+    async search({ q, beforeTs, limit, peerId }) {
+      const needle = q.toLowerCase();
+      const out = [];
+      for (let i = items.length - 1; i >= 0 && out.length <= limit; i--) {
+        const m = items[i];
+        if (!matches(m, { beforeTs, peerId })) continue;
+        if (`${m.text} ${m.sender}`.toLowerCase().includes(needle)) out.push(m);
+      }
+      return out;
+    },
+  };
+}
+
+// -------------------- SQL backend --------------------
+function rowToMessage(row) {
+  const ts = new Date(row.created_at).getTime();
+  return {
+    id: row.id,
+    type: 'message',
+    from: row.from_xr_id,
+    to: row.to_xr_id || undefined,
+    conversation: row.conversation || null,
+    text: row.text,
+    urgent: !!row.urgent,
+    sender: row.sender,
+    xrId: row.from_xr_id,
+    timestamp: new Date(ts).toISOString(),
+    deliveredAt: row.delivered_at ? new Date(row.delivered_at).toISOString() : null,
+    readAt: row.read_at ? new Date(row.read_at).toISOString() : null,
+    ts,
+  };
+}
+
+// Escape LIKE wildcards so user input is matched literally
+function likeEscape(s) {
+  return s.replace(/[\\%_[]/g, ch => `\\${ch}`);
+}
+
+function createSqlStore() {
+  const columns = 'id, from_xr_id, to_xr_id, conversation, sender, text, urgent, created_at, delivered_at, read_at';
+
+  async function select(where, replacements, limit) {
+    const rows = await sequelize.query(
+      `SELECT TOP (:take) ${columns}
+       FROM [${SCHEMA}].[${TABLE}]
+       WHERE ${where.join(' AND ') || '1 = 1'}
+       ORDER BY created_at DESC, seq DESC`,
+      { replacements: { ...replacements, take: limit + 1 }, type: Sequelize.QueryTypes.SELECT }
+    );
+    return rows.map(rowToMessage);
+  }
+
+  function baseFilters({ beforeTs, peerId, participant, conversation }) {
+    const where = [];
+    const replacements = {};
+    if (beforeTs != null) {
+      where.push('created_at < :before');
+      replacements.before = new Date(beforeTs);
+    }
+    if (peerId) {
+      where.push('(from_xr_id = :peerId OR to_xr_id = :peerId)');
+      replacements.peerId = peerId;
+    }
+    if (participant) {
+      where.push('conversation IS NOT NULL AND (from_xr_id = :participant OR to_xr_id = :participant)');
+      replacements.participant = participant;
+    }
+    if (conversation) {
+      where.push('conversation = :conversation');
+      replacements.conversation = conversation;
+    }
+    return { where, replacements };
+  }
+
+  return {
+    name: 'sql',
+
+    async init() {
+      await sequelize.query(`
+        IF OBJECT_ID(N'[${SCHEMA}].[${TABLE}]', N'U') IS NULL
+        BEGIN
+          CREATE TABLE [${SCHEMA}].[${TABLE}] (
+            seq BIGINT IDENTITY(1,1) PRIMARY KEY,
+            id NVARCHAR(36) NOT NULL UNIQUE,
+            from_xr_id NVARCHAR(64) NULL,
+            to_xr_id NVARCHAR(64) NULL,
+            sender NVARCHAR(128) NULL,
+            text NVARCHAR(MAX) NOT NULL,
+            urgent BIT NOT NULL DEFAULT 0,
+            created_at DATETIME2(3) NOT NULL
+          );
+          CREATE INDEX IX_${TABLE}_created_at ON [${SCHEMA}].[${TABLE}] (created_at DESC);
+        END
+
+        IF COL_LENGTH(N'${SCHEMA}.${TABLE}', N'conversation') IS NULL
+        BEGIN
+          ALTER TABLE [${SCHEMA}].[${TABLE}] ADD conversation NVARCHAR(160) NULL;
+          CREATE INDEX IX_${TABLE}_conversation ON [${SCHEMA}].[${TABLE}] (conversation, created_at DESC);
+        END
+
+        IF COL_LENGTH(N'${SCHEMA}.${TABLE}', N'delivered_at') IS NULL
+          ALTER TABLE [${SCHEMA}].[${TABLE}] ADD delivered_at DATETIME2(3) NULL, read_at DATETIME2(3) NULL;
+      `);
+    },
+
+    async insert(rec) {
+      await sequelize.query(
+        `INSERT INTO [${SCHEMA}].[${TABLE}] (id, from_xr_id, to_xr_id, conversation, sender, text, urgent, created_at)
+         VALUES (:id, :from, :to, :conversation, :sender, :text, :urgent, :createdAt)`,
+        {
+          replacements: {
+            id: rec.id,
+            from: rec.from || null,
+            to: rec.to || null,
+            conversation: rec.conversation || null,
+            sender: rec.sender || null,
+            text: rec.text,
+            urgent: rec.urgent ? 1 : 0,
+            createdAt: new Date(rec.ts),
+          },
+          type: Sequelize.QueryTypes.INSERT,
+        }
+      );
+    },
+
+    async history(opts) {
+      const { where, replacements } = baseFilters(opts);
+      return select(where, replacements, opts.limit);
+    },
+
+    async search(opts) {
+      const { where, replacements } = baseFilters(opts);
+      where.push("(text LIKE :q ESCAPE '\\' OR sender LIKE :q ESCAPE '\\')");
+      replacements.q = `%${likeEscape(opts.q)}%`;
+      return select(where, replacements, opts.limit);
+    },
+
+    async markStatus(ids, field, at, { recipient, sender }) {
+      const column = field === 'readAt' ? 'read_at' : 'delivered_at';
+      await sequelize.query(
+        `UPDATE [${SCHEMA}].[${TABLE}] SET ${column} = :at
+         WHERE id IN (:ids) AND to_xr_id = :recipient AND from_xr_id = :sender AND ${column} IS NULL`,
+        { replacements: { ids, at: new Date(at), recipient, sender }, type: Sequelize.QueryTypes.UPDATE }
+      );
+    },
+
+    async clearConversation(conversation) {
+      await sequelize.query(
+        `DELETE FROM [${SCHEMA}].[${TABLE}] WHERE conversation = :conversation`,
+        { replacements: { conversation }, type: Sequelize.QueryTypes.DELETE }
+      );
+    },
+  };
+}
+
+// -------------------- Backend selection --------------------
+let backendPromise = null;
+
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      if (MESSAGE_STORE === 'sql') {
+        const store = createSqlStore();
+        try {
+          await store.init();
+          console.log('[MSG_STORE] Using SQL backend');
+          return store;
+        } catch (e) {
+          console.warn('[MSG_STORE] SQL unavailable; falling back to memory:', e?.message || e);
+        }
+      }
+      console.log(`[MSG_STORE] Using memory backend (max ${MEMORY_MAX})`);
+      return createMemoryStore();
+    })();
+  }
+  return backendPromise;
+}
+
+/**
+ * Record a chat message. The id is assigned here so callers can emit it
+ * immediately; persistence happens in the background.
+ */
+function addMessage(message) {
+  const ts = Date.now();
+  const rec = {
+    ...message,
+    id: crypto.randomUUID(),
+    text: String(message?.text ?? ''),
+    timestamp: message?.timestamp || new Date(ts).toISOString(),
+    ts,
+  };
+
+  getBackend()
+    .then(b => b.insert(rec))
+    .catch(e => console.warn('[MSG_STORE] insert failed:', e?.message || e));
+
+  return rec;
+}
+
+// Results are returned oldest → newest, with a cursor for the next older page
+function toPage(rows, limit) {
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit).reverse();
+  return {
+    messages: page.map(({ ts, ...m }) => m),
+    hasMore,
+    nextBefore: hasMore && page.length ? page[0].timestamp : null,
+  };
+}
+
+/**
+ * Page through history, newest first.
+ * `participant` limits to conversations that xrId is part of; `conversation`
+ * to a single pair; `peerId` to anything sent by or to that device.
+ */
+async function getHistory({ before, limit, peerId, participant, conversation } = {}) {
+  const take = clampLimit(limit);
+  const backend = await getBackend();
+  const rows = await backend.history({
+    beforeTs: parseBefore(before),
+    limit: take,
+    peerId: peerId || null,
+    participant: participant || null,
+    conversation: conversation || null,
+  });
+  return toPage(rows, take);
+}
+
+async function searchMessages({ q, before, limit, peerId } = {}) {
+  const query = String(q || '').trim();
+  if (!query) return { messages: [], hasMore: false, nextBefore: null };
+
+  const take = clampLimit(limit);
+  const backend = await getBackend();
+  const rows = await backend.search({ q: query, beforeTs: parseBefore(before), limit: take, peerId: peerId || null });
+  return toPage(rows, take);
+}
+
+async function clearConversation(conversation) {
+  if (!conversation) return;
+  const backend = await getBackend();
+  await backend.clearConversation(conversation);
+}
+
+/**
+ * Record a receipt. 'read' implies 'delivered' (a read receipt can arrive
+ * first if the delivery ack was lost). Only messages `sender` sent to
+ * `recipient` are updated, and at most MAX_RECEIPT_IDS of them.
+ */
+async function markStatus(ids, status, { recipient, sender } = {}) {
+  if (!Array.isArray(ids) || ids.length === 0 || !recipient || !sender) return;
+  const backend = await getBackend();
+  const at = new Date().toISOString();
+  const scope = { recipient, sender };
+  ids = ids.slice(0, MAX_RECEIPT_IDS);
+  await backend.markStatus(ids, 'deliveredAt', at, scope);
+  if (status === 'read') await backend.markStatus(ids, 'readAt', at, scope);
+}
+
+module.exports = {
+  MAX_RECEIPT_IDS,
+  addMessage,
+  markStatus,
+  getHistory,
+  searchMessages,
+  clearConversation,
+};
@@ -0,0 +1,529 @@
+// ========================================
+// Metrics Store
+// ========================================
+// History behind the dashboard's device detail charts: telemetry (network,
+// battery, CPU / memory / temperature) and WebRTC quality samples per device.
+// These used to live in in-memory Maps trimmed to 24 hours, so the charts went
+// blank after every restart and showed different data per instance.
+//
+// Two resolutions:
+//   raw  every sample as received, kept METRICS_RAW_RETENTION_MS (default 24h)
+//   1m   one row per device and minute, kept METRICS_ROLLUP_RETENTION_MS
+//        (default 30 days): numeric fields averaged, others the last value,
+//        `n` = number of samples
+// Minutes are rolled up here as samples arrive and written once complete;
+// writes are buffered and flushed every METRICS_FLUSH_MS (default 5s).
+// Queries include samples that are not written yet.
+//
+// Backends (METRICS_STORE):
+//   file   - append-only JSON-lines day files in METRICS_DIR (default
+//            backend/data/metrics), replayed into memory at startup (default)
+//   sql    - [dbo].[device_metrics_raw] and [dbo].[device_metrics_1m] via the
+//            shared Sequelize connection, so every instance sees the same history
+//   memory - in-process only
+// If the SQL tables cannot be reached on first use we fall back to the file
+// store, and to memory when the directory is not writable.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Sequelize } = require('sequelize');
+const { sequelize } = require('../database/database-config');
+
+const SCHEMA = 'dbo';
+const RAW_TABLE = 'device_metrics_raw';
+const ROLLUP_TABLE = 'device_metrics_1m';
+const KINDS = ['telemetry', 'quality'];
+const RESOLUTIONS = ['raw', '1m', 'auto'];
+
+const METRICS_STORE = (process.env.METRICS_STORE || 'file').toLowerCase();
+const METRICS_DIR = process.env.METRICS_DIR || path.join(__dirname, '..', 'data', 'metrics');
+const RAW_RETENTION_MS = Number(process.env.METRICS_RAW_RETENTION_MS) || 24 * 60 * 60 * 1000;
+const ROLLUP_RETENTION_MS = Number(process.env.METRICS_ROLLUP_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000;
+const FLUSH_MS = Number(process.env.METRICS_FLUSH_MS) || 5000;
+const PRUNE_MS = 10 * 60 * 1000;
+const ROLLUP_MS = 60 * 1000;
+const ROLLUP_GRACE_MS = 10 * 1000;        // batched quality reports still land in their minute
+const AUTO_RAW_MAX_SPAN_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 5000;
+const MAX_LIMIT = 50000;
+const MAX_PENDING = 50000;                // unwritten samples kept while the backend is failing
+const SQL_BATCH = 200;                    // rows per INSERT (4-5 parameters each, limit 2100)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function clampLimit(limit) {
+  const n = Number(limit);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_LIMIT;
+  return Math.min(Math.floor(n), MAX_LIMIT);
+}
+
+// -------------------- Sorted series helpers --------------------
+// First index whose ts is >= ts
+function lowerBound(arr, ts) {
+  let lo = 0, hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (arr[mid].ts < ts) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// Samples nearly always arrive in order, so this is almost always a push
+function insertSorted(arr, item) {
+  if (!arr.length || arr[arr.length - 1].ts <= item.ts) { arr.push(item); return; }
+  arr.splice(lowerBound(arr, item.ts + 1), 0, item);
+}
+
+// The newest `limit` items with from <= ts <= to
+function rangeOf(arr, fromTs, toTs, limit) {
+  const start = lowerBound(arr, fromTs);
+  const end = lowerBound(arr, toTs + 1);
+  return arr.slice(Math.max(start, end - limit), end);
+}
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+// -------------------- Memory backend --------------------
+function createMemoryStore() {
+  const raw = new Map();      // "kind|xrId" → samples, oldest first
+  const rollups = new Map();  // "kind|xrId" → minute rows, oldest first
+  const key = (kind, xrId) => `${kind}|${xrId}`;
+
+  function add(map, k, item) {
+    if (!map.has(k)) map.set(k, []);
+    insertSorted(map.get(k), item);
+  }
+  function trim(map, cutoff) {
+    for (const [k, arr] of map) {
+      const i = lowerBound(arr, cutoff);
+      if (i) arr.splice(0, i);
+      if (!arr.length) map.delete(k);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async appendRaw(rows) {
+      for (const r of rows) add(raw, key(r.kind, r.xrId), r.sample);
+    },
+
+    async appendRollups(rows) {
+      for (const r of rows) add(rollups, key(r.kind, r.xrId), r.row);
+    },
+
+    async queryRaw(kind, xrId, fromTs, toTs, limit) {
+      return rangeOf(raw.get(key(kind, xrId)) || [], fromTs, toTs, limit);
+    },
+
+    async queryRollups(kind, xrId, fromTs, toTs, limit) {
+      return rangeOf(rollups.get(key(kind, xrId)) || [], fromTs, toTs, limit);
+    },
+
+    async prune(rawCutoff, rollupCutoff) {
+      trim(raw, rawCutoff);
+      trim(rollups, rollupCutoff);
+    },
+  };
+}
+
+// -------------------- File backend --------------------
+// raw-YYYY-MM-DD.jsonl / 1m-YYYY-MM-DD.jsonl (UTC day of writing), one
+// { k: kind, x: xrId, s: sample|row } per line. Whole files are deleted once
+// everything they can hold is past retention.
+function createFileStore() {
+  const mem = createMemoryStore();
+  const FILE_RE = /^(raw|1m)-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+  const fileFor = (prefix) => path.join(METRICS_DIR, `${prefix}-${new Date().toISOString().slice(0, 10)}.jsonl`);
+
+  async function listFiles() {
+    return (await fs.promises.readdir(METRICS_DIR)).filter(f => FILE_RE.test(f)).sort();
+  }
+
+  async function appendLines(prefix, lines) {
+    if (lines.length) await fs.promises.appendFile(fileFor(prefix), lines.join('\n') + '\n');
+  }
+
+  async function replay(file, cutoff) {
+    const rows = [];
+    const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line) continue;
+      try {
+        const r = JSON.parse(line);
+        if (r?.k && r.x && r.s?.ts >= cutoff) rows.push(r);
+      } catch { /* torn last line after a crash */ }
+    }
+    return rows;
+  }
+
+  return {
+    name: 'file',
+
+    async init() {
+      await fs.promises.mkdir(METRICS_DIR, { recursive: true });
+      const now = Date.now();
+      let count = 0;
+      for (const f of await listFiles()) {
+        const isRaw = f.startsWith('raw-');
+        const rows = await replay(path.join(METRICS_DIR, f), now - (isRaw ? RAW_RETENTION_MS : ROLLUP_RETENTION_MS));
+        if (isRaw) await mem.appendRaw(rows.map(r => ({ kind: r.k, xrId: r.x, sample: r.s })));
+        else await mem.appendRollups(rows.map(r => ({ kind: r.k, xrId: r.x, row: r.s })));
+        count += rows.length;
+      }
+      console.log(`[METRICS] Replayed ${count} stored point(s) from ${METRICS_DIR}`);
+    },
+
+    async appendRaw(rows) {
+      // File first: a failed write is retried as a whole and must not leave copies in memory
+      await appendLines('raw', rows.map(r => JSON.stringify({ k: r.kind, x: r.xrId, s: r.sample })));
+      await mem.appendRaw(rows);
+    },
+
+    async appendRollups(rows) {
+      await appendLines('1m', rows.map(r => JSON.stringify({ k: r.kind, x: r.xrId, s: r.row })));
+      await mem.appendRollups(rows);
+    },
+
+    queryRaw: mem.queryRaw,
+    queryRollups: mem.queryRollups,
+
+    async prune(rawCutoff, rollupCutoff) {
+      await mem.prune(rawCutoff, rollupCutoff);
+      for (const f of await listFiles()) {
+        const [, prefix, day] = FILE_RE.exec(f);
+        const dayEnd = Date.parse(`${day}T00:00:00Z`) + DAY_MS;
+        if (dayEnd <= (prefix === 'raw' ? rawCutoff : rollupCutoff)) {
+          await fs.promises.unlink(path.join(METRICS_DIR, f)).catch(() => {});
+        }
+      }
+    },
+  };
+}
+
+// -------------------- SQL backend --------------------
+function parseJson(s) {
+  if (s == null) return null;
+  try { return JSON.parse(s); } catch { return null; }
+}
+
+function createSqlStore() {
+  const RT = `[${SCHEMA}].[${RAW_TABLE}]`;
+  const UT = `[${SCHEMA}].[${ROLLUP_TABLE}]`;
+
+  // Multi-row INSERT in batches; values(row, j, replacements) → "(...)"
+  async function insertBatches(sqlHead, rows, values) {
+    for (let i = 0; i < rows.length; i += SQL_BATCH) {
+      const replacements = {};
+      const tuples = rows.slice(i, i + SQL_BATCH).map((r, j) => values(r, j, replacements));
+      await sequelize.query(`${sqlHead} VALUES ${tuples.join(', ')}`, {
+        replacements, type: Sequelize.QueryTypes.INSERT,
+      });
+    }
+  }
+
+  async function selectNewest(table, kind, xrId, fromTs, toTs, limit) {
+    const rows = await sequelize.query(
+      `SELECT data FROM (
+         SELECT TOP (:limit) ts, data FROM ${table}
+         WHERE kind = :kind AND xr_id = :xrId AND ts >= :from AND ts <= :to
+         ORDER BY ts DESC
+       ) newest ORDER BY ts ASC`,
+      {
+        replacements: { limit, kind, xrId, from: new Date(fromTs), to: new Date(toTs) },
+        type: Sequelize.QueryTypes.SELECT,
+      }
+    );
+    return rows.map(r => parseJson(r.data)).filter(Boolean);
+  }
+
+  return {
+    name: 'sql',
+
+    async init() {
+      await sequelize.query(`
+        IF OBJECT_ID(N'${RT}', N'U') IS NULL
+        BEGIN
+          CREATE TABLE ${RT} (
+            seq BIGINT IDENTITY(1,1) PRIMARY KEY,
+            kind VARCHAR(16) NOT NULL,
+            xr_id NVARCHAR(64) NOT NULL,
+            ts DATETIME2(3) NOT NULL,
+            data NVARCHAR(MAX) NOT NULL
+          );
+          CREATE INDEX IX_${RAW_TABLE}_series ON ${RT} (kind, xr_id, ts);
+          CREATE INDEX IX_${RAW_TABLE}_ts ON ${RT} (ts);
+        END
+
+        IF OBJECT_ID(N'${UT}', N'U') IS NULL
+        BEGIN
+          CREATE TABLE ${UT} (
+            seq BIGINT IDENTITY(1,1) PRIMARY KEY,
+            kind VARCHAR(16) NOT NULL,
+            xr_id NVARCHAR(64) NOT NULL,
+            ts DATETIME2(0) NOT NULL,
+            n INT NOT NULL,
+            data NVARCHAR(MAX) NOT NULL
+          );
+          CREATE INDEX IX_${ROLLUP_TABLE}_series ON ${UT} (kind, xr_id, ts);
+          CREATE INDEX IX_${ROLLUP_TABLE}_ts ON ${UT} (ts);
+        END
+      `);
+    },
+
+    async appendRaw(rows) {
+      await insertBatches(`INSERT INTO ${RT} (kind, xr_id, ts, data)`, rows, (r, j, rep) => {
+        Object.assign(rep, { [`k${j}`]: r.kind, [`x${j}`]: r.xrId, [`t${j}`]: new Date(r.sample.ts), [`d${j}`]: JSON.stringify(r.sample) });
+        return `(:k${j}, :x${j}, :t${j}, :d${j})`;
+      });
+    },
+
+    async appendRollups(rows) {
+      await insertBatches(`INSERT INTO ${UT} (kind, xr_id, ts, n, data)`, rows, (r, j, rep) => {
+        Object.assign(rep, { [`k${j}`]: r.kind, [`x${j}`]: r.xrId, [`t${j}`]: new Date(r.row.ts), [`n${j}`]: r.row.n, [`d${j}`]: JSON.stringify(r.row) });
+        return `(:k${j}, :x${j}, :t${j}, :n${j}, :d${j})`;
+      });
+    },
+
+    queryRaw: (kind, xrId, fromTs, toTs, limit) => selectNewest(RT, kind, xrId, fromTs, toTs, limit),
+    queryRollups: (kind, xrId, fromTs, toTs, limit) => selectNewest(UT, kind, xrId, fromTs, toTs, limit),
+
+    async prune(rawCutoff, rollupCutoff) {
+      await sequelize.query(`DELETE FROM ${RT} WHERE ts < :cutoff`, {
+        replacements: { cutoff: new Date(rawCutoff) }, type: Sequelize.QueryTypes.DELETE,
+      });
+      await sequelize.query(`DELETE FROM ${UT} WHERE ts < :cutoff`, {
+        replacements: { cutoff: new Date(rollupCutoff) }, type: Sequelize.QueryTypes.DELETE,
+      });
+    },
+  };
+}
+
+// -------------------- Backend selection --------------------
+let backendPromise = null;
+
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      if (METRICS_STORE === 'sql') {
+        const store = createSqlStore();
+        try {
+          await store.init();
+          console.log('[METRICS] Using SQL backend');
+          return store;
+        } catch (e) {
+          console.warn('[METRICS] SQL unavailable; falling back to files:', e?.message || e);
+        }
+      }
+      if (METRICS_STORE !== 'memory') {
+        const store = createFileStore();
+        try {
+          await store.init();
+          console.log(`[METRICS] Using file backend (${METRICS_DIR})`);
+          return store;
+        } catch (e) {
+          console.warn('[METRICS] Metrics directory unavailable; falling back to memory:', e?.message || e);
+        }
+      }
+      console.log('[METRICS] Using memory backend');
+      return createMemoryStore();
+    })();
+  }
+  return backendPromise;
+}
+
+// -------------------- Buffering + minute rollups --------------------
+let pendingRaw = [];            // { kind, xrId, sample } not written yet
+let pendingRollups = [];        // { kind, xrId, row } for completed minutes, not written yet
+const openMinutes = new Map();  // "kind|xrId|minute" → running sums for that minute
+let flushing = null;
+let timers = null;
+
+function addToMinute(kind, xrId, sample) {
+  const minute = Math.floor(sample.ts / ROLLUP_MS) * ROLLUP_MS;
+  const k = `${kind}|${xrId}|${minute}`;
+  let b = openMinutes.get(k);
+  if (!b) openMinutes.set(k, b = { kind, xrId, ts: minute, n: 0, sums: {}, counts: {}, last: {} });
+  b.n++;
+  for (const [field, v] of Object.entries(sample)) {
+    if (field === 'ts') continue;
+    if (typeof v === 'number' && Number.isFinite(v)) {
+      b.sums[field] = (b.sums[field] || 0) + v;
+      b.counts[field] = (b.counts[field] || 0) + 1;
+    } else if (v != null) {
+      b.last[field] = v;
+    }
+  }
+}
+
+function minuteRow(b) {
+  const row = { ts: b.ts, n: b.n, ...b.last };
+  for (const field of Object.keys(b.sums)) row[field] = round2(b.sums[field] / b.counts[field]);
+  return row;
+}
+
+function closeMinutes(now) {
+  for (const [k, b] of openMinutes) {
+    if (b.ts + ROLLUP_MS + ROLLUP_GRACE_MS > now) continue;
+    pendingRollups.push({ kind: b.kind, xrId: b.xrId, row: minuteRow(b) });
+    openMinutes.delete(k);
+  }
+}
+
+// Rows for the same minute (late samples, several instances) as one, weighted by n
+function mergeMinuteRows(rows) {
+  const byTs = new Map();
+  for (const r of rows) {
+    const prev = byTs.get(r.ts);
+    if (!prev) { byTs.set(r.ts, { ...r }); continue; }
+    const n = (prev.n || 0) + (r.n || 0);
+    for (const [field, v] of Object.entries(r)) {
+      if (field === 'ts' || field === 'n') continue;
+      const p = prev[field];
+      prev[field] = typeof v === 'number' && typeof p === 'number' && n
+        ? round2((p * (prev.n || 0) + v * (r.n || 0)) / n)
+        : v ?? p;
+    }
+    prev.n = n;
+  }
+  return Array.from(byTs.values()).sort((a, b) => a.ts - b.ts);
+}
+
+function capPending(list, label) {
+  if (list.length <= MAX_PENDING) return list;
+  console.warn(`[METRICS] Dropping ${list.length - MAX_PENDING} unwritten ${label} point(s)`);
+  return list.slice(-MAX_PENDING);
+}
+
+/**
+ * Write buffered samples and completed minutes. Failed writes are retried on the next flush.
+ * @param {{ final?: boolean }} [opts]  final: also write still-open minutes (shutdown); a
+ *   partial minute written here is merged with the rest of that minute after restart
+ */
+function flush({ final = false } = {}) {
+  if (flushing) return final ? flushing.then(() => flush({ final })) : flushing;
+  flushing = (async () => {
+    closeMinutes(final ? Infinity : Date.now());
+    const raw = pendingRaw;
+    const rollups = pendingRollups;
+    pendingRaw = [];
+    pendingRollups = [];
+    if (!raw.length && !rollups.length) return;
+
+    const backend = await getBackend();
+    try {
+      if (raw.length) await backend.appendRaw(raw);
+    } catch (e) {
+      console.warn('[METRICS] Raw write failed; will retry:', e?.message || e);
+      pendingRaw = capPending(raw.concat(pendingRaw), 'raw');
+    }
+    try {
+      if (rollups.length) await backend.appendRollups(rollups);
+    } catch (e) {
+      console.warn('[METRICS] Rollup write failed; will retry:', e?.message || e);
+      pendingRollups = capPending(rollups.concat(pendingRollups), 'rollup');
+    }
+  })().finally(() => { flushing = null; });
+  return flushing;
+}
+
+async function prune() {
+  const now = Date.now();
+  try {
+    const backend = await getBackend();
+    await backend.prune(now - RAW_RETENTION_MS, now - ROLLUP_RETENTION_MS);
+  } catch (e) {
+    console.warn('[METRICS] Prune failed:', e?.message || e);
+  }
+}
+
+function ensureTimers() {
+  if (timers) return;
+  timers = [setInterval(flush, FLUSH_MS), setInterval(prune, PRUNE_MS)];
+  timers.forEach(t => t.unref?.());
+}
+
+/**
+ * Record one sample (fire and forget).
+ * @param {'telemetry'|'quality'} kind
+ * @param {string} xrId
+ * @param {object} sample  flat fields; `ts` (epoch ms) defaults to now
+ * @returns {object|null} the sample as stored
+ */
+function record(kind, xrId, sample) {
+  if (!KINDS.includes(kind) || !xrId || !sample || typeof sample !== 'object') return null;
+  const ts = Number(sample.ts);
+  const stored = { ...sample, ts: Number.isFinite(ts) && ts > 0 ? ts : Date.now() };
+  pendingRaw.push({ kind, xrId: String(xrId), sample: stored });
+  addToMinute(kind, String(xrId), stored);
+  ensureTimers();
+  return stored;
+}
+
+function parseTime(v, fallback) {
+  if (v == null || v === '') return fallback;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : NaN;
+}
+
+/**
+ * Normalize a requested range. Defaults to the last 24 hours; `auto` picks raw
+ * when the range is within raw retention and at most 6 hours long, else 1m.
+ * @param {{ from?: number|string, to?: number|string, resolution?: string }} [range]  epoch ms or ISO
+ * @returns {{ fromTs: number, toTs: number, resolution: 'raw'|'1m' }}
+ * @throws {RangeError} on unparseable or inverted bounds, or an unknown resolution
+ */
+function resolveRange({ from, to, resolution } = {}) {
+  const now = Date.now();
+  const toTs = parseTime(to, now);
+  const fromTs = parseTime(from, toTs - RAW_RETENTION_MS);
+  if (!Number.isFinite(fromTs) || !Number.isFinite(toTs)) {
+    throw new RangeError('"from" and "to" must be epoch milliseconds or ISO timestamps');
+  }
+  if (fromTs > toTs) throw new RangeError('"from" must not be after "to"');
+  const requested = resolution || 'auto';
+  if (!RESOLUTIONS.includes(requested)) throw new RangeError('"resolution" must be "raw", "1m" or "auto"');
+
+  const picked = requested !== 'auto' ? requested
+    : fromTs >= now - RAW_RETENTION_MS && toTs - fromTs <= AUTO_RAW_MAX_SPAN_MS ? 'raw' : '1m';
+  return { fromTs, toTs, resolution: picked };
+}
+
+/**
+ * History for one device, oldest first (the newest `limit` points when there are more).
+ * @param {'telemetry'|'quality'} kind
+ * @param {string} xrId
+ * @param {{ from?: number|string, to?: number|string, resolution?: 'raw'|'1m'|'auto', limit?: number }} [range]
+ * @returns {Promise<{ resolution: 'raw'|'1m', from: number, to: number, samples: object[] }>}
+ */
+async function query(kind, xrId, range = {}) {
+  if (!KINDS.includes(kind)) throw new RangeError(`Unknown metrics kind "${kind}"`);
+  const { fromTs, toTs, resolution } = resolveRange(range);
+  const limit = clampLimit(range.limit);
+  const id = String(xrId);
+  const inRange = (ts) => ts >= fromTs && ts <= toTs;
+  const backend = await getBackend();
+
+  let samples;
+  if (resolution === 'raw') {
+    const stored = await backend.queryRaw(kind, id, fromTs, toTs, limit);
+    const unwritten = pendingRaw.filter(r => r.kind === kind && r.xrId === id && inRange(r.sample.ts)).map(r => r.sample);
+    samples = unwritten.length ? stored.concat(unwritten).sort((a, b) => a.ts - b.ts) : stored;
+  } else {
+    const stored = await backend.queryRollups(kind, id, fromTs, toTs, limit);
+    const unwritten = pendingRollups.filter(r => r.kind === kind && r.xrId === id && inRange(r.row.ts)).map(r => r.row);
+    const open = Array.from(openMinutes.values()).filter(b => b.kind === kind && b.xrId === id && inRange(b.ts)).map(minuteRow);
+    samples = mergeMinuteRows(stored.concat(unwritten, open));
+  }
+  return { resolution, from: fromTs, to: toTs, samples: samples.slice(-limit) };
+}
+
+module.exports = {
+  KINDS,
+  record,
+  query,
+  resolveRange,
+  flush,
+};
@@ -0,0 +1,68 @@
+// ========================================
+// Offline Message Queue
+// ========================================
+// Holds direct messages addressed to a device that has no socket in its
+// `xr:` room, and hands them back when that device next identifies.
+// Per-recipient queues are bounded (oldest dropped first) and entries expire
+// after a TTL so a retired headset does not accumulate messages forever.
+//
+// The queue is in-process; messages are also in the message store, so a
+// restart only loses the "deliver on reconnect" push, not the history.
+
+const MAX_PER_DEVICE = Number(process.env.OFFLINE_QUEUE_MAX) || 100;
+const TTL_MS = Number(process.env.OFFLINE_QUEUE_TTL_MS) || 24 * 60 * 60 * 1000;
+const SWEEP_MS = 60 * 1000;
+
+const queues = new Map(); // xrId -> [{ message, queuedAt, expiresAt }] (oldest → newest)
+
+function pruneExpired(xrId, now = Date.now()) {
+  const q = queues.get(xrId);
+  if (!q) return [];
+  const live = q.filter(e => e.expiresAt > now);
+  if (live.length) queues.set(xrId, live);
+  else queues.delete(xrId);
+  return live;
+}
+
+/**
+ * Queue a message for an offline recipient.
+ * @returns {{ position: number, queuedAt: number, expiresAt: number, dropped: number }}
+ */
+function enqueue(xrId, message) {
+  const now = Date.now();
+  const q = pruneExpired(xrId, now);
+  const entry = { message, queuedAt: now, expiresAt: now + TTL_MS };
+  q.push(entry);
+
+  let dropped = 0;
+  while (q.length > MAX_PER_DEVICE) {
+    q.shift();
+    dropped++;
+  }
+  queues.set(xrId, q);
+
+  return { position: q.length, queuedAt: entry.queuedAt, expiresAt: entry.expiresAt, dropped };
+}
+
+/** Remove and return everything still deliverable for xrId (oldest first). */
+function drain(xrId) {
+  const live = pruneExpired(xrId);
+  queues.delete(xrId);
+  return live.map(e => ({ ...e.message, queued: true, queuedAt: new Date(e.queuedAt).toISOString() }));
+}
+
+function size(xrId) {
+  return pruneExpired(xrId).length;
+}
+
+const sweeper = setInterval(() => {
+  const now = Date.now();
+  for (const xrId of Array.from(queues.keys())) pruneExpired(xrId, now);
+}, SWEEP_MS);
+sweeper.unref?.();
+
+module.exports = {
+  enqueue,
+  drain,
+  size,
+};
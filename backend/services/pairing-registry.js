@@ -0,0 +1,261 @@
+// ========================================
+// Device Pairing Registry
+// ========================================
+// Source of truth for which XR Vision ↔ Dock pairs may share a `pair:` room.
+// Pairings live in [dbo].[device_pairings] and are cached in memory so that
+// isPairAllowed / tryAutoPair never hit SQL on the hot path.
+//
+// If the database is unreachable we fall back to DEFAULT_PAIRINGS from env
+// (comma separated "XR-A:XR-B" list), so the single-pair setup keeps working.
+
+const { Sequelize } = require('sequelize');
+const { sequelize } = require('../database/database-config');
+
+const SCHEMA = 'dbo';
+const TABLE = 'device_pairings';
+const CACHE_TTL_MS = Number(process.env.PAIRINGS_CACHE_TTL_MS) || 60 * 1000;
+const DEFAULT_PAIRINGS = process.env.DEFAULT_PAIRINGS ?? 'XR-1234:XR-1238';
+
+let cache = null;     // { byKey: Map<key, pairing>, source: 'db' | 'env', loadedAt }
+let loading = null;   // in-flight load (dedupes concurrent refreshes)
+let tableReady = false;
+
+function normalizePair(a, b) {
+  return [a, b].sort().join('|');
+}
+
+function pairingError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseDefaultPairings() {
+  return String(DEFAULT_PAIRINGS)
+    .split(/[,\s]+/)
+    .map(s => s.split(':').map(x => x.trim()))
+    .filter(([a, b]) => a && b && a !== b)
+    .map(([a, b], i) => {
+      const [xrIdA, xrIdB] = [a, b].sort();
+      return { id: `env:${i + 1}`, xrIdA, xrIdB, label: null, enabled: true, createdAt: null, updatedAt: null };
+    });
+}
+
+function rowToPairing(row) {
+  return {
+    id: row.id,
+    xrIdA: row.xr_id_a,
+    xrIdB: row.xr_id_b,
+    label: row.label || null,
+    enabled: !!row.enabled,
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+// Create the table on first use and seed it with the env defaults so an
+// existing deployment keeps its current pair after upgrading.
+async function ensureTable() {
+  if (tableReady) return;
+
+  const [{ objectId } = {}] = await sequelize.query(
+    `SELECT OBJECT_ID(N'[${SCHEMA}].[${TABLE}]', N'U') AS objectId`,
+    { type: Sequelize.QueryTypes.SELECT }
+  );
+
+  if (!objectId) {
+    await sequelize.query(`
+      CREATE TABLE [${SCHEMA}].[${TABLE}] (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        xr_id_a NVARCHAR(64) NOT NULL,
+        xr_id_b NVARCHAR(64) NOT NULL,
+        label NVARCHAR(128) NULL,
+        enabled BIT NOT NULL DEFAULT 1,
+        created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        updated_at DATETIME2 NULL,
+        CONSTRAINT UQ_${TABLE}_pair UNIQUE (xr_id_a, xr_id_b)
+      )
+    `);
+    console.log(`[PAIRINGS] Created table ${SCHEMA}.${TABLE}`);
+
+    for (const p of parseDefaultPairings()) {
+      await sequelize.query(
+        `INSERT INTO [${SCHEMA}].[${TABLE}] (xr_id_a, xr_id_b, enabled) VALUES (:xrIdA, :xrIdB, 1)`,
+        { replacements: { xrIdA: p.xrIdA, xrIdB: p.xrIdB }, type: Sequelize.QueryTypes.INSERT }
+      );
+    }
+  }
+
+  tableReady = true;
+}
+
+async function loadFromDb() {
+  await ensureTable();
+  const rows = await sequelize.query(
+    `SELECT id, xr_id_a, xr_id_b, label, enabled, created_at, updated_at
+     FROM [${SCHEMA}].[${TABLE}]
+     ORDER BY id`,
+    { type: Sequelize.QueryTypes.SELECT }
+  );
+  return rows.map(rowToPairing);
+}
+
+// force: after a write, a load already in flight may have read the table
+// before it, so wait for that one and start a fresh load
+async function refresh({ force = false } = {}) {
+  if (loading && force) await loading.catch(() => {});
+  if (loading) return loading;
+
+  loading = (async () => {
+    let list;
+    let source = 'db';
+    try {
+      list = await loadFromDb();
+    } catch (e) {
+      console.warn('[PAIRINGS] DB load failed; using DEFAULT_PAIRINGS:', e?.message || e);
+      list = parseDefaultPairings();
+      source = 'env';
+    }
+
+    const byKey = new Map();
+    for (const p of list) byKey.set(normalizePair(p.xrIdA, p.xrIdB), p);
+    cache = { byKey, source, loadedAt: Date.now() };
+    return cache;
+  })();
+
+  try {
+    return await loading;
+  } finally {
+    loading = null;
+  }
+}
+
+// Stale entries are served while a background refresh runs, so a slow DB
+// never stalls identify / pair_with.
+async function getCache() {
+  if (!cache) return refresh();
+  if (Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    refresh().catch(() => {});
+  }
+  return cache;
+}
+
+async function listPairings() {
+  const c = await getCache();
+  return { source: c.source, pairings: Array.from(c.byKey.values()) };
+}
+
+async function isPairAllowed(a, b) {
+  if (!a || !b || a === b) return false;
+  const c = await getCache();
+  const p = c.byKey.get(normalizePair(a, b));
+  return !!(p && p.enabled);
+}
+
+// All enabled partners for a device (a headset may be paired to more than one Dock)
+async function getPartners(xrId) {
+  const c = await getCache();
+  const partners = [];
+  for (const p of c.byKey.values()) {
+    if (!p.enabled) continue;
+    if (p.xrIdA === xrId) partners.push(p.xrIdB);
+    else if (p.xrIdB === xrId) partners.push(p.xrIdA);
+  }
+  return partners;
+}
+
+async function requireDb() {
+  const c = await getCache();
+  if (c.source !== 'db') {
+    throw pairingError(503, 'Database unavailable; pairings are read-only');
+  }
+}
+
+async function findById(id) {
+  const rows = await sequelize.query(
+    `SELECT id, xr_id_a, xr_id_b, label, enabled, created_at, updated_at
+     FROM [${SCHEMA}].[${TABLE}] WHERE id = :id`,
+    { replacements: { id }, type: Sequelize.QueryTypes.SELECT }
+  );
+  return rows[0] ? rowToPairing(rows[0]) : null;
+}
+
+async function createPairing({ xrIdA, xrIdB, label = null, enabled = true }) {
+  const a = String(xrIdA || '').trim();
+  const b = String(xrIdB || '').trim();
+  if (!a || !b) throw pairingError(400, 'Both xrIds are required');
+  if (a === b) throw pairingError(400, 'A device cannot be paired with itself');
+
+  await requireDb();
+
+  const [one, two] = [a, b].sort();
+  const existing = await sequelize.query(
+    `SELECT id FROM [${SCHEMA}].[${TABLE}] WHERE xr_id_a = :one AND xr_id_b = :two`,
+    { replacements: { one, two }, type: Sequelize.QueryTypes.SELECT }
+  );
+  if (existing.length > 0) throw pairingError(409, 'Pairing already exists');
+
+  const rows = await sequelize.query(
+    `INSERT INTO [${SCHEMA}].[${TABLE}] (xr_id_a, xr_id_b, label, enabled)
+     OUTPUT INSERTED.id, INSERTED.xr_id_a, INSERTED.xr_id_b, INSERTED.label,
+            INSERTED.enabled, INSERTED.created_at, INSERTED.updated_at
+     VALUES (:one, :two, :label, :enabled)`,
+    {
+      replacements: { one, two, label: label || null, enabled: enabled ? 1 : 0 },
+      type: Sequelize.QueryTypes.SELECT,
+    }
+  );
+
+  await refresh({ force: true });
+  return rowToPairing(rows[0]);
+}
+
+async function updatePairing(id, { enabled, label } = {}) {
+  await requireDb();
+
+  const before = await findById(id);
+  if (!before) throw pairingError(404, 'Pairing not found');
+
+  await sequelize.query(
+    `UPDATE [${SCHEMA}].[${TABLE}]
+     SET enabled = :enabled, label = :label, updated_at = SYSUTCDATETIME()
+     WHERE id = :id`,
+    {
+      replacements: {
+        id,
+        enabled: (enabled === undefined ? before.enabled : !!enabled) ? 1 : 0,
+        label: label === undefined ? before.label : (label || null),
+      },
+      type: Sequelize.QueryTypes.UPDATE,
+    }
+  );
+
+  await refresh({ force: true });
+  return { before, after: await findById(id) };
+}
+
+async function deletePairing(id) {
+  await requireDb();
+
+  const before = await findById(id);
+  if (!before) throw pairingError(404, 'Pairing not found');
+
+  await sequelize.query(
+    `DELETE FROM [${SCHEMA}].[${TABLE}] WHERE id = :id`,
+    { replacements: { id }, type: Sequelize.QueryTypes.DELETE }
+  );
+
+  await refresh({ force: true });
+  return before;
+}
+
+module.exports = {
+  normalizePair,
+  refresh,
+  listPairings,
+  isPairAllowed,
+  getPartners,
+  createPairing,
+  updatePairing,
+  deletePairing,
+};
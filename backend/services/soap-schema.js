@@ -0,0 +1,294 @@
+// ========================================
+// SOAP Note Schema
+// ========================================
+// Models return SOAP notes in many shapes: sections as strings, nested
+// objects, wrapped in { "SOAP Note": {...} }, or keyed "HPI" / "Meds".
+// `checkSoapNote` validates a parsed note against SOAP_NOTE_SCHEMA and, where
+// it can, repairs it into the canonical shape the cockpit renders:
+// seven sections, each a non-empty array of strings.
+
+const SOAP_SECTIONS = [
+  'Chief Complaints',
+  'History of Present Illness',
+  'Subjective',
+  'Objective',
+  'Assessment',
+  'Plan',
+  'Medication',
+];
+
+const NO_DATA = 'No data available';
+
+const SOAP_NOTE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'SOAP note',
+  type: 'object',
+  required: SOAP_SECTIONS,
+  additionalProperties: false,
+  properties: Object.fromEntries(SOAP_SECTIONS.map(s => [s, {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', minLength: 1 },
+  }])),
+};
+
+// Lower-cased, punctuation-free aliases → canonical section
+const SECTION_SYNONYMS = {
+  'chief complaints': 'Chief Complaints',
+  'chief complaint': 'Chief Complaints',
+  'cc': 'Chief Complaints',
+  'complaints': 'Chief Complaints',
+  'reason for visit': 'Chief Complaints',
+  'history of present illness': 'History of Present Illness',
+  'history of presenting illness': 'History of Present Illness',
+  'hpi': 'History of Present Illness',
+  'history': 'History of Present Illness',
+  'present illness': 'History of Present Illness',
+  'subjective': 'Subjective',
+  's': 'Subjective',
+  'objective': 'Objective',
+  'o': 'Objective',
+  'exam': 'Objective',
+  'physical exam': 'Objective',
+  'examination': 'Objective',
+  'assessment': 'Assessment',
+  'a': 'Assessment',
+  'diagnosis': 'Assessment',
+  'diagnoses': 'Assessment',
+  'impression': 'Assessment',
+  'assessment and plan': 'Assessment',
+  'plan': 'Plan',
+  'p': 'Plan',
+  'treatment plan': 'Plan',
+  'medication': 'Medication',
+  'medications': 'Medication',
+  'meds': 'Medication',
+  'med': 'Medication',
+  'rx': 'Medication',
+  'prescriptions': 'Medication',
+  'prescription': 'Medication',
+  'drugs': 'Medication',
+};
+
+// Keys models use to wrap the whole note
+const WRAPPER_KEYS = ['soap note', 'soap', 'note', 'soapnote', 'result', 'data'];
+
+function keyOf(k) {
+  return String(k).toLowerCase().replace(/[_\-.:]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// The prompt asks for NO_DATA in empty sections and models often return it
+// bare rather than as [NO_DATA]; that is the canonical empty section, not a repair
+function isNoData(v) {
+  return typeof v === 'string' && v.trim() === NO_DATA;
+}
+
+function wrapNoData(note) {
+  if (!isPlainObject(note) || !Object.values(note).some(isNoData)) return note;
+  return Object.fromEntries(Object.entries(note).map(([k, v]) => [k, isNoData(v) ? [NO_DATA] : v]));
+}
+
+/**
+ * Validate against SOAP_NOTE_SCHEMA.
+ * @returns {string[]} problems as "<section>: <reason>" (empty when valid)
+ */
+function validateSoapNote(note) {
+  if (!isPlainObject(note)) return ['note: must be an object'];
+
+  const errors = [];
+  for (const section of SOAP_NOTE_SCHEMA.required) {
+    const v = note[section];
+    if (v === undefined) errors.push(`${section}: missing`);
+    else if (!Array.isArray(v)) errors.push(`${section}: must be an array of strings`);
+    else if (v.length === 0) errors.push(`${section}: must not be empty`);
+    else if (v.some(x => typeof x !== 'string' || !x.trim())) errors.push(`${section}: items must be non-empty strings`);
+  }
+  for (const k of Object.keys(note)) {
+    if (!SOAP_NOTE_SCHEMA.properties[k]) errors.push(`${k}: unexpected section`);
+  }
+  return errors;
+}
+
+// Flatten any section value into display lines
+function toLines(value) {
+  if (value === null || value === undefined) return [];
+  if (typeof value === 'string') {
+    return value
+      .split(/\r?\n+/)
+      .map(s => s.replace(/^\s*(?:[-*•●]|\d+[.)])\s*/, '').trim())
+      .filter(Boolean);
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') return [String(value)];
+  // A list item that is an object ({ name, dose }) stays one line
+  if (Array.isArray(value)) return value.flatMap(v => (isPlainObject(v) ? [itemLine(v)].filter(Boolean) : toLines(v)));
+  if (isPlainObject(value)) {
+    return Object.entries(value).flatMap(([k, v]) => {
+      const lines = toLines(v);
+      if (lines.length === 0) return [];
+      return lines.length === 1 ? [`${k}: ${lines[0]}`] : lines.map(l => `${k}: ${l}`);
+    });
+  }
+  return [];
+}
+
+function itemLine(obj) {
+  return Object.values(obj).flatMap(toLines).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function describeShape(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Coerce a parsed model response into the canonical note.
+ * @returns {{ note: Record<string, string[]>, repairs: Array<{ section: string, action: string, detail?: string }>, recognized: number }}
+ */
+function repairSoapNote(parsed) {
+  const repairs = [];
+  let source = parsed;
+
+  // { "SOAP Note": { ... } } → { ... }
+  if (isPlainObject(source)) {
+    const keys = Object.keys(source);
+    const wrapper = keys.find(k => WRAPPER_KEYS.includes(keyOf(k)) && isPlainObject(source[k]));
+    if (wrapper && !keys.some(k => SECTION_SYNONYMS[keyOf(k)])) {
+      repairs.push({ section: '*', action: 'unwrapped', detail: wrapper });
+      source = source[wrapper];
+    }
+  }
+  if (!isPlainObject(source)) source = {};
+
+  const collected = {};
+  let recognized = 0;
+  for (const [k, v] of Object.entries(source)) {
+    const section = SECTION_SYNONYMS[keyOf(k)];
+    if (!section) {
+      repairs.push({ section: k, action: 'ignored' });
+      continue;
+    }
+    recognized++;
+    if (k !== section) repairs.push({ section, action: 'renamed', detail: k });
+    // Two keys can map to one section ("Meds" and "Medications"): merge
+    collected[section] = (collected[section] || []).concat(
+      Array.isArray(v) && v.every(x => typeof x === 'string') ? v : isNoData(v) ? [NO_DATA] : (() => {
+        repairs.push({ section, action: 'coerced', detail: describeShape(v) });
+        return toLines(v);
+      })()
+    );
+  }
+
+  const note = {};
+  for (const section of SOAP_SECTIONS) {
+    const lines = (collected[section] || []).map(s => s.trim()).filter(Boolean);
+    if (!(section in collected)) repairs.push({ section, action: 'missing' });
+    else if (lines.length === 0) repairs.push({ section, action: 'emptied' });
+    note[section] = lines.length ? lines : [NO_DATA];
+  }
+
+  return { note, repairs, recognized };
+}
+
+/**
+ * Sections whose values are already complete in a partially streamed JSON
+ * response, as canonical display lines. Only the top level and one wrapper
+ * level ({ "SOAP Note": { ... } }) are considered.
+ * @returns {Record<string, string[]>}
+ */
+function completedSections(text) {
+  const out = {};
+  const src = String(text || '');
+  const start = src.indexOf('{');
+  if (start < 0) return out;
+
+  const record = (frame, raw) => {
+    const section = SECTION_SYNONYMS[keyOf(frame.key ?? '')];
+    if (!section || out[section]) return;
+    let value;
+    try { value = JSON.parse(raw); } catch { return; }
+    const lines = toLines(value).map(l => l.trim()).filter(Boolean);
+    if (lines.length) out[section] = lines;
+  };
+
+  // frame: { type: '{' | '[', state: 'key' | 'value', key, valueStart }
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+
+  for (let i = start; i < src.length; i++) {
+    const c = src[i];
+    const top = stack[stack.length - 1];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (c === '\\') escaped = true;
+      else if (c === '"') {
+        inString = false;
+        const raw = src.slice(stringStart, i + 1);
+        if (top?.type === '{' && top.state === 'key') {
+          try { top.key = JSON.parse(raw); } catch { top.key = null; }
+        } else if (top?.type === '{' && top.valueStart === stringStart && stack.length <= 2) {
+          record(top, raw);
+        }
+      }
+      continue;
+    }
+
+    if (top?.type === '{' && top.state === 'value' && top.valueStart < 0 && !/\s/.test(c)) top.valueStart = i;
+
+    if (c === '"') { inString = true; stringStart = i; }
+    else if (c === ':') { if (top?.type === '{') { top.state = 'value'; top.valueStart = -1; } }
+    else if (c === ',') { if (top?.type === '{') { top.state = 'key'; top.key = null; top.valueStart = -1; } }
+    else if (c === '{' || c === '[') stack.push({ type: c, state: c === '{' ? 'key' : 'value', key: null, valueStart: -1 });
+    else if (c === '}' || c === ']') {
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      if (parent?.type === '{' && parent.state === 'value' && parent.valueStart >= 0 && stack.length <= 2) {
+        record(parent, src.slice(parent.valueStart, i + 1));
+      }
+      if (stack.length === 0) break;
+    }
+  }
+  return out;
+}
+
+/**
+ * Validate and, when needed, repair a parsed note.
+ * `needsReprompt` is set when nothing usable was found, so the caller can ask
+ * the model once more.
+ */
+function checkSoapNote(parsed) {
+  parsed = wrapNoData(parsed);
+  const errors = validateSoapNote(parsed);
+  if (errors.length === 0) {
+    return { note: parsed, validation: { valid: true, repaired: false, repairs: [], errors: [] }, needsReprompt: false };
+  }
+
+  const { note, repairs, recognized } = repairSoapNote(parsed);
+  return {
+    note,
+    validation: {
+      valid: recognized > 0,
+      repaired: true,
+      repairs,
+      errors,
+    },
+    needsReprompt: recognized === 0,
+  };
+}
+
+module.exports = {
+  SOAP_SECTIONS,
+  SOAP_NOTE_SCHEMA,
+  NO_DATA,
+  validateSoapNote,
+  repairSoapNote,
+  checkSoapNote,
+  completedSections,
+};
@@ -0,0 +1,230 @@
+// ========================================
+// Telemetry Ingestion (validation + rate limits)
+// ========================================
+// One entry point for device telemetry, whichever way it arrives
+// (socket `telemetry` / `battery` / `webrtc_quality`, `webrtc_quality_update`
+// signals, POST /desktop-telemetry):
+//
+//   1. sender   the reported xrId must be the sender's own: a socket that has
+//               identified as one device cannot report for another, and when
+//               auth is required the device token must be for that xrId
+//   2. schema   known fields only, each a number (numeric strings accepted) or
+//               null, within a plausible range; connType from a fixed list, with
+//               anything else (browser types such as unknown / bluetooth / mixed) as 'other'
+//   3. rate     token bucket per device and kind: TELEMETRY_BURST samples at
+//               once, refilled at TELEMETRY_MAX_PER_MIN per minute (a quality
+//               batch counts as one)
+//
+// Results are { ok: true, rec } or { ok: false, code, message, errors?, retryAfterMs? }
+// with code unauthorized | forbidden | invalid | rate_limited; the caller
+// decides how to answer (socket event or HTTP status, see HTTP_STATUS).
+
+const MAX_PER_MIN = Number(process.env.TELEMETRY_MAX_PER_MIN) || 30;
+const BURST = Number(process.env.TELEMETRY_BURST) || 10;
+const MAX_PAYLOAD_CHARS = 8 * 1024;
+const BUCKET_IDLE_MS = 10 * 60 * 1000;
+
+const CONN_TYPES = ['wifi', 'cellular', 'ethernet', 'none', 'other'];
+
+// field → [min, max, integer?]
+const TELEMETRY_FIELDS = {
+  wifiDbm: [-120, 0],
+  wifiMbps: [0, 100000],
+  wifiBars: [0, 4, true],
+  cellDbm: [-150, 0],
+  cellBars: [0, 4, true],
+  netDownMbps: [0, 100000],
+  netUpMbps: [0, 100000],
+  cpuPct: [0, 100],
+  memUsedMb: [0, 1024 * 1024],
+  memTotalMb: [0, 1024 * 1024],
+  deviceTempC: [-40, 125],
+};
+
+// WebRTC call-quality stats, same format
+const QUALITY_FIELDS = {
+  jitterMs: [0, 60000],
+  rttMs: [0, 60000],
+  lossPct: [0, 100],
+  bitrateKbps: [0, 10 * 1000 * 1000],
+  fps: [0, 1000],
+  dropped: [0, Number.MAX_SAFE_INTEGER, true],
+  nackCount: [0, Number.MAX_SAFE_INTEGER, true],
+};
+const MAX_QUALITY_SAMPLES = 20;
+// A sample's own ts is kept when it is this recent (batches are spread over time)
+const QUALITY_TS_MAX_AGE_MS = 10 * 60 * 1000;
+
+const HTTP_STATUS = { unauthorized: 401, forbidden: 403, invalid: 400, rate_limited: 429 };
+
+const buckets = new Map(); // "kind|xrId" → { tokens, at }
+
+function fail(code, message, extra = {}) {
+  return { ok: false, code, message, ...extra };
+}
+
+// Socket payloads may arrive as JSON strings
+function parsePayload(payload) {
+  if (typeof payload === 'string') {
+    if (payload.length > MAX_PAYLOAD_CHARS) return null;
+    try { payload = JSON.parse(payload); } catch { return null; }
+  }
+  return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+}
+
+/**
+ * Reason the sender may not report for `xrId`, or null.
+ * @param {string} xrId  device the payload is about
+ * @param {{ authXrId?: string|null, identifiedXrId?: string|null, requireAuth?: boolean }} sender
+ *   authXrId: device the token was issued to; identifiedXrId: the socket's identify id
+ * @returns {{ code: 'unauthorized'|'forbidden', message: string }|null}
+ */
+function senderProblem(xrId, { authXrId = null, identifiedXrId = null, requireAuth = true } = {}) {
+  if (identifiedXrId && identifiedXrId !== xrId) {
+    return { code: 'forbidden', message: `Connection identified as ${identifiedXrId} cannot report for ${xrId}` };
+  }
+  if (authXrId && authXrId !== xrId) {
+    return { code: 'forbidden', message: `Device token is not valid for ${xrId}` };
+  }
+  if (!authXrId && requireAuth) return { code: 'unauthorized', message: 'Device not authenticated' };
+  return null;
+}
+
+// null for absent / empty, a number for numbers and numeric strings, undefined otherwise
+function toNumber(v) {
+  if (v == null || v === '') return null;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : undefined;
+  if (typeof v === 'string' && v.trim() !== '') {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : undefined;
+  }
+  return undefined;
+}
+
+function checkRange(field, v, [min, max, integer], errors) {
+  const n = toNumber(v);
+  if (n === undefined) {
+    errors.push(`${field} must be a number`);
+    return null;
+  }
+  if (n === null) return null;
+  if (n < min || n > max) errors.push(`${field} must be between ${min} and ${max} (got ${n})`);
+  else if (integer && !Number.isInteger(n)) errors.push(`${field} must be a whole number (got ${n})`);
+  return n;
+}
+
+// Token bucket; returns ms until the next sample would be accepted, 0 when this one is
+function takeToken(kind, xrId, now) {
+  const key = `${kind}|${xrId}`;
+  const perMs = MAX_PER_MIN / 60000;
+  const b = buckets.get(key) || { tokens: BURST, at: now };
+  b.tokens = Math.min(BURST, b.tokens + (now - b.at) * perMs);
+  b.at = now;
+  buckets.set(key, b);
+  if (b.tokens >= 1) {
+    b.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - b.tokens) / perMs);
+}
+
+function pruneBuckets(now) {
+  for (const [key, b] of buckets) if (now - b.at > BUCKET_IDLE_MS) buckets.delete(key);
+}
+
+// Shared steps 1 + 3 around a kind-specific validator
+function ingest(kind, payload, sender, validate, now) {
+  const d = parsePayload(payload);
+  if (!d) return fail('invalid', 'Payload must be a JSON object');
+
+  const xrId = d.xrId ?? sender.identifiedXrId ?? null;
+  if (!xrId || typeof xrId !== 'string') return fail('invalid', 'xrId required');
+
+  const denied = senderProblem(xrId, sender);
+  if (denied) return fail(denied.code, denied.message, { xrId });
+
+  const errors = [];
+  const rec = validate(d, errors);
+  if (errors.length) return fail('invalid', `Invalid ${kind}: ${errors.join('; ')}`, { xrId, errors });
+
+  if (buckets.size > 1000) pruneBuckets(now);
+  const retryAfterMs = takeToken(kind, xrId, now);
+  if (retryAfterMs) return fail('rate_limited', `Too many ${kind} updates for ${xrId}`, { xrId, retryAfterMs });
+
+  return { ok: true, rec: { xrId, ...rec, ts: now } };
+}
+
+/**
+ * Validate one network/system telemetry sample.
+ * @param {object|string} payload  { xrId?, connType?, wifiDbm?, ..., deviceTempC? }; unknown fields are dropped
+ * @param {{ authXrId?: string|null, identifiedXrId?: string|null, requireAuth?: boolean, defaultConnType?: string }} sender
+ * @returns {{ ok: true, rec: object } | { ok: false, code: string, message: string, errors?: string[], retryAfterMs?: number }}
+ *   rec: { xrId, connType, <TELEMETRY_FIELDS>, ts } with ts set to server time and
+ *   connType one of CONN_TYPES
+ */
+function ingestTelemetry(payload, sender = {}, now = Date.now()) {
+  return ingest('telemetry', payload, sender, (d, errors) => {
+    const reported = d.connType == null || d.connType === '' ? (sender.defaultConnType || 'other') : String(d.connType).toLowerCase();
+    const rec = { connType: CONN_TYPES.includes(reported) ? reported : 'other' };
+    for (const [field, range] of Object.entries(TELEMETRY_FIELDS)) rec[field] = checkRange(field, d[field], range, errors);
+    if (rec.memUsedMb != null && rec.memTotalMb != null && rec.memUsedMb > rec.memTotalMb) {
+      errors.push('memUsedMb must not exceed memTotalMb');
+    }
+    return rec;
+  }, now);
+}
+
+/**
+ * Validate one battery reading.
+ * @param {object|string} payload  { xrId?, batteryPct, charging? }
+ * @returns {{ ok: true, rec: { xrId, pct, charging, ts } } | { ok: false, code: string, message: string, errors?: string[], retryAfterMs?: number }}
+ */
+function ingestBattery(payload, sender = {}, now = Date.now()) {
+  return ingest('battery', payload, sender, (d, errors) => {
+    const pct = checkRange('batteryPct', d.batteryPct, [0, 100], errors);
+    if (pct == null && !errors.length) errors.push('batteryPct is required');
+    return { pct, charging: !!d.charging };
+  }, now);
+}
+
+/**
+ * Validate WebRTC call-quality stats: one sample ({ xrId?, jitterMs?, ..., ts? })
+ * or a batch ({ xrId?, samples: [...] }, at most MAX_QUALITY_SAMPLES).
+ * @returns {{ ok: true, rec: { xrId, samples: object[], ts } } | { ok: false, code: string, message: string, errors?: string[], retryAfterMs?: number }}
+ *   each sample: { <QUALITY_FIELDS>, ts } with ts the sample's own when it is a
+ *   recent epoch ms, else server time
+ */
+function ingestQuality(payload, sender = {}, now = Date.now()) {
+  return ingest('quality', payload, sender, (d, errors) => {
+    const list = d.samples === undefined ? [d] : d.samples;
+    if (!Array.isArray(list) || list.length === 0) {
+      errors.push('samples must be a non-empty array');
+      return { samples: [] };
+    }
+    if (list.length > MAX_QUALITY_SAMPLES) {
+      errors.push(`samples must hold at most ${MAX_QUALITY_SAMPLES} entries`);
+      return { samples: [] };
+    }
+    const samples = list.map((q, i) => {
+      if (!q || typeof q !== 'object' || Array.isArray(q)) {
+        errors.push(`samples[${i}] must be an object`);
+        return null;
+      }
+      const at = list === d.samples ? `samples[${i}].` : '';
+      const sample = {};
+      for (const [field, range] of Object.entries(QUALITY_FIELDS)) sample[field] = checkRange(`${at}${field}`, q[field], range, errors);
+      const ts = Number(q.ts);
+      sample.ts = Number.isFinite(ts) && ts <= now && now - ts <= QUALITY_TS_MAX_AGE_MS ? ts : now;
+      return sample;
+    });
+    return { samples };
+  }, now);
+}
+
+module.exports = {
+  CONN_TYPES,
+  HTTP_STATUS,
+  ingestTelemetry,
+  ingestBattery,
+  ingestQuality,
+};
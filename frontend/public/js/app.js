@@ -162,6 +162,9 @@ let currentRoom = null;
 // 🔒 Sticky autoconnect flag (persist across refresh)
 const AUTO_KEY = 'XR_AUTOCONNECT';
 
+// 🔐 Credential the Scribe Cockpit (same origin) sends to the server's cockpit routes
+const COCKPIT_DEVICE_KEY = 'xr_cockpit_device';
+
 // 💊 Medication availability state
 const medicationAvailabilityMap = new Map();
 
@@ -457,6 +460,8 @@ function initSocket() {
         reconnectionDelayMax: 5000,
         secure: (location.protocol === 'https:'),
         autoConnect: false, // 🔴 start DISCONNECTED; we control dial
+        // 🔐 device credential; re-read on every (re)connect so XR_ID changes apply
+        auth: (cb) => cb({ xrId: XR_ID, token: window.XR_DEVICE_TOKEN || null }),
     });
 
     // --- lifecycle events ---
@@ -499,6 +504,11 @@ function initSocket() {
             // keep refresh-safe autoconnect behavior
             try { localStorage.setItem(AUTO_KEY, '1'); } catch { }
 
+            // the server accepted this token, so the cockpit may use it too
+            try {
+                localStorage.setItem(COCKPIT_DEVICE_KEY, JSON.stringify({ xrId: XR_ID, token: window.XR_DEVICE_TOKEN || null }));
+            } catch { }
+
             const payload = { deviceName: DEVICE_NAME, xrId: XR_ID };
             console.log('[SOCKET] Emitting identify + request_device_list', payload);
             socket.emit('identify', payload);
@@ -609,6 +619,23 @@ function initSocket() {
     });
 
 
+    // 🔐 Server rejected our device token (missing, wrong XR ID, or revoked)
+    socket.on('auth_error', ({ event, xrId, message }) => {
+        console.warn('[SOCKET] auth_error from server:', event, xrId, message);
+        addSystemMessage(`🔒 ${message}. Open this page with ?token=<device token> issued from /platform.`);
+        if (event === 'identify' || event === 'join' || event === 'revoked') {
+            try { localStorage.setItem(AUTO_KEY, '0'); } catch { }
+            try { localStorage.removeItem(COCKPIT_DEVICE_KEY); } catch { }
+            if (socket?.io) {
+                socket.io.opts.reconnection = false;   // a retry would fail the same way
+            }
+            if (socket?.connected) socket.disconnect();
+            setStatus('Disconnected');
+            announcePresence('idle');
+        }
+    });
+
+
     // --- your existing handlers ---
     socket.on('signal', handleSignalMessage);
     socket.on('message', handleChatMessage);
@@ -616,6 +643,16 @@ function initSocket() {
     socket.on('control', handleControlCommand);
     socket.on('message-cleared', handleMessagesCleared);
     socket.on('message_history', handleMessageHistory);
+    socket.on('message_sent', handleMessageSent);
+    socket.on('message_queued', (data) => {
+        handleMessageReceipt({ ids: [data?.id] }, 'queued');
+        addSystemMessage(`📥 ${data?.to || 'Recipient'} is offline; message will be delivered when it reconnects`);
+    });
+    socket.on('message_failed', (data) => {
+        addSystemMessage(`⚠️ ${data?.message || 'Message could not be delivered'}${data?.to ? ` to ${data.to}` : ''}`);
+    });
+    socket.on('message_ack', (data) => handleMessageReceipt(data, 'delivered'));
+    socket.on('message_read', (data) => handleMessageReceipt(data, 'read'));
 
     // --- 🔷 ROOM events ---
     socket.on('pair_error', ({ message }) => {
@@ -778,15 +815,38 @@ function handleSignalMessage(data) {
         const ts = data.timestamp || Date.now();
 
         console.log('[SOAP_NOTE] Received:', JSON.stringify(soap, null, 2));
+        if (data.validation?.repaired) console.log('[SOAP_NOTE] Server repaired note:', data.validation);
         soapBC.postMessage({
             type: 'soap_note_console',
             data: soap,
+            medications: data.medications || [],
+            validation: data.validation || null,
+            encounterId: data.encounterId || null,
             timestamp: ts,
         });
 
         return; // prevent fallthrough
     }
 
+    if (type === 'soap_note_partial') {
+        soapBC.postMessage({ type: 'soap_note_partial', data: data.data || {}, timestamp: data.timestamp || Date.now() });
+        return;
+    }
+
+    if (type === 'drug_interaction_console') {
+        const screen = data.data || {};
+        const count = (screen.interactions || []).length + (screen.allergyWarnings || []).length;
+        if (count) console.warn(`[DRUG_INTERACTIONS] ${count} warning(s):`, screen);
+        soapBC.postMessage({ type: 'drug_interaction_console', data: screen, timestamp: data.timestamp || Date.now() });
+        return;
+    }
+
+    if (type === 'soap_note_error') {
+        console.warn('[SOAP_NOTE] Generation failed:', data.data);
+        soapBC.postMessage({ type: 'soap_note_error', data: data.data || {}, timestamp: data.timestamp || Date.now() });
+        return;
+    }
+
     // ---------- Drug Availability handling ----------
     if (type === 'drug_availability' || type === 'drug_availability_console') {
         const results = data.data || [];
@@ -799,7 +859,9 @@ function handleSignalMessage(data) {
             if (name) {
                 medicationAvailabilityMap.set(name.toLowerCase().trim(), available);
             }
-            const status = available ? '✓ AVAILABLE' : '✖ NOT FOUND';
+            const status = available ? '✓ AVAILABLE'
+                : item.status === 'other_strengths' ? `⚠ OTHER STRENGTHS ONLY (${(item.stocked || []).join(', ')})`
+                : '✖ NOT FOUND';
             console.log(`[DRUG_AVAILABILITY] ${name}: ${status}`, item.matched ? `(matched as: ${item.matched})` : '');
         });
 
@@ -832,6 +894,7 @@ function handleChatMessage(msg) {
     console.log('[CHAT] Normalized message:', normalized);
     addMessageToHistory(normalized);
     addToRecentMessages(normalized);
+    acknowledgeIncoming([msg]);
 }
 
 function handleMessagesCleared(data) {
@@ -856,8 +919,85 @@ function handleMessageHistory(data) {
         const normalized = normalizeMessage(msg);
         addMessageToHistory(normalized);
     });
+    // Anything addressed to us that was never read gets a receipt now
+    acknowledgeIncoming((data?.messages || []).filter(m => m?.to === XR_ID && !m?.readAt));
+}
+
+// ---------- Delivery receipts ----------
+const MESSAGE_STATUS_RANK = { pending: 0, sent: 1, queued: 2, delivered: 3, read: 4 };
+const MESSAGE_STATUS_TICKS = { pending: '🕓', sent: '✓', queued: '✓⏳', delivered: '✓✓', read: '✓✓' };
+let unreadReceipts = []; // incoming messages waiting for the tab to become visible
+
+// Server assigned an id to one of our outgoing messages
+function handleMessageSent({ id, clientId } = {}) {
+    if (!id || !clientId) return;
+    const el = messageHistoryDiv.querySelector(`[data-client-id="${CSS.escape(clientId)}"]`);
+    if (el) el.dataset.msgId = id;
+    updateMessageStatus((m) => m.clientId === clientId, 'sent', id);
+}
+
+function handleMessageReceipt({ ids } = {}, status) {
+    if (!Array.isArray(ids) || ids.length === 0) return;
+    updateMessageStatus((m) => ids.includes(m.id), status);
+}
+
+// Status only moves forward; updates both the rendered tick and localStorage
+function updateMessageStatus(match, status, id) {
+    const history = JSON.parse(localStorage.getItem('messageHistory') || '[]');
+    let changed = false;
+    history.forEach((m) => {
+        if (!m.status || !match(m)) return;
+        if (id && m.id !== id) { m.id = id; changed = true; }
+        if (MESSAGE_STATUS_RANK[status] > (MESSAGE_STATUS_RANK[m.status] ?? -1)) { m.status = status; changed = true; }
+    });
+    if (changed) localStorage.setItem('messageHistory', JSON.stringify(history));
+
+    messageHistoryDiv.querySelectorAll('.message[data-status]').forEach((el) => {
+        const m = { id: el.dataset.msgId, clientId: el.dataset.clientId };
+        if (!match(m)) return;
+        if (MESSAGE_STATUS_RANK[status] <= (MESSAGE_STATUS_RANK[el.dataset.status] ?? -1)) return;
+        el.dataset.status = status;
+        const tick = el.querySelector('.message-status');
+        if (tick) {
+            tick.textContent = MESSAGE_STATUS_TICKS[status];
+            tick.title = status;
+            tick.className = `message-status ${status}`;
+        }
+    });
+}
+
+// Ack delivery right away; read receipts wait until the Dock is actually visible
+function acknowledgeIncoming(messages) {
+    const incoming = (messages || []).filter((m) => m?.id && m?.from && m.from !== XR_ID);
+    if (!incoming.length || !socket?.connected) return;
+    groupIdsBySender(incoming).forEach((ids, from) => {
+        socket.emit('message_ack', { ids, from: XR_ID, to: from });
+    });
+    if (document.visibilityState === 'visible') {
+        sendReadReceipts(incoming);
+    } else {
+        unreadReceipts.push(...incoming);
+    }
 }
 
+function sendReadReceipts(messages) {
+    groupIdsBySender(messages).forEach((ids, from) => {
+        socket.emit('message_read', { ids, from: XR_ID, to: from });
+    });
+}
+
+function groupIdsBySender(messages) {
+    const bySender = new Map();
+    messages.forEach((m) => bySender.set(m.from, [...(bySender.get(m.from) || []), m.id]));
+    return bySender;
+}
+
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'visible' || !unreadReceipts.length || !socket?.connected) return;
+    sendReadReceipts(unreadReceipts);
+    unreadReceipts = [];
+});
+
 function createPeerConnection() {
     console.log('[WEBRTC] Creating new peer connection');
     stopStream();
@@ -1332,6 +1472,7 @@ function sendMessage() {
         xrId: XR_ID,             // some clients expect xrId explicitly
         text,
         urgent: !!urgentCheckbox.checked,
+        clientId: (crypto.randomUUID && crypto.randomUUID()) || `c-${Date.now()}-${Math.random().toString(36).slice(2)}`,
         // include roomId if present (some servers prefer room routing)
         ...(currentRoom ? { roomId: currentRoom } : {})
     };
@@ -1343,6 +1484,7 @@ function sendMessage() {
     addMessageToHistory({
         ...message,
         timestamp: new Date().toLocaleTimeString(),
+        status: 'pending',
     });
 
     messageInput.value = '';
@@ -1357,29 +1499,47 @@ function normalizeMessage(message) {
         timestamp: message?.timestamp || new Date().toLocaleTimeString(),
         priority:
             message?.urgent || message?.priority === 'urgent' ? 'urgent' : 'normal',
+        id: message?.id || null,
+        clientId: message?.clientId || null,
+        status: message?.status || outgoingStatus(message),
     };
 }
 
+// Server history rows carry receipt times; only our own messages show a tick
+function outgoingStatus(message) {
+    if (!message?.id || (message?.from || message?.xrId) !== XR_ID) return null;
+    if (message.readAt) return 'read';
+    if (message.deliveredAt) return 'delivered';
+    return 'sent';
+}
 
-// }
-function addMessageToHistory(message) {
-    const msg = normalizeMessage(message);
-
-    // Add to UI
+function messageElement(msg) {
     const el = document.createElement('div');
     el.className = `message ${msg.priority}`;
+    if (msg.id) el.dataset.msgId = msg.id;
+    if (msg.clientId) el.dataset.clientId = msg.clientId;
+    if (msg.status) el.dataset.status = msg.status;
     el.innerHTML = `
 <div class="message-header">
 <div class="sender-info">
 <span class="sender-name">${msg.sender}</span>
 <span class="xr-id">${msg.xrId}</span>
 </div>
-<div class="message-time">${msg.timestamp}</div>
+<div class="message-time">${msg.timestamp}${msg.status ? ` <span class="message-status ${msg.status}" title="${msg.status}">${MESSAGE_STATUS_TICKS[msg.status] || ''}</span>` : ''}</div>
 </div>
 <div class="message-content">${msg.text}</div>
     ${msg.priority === 'urgent' ? '<div class="urgent-badge">URGENT</div>' : ''}
   `;
-    messageHistoryDiv.appendChild(el);
+    return el;
+}
+
+
+// }
+function addMessageToHistory(message) {
+    const msg = normalizeMessage(message);
+
+    // Add to UI
+    messageHistoryDiv.appendChild(messageElement(msg));
     messageHistoryDiv.scrollTop = messageHistoryDiv.scrollHeight;
 
     // Save to localStorage
@@ -1391,20 +1551,7 @@ function addMessageToHistory(message) {
 function loadMessageHistory() {
     const history = JSON.parse(localStorage.getItem('messageHistory') || '[]');
     history.forEach(msg => {
-        const el = document.createElement('div');
-        el.className = `message ${msg.priority}`;
-        el.innerHTML = `
-<div class="message-header">
-<div class="sender-info">
-<span class="sender-name">${msg.sender}</span>
-<span class="xr-id">${msg.xrId}</span>
-</div>
-<div class="message-time">${msg.timestamp}</div>
-</div>
-<div class="message-content">${msg.text}</div>
-      ${msg.priority === 'urgent' ? '<div class="urgent-badge">URGENT</div>' : ''}
-    `;
-        messageHistoryDiv.appendChild(el);
+        messageHistoryDiv.appendChild(messageElement(msg));
     });
     messageHistoryDiv.scrollTop = messageHistoryDiv.scrollHeight;
 }
@@ -1443,7 +1590,8 @@ function addSystemMessage(text) {
 
 
 function clearMessages() {
-    socket?.emit('clear-messages', { by: DEVICE_NAME });
+    // Server clears only this Dock ↔ peer conversation
+    socket?.emit('clear-messages', { by: DEVICE_NAME, peerId: currentPeerId() });
     clearedMessages.clear();
 
     // Clear UI
@@ -1465,7 +1613,7 @@ function requestOfferFromPeer() {
         return;
     }
     console.log('[CONTROL] Requesting SDP offer from peer:', to);
-    socket.emit('control', { to, command: 'request_offer' });
+    socket.emit('control', { from: XR_ID, to, command: 'request_offer' });
 }
 
 function ensurePeerReadyThenRequestOffer() {
@@ -1482,7 +1630,7 @@ function handleControlCommand(data) {
     const command = (data?.command || data?.action || '').toLowerCase();
 
     // allow start_stream (and request_offer) even if stream is not yet active
-    if (!isStreamActive && !['start_stream', 'request_offer', 'stop_stream', 'scribe_flush'].includes(command)) {
+    if (!isStreamActive && !['start_stream', 'request_offer', 'stop_stream', 'start_note', 'scribe_flush'].includes(command)) {
         console.log('[CONTROL] Stream not active - ignoring command:', command);
         return;
     }
@@ -1506,14 +1654,14 @@ function handleControlCommand(data) {
             // Ask Android for a fresh SDP offer — ALWAYS include `to`
             const to = currentPeerId(); // e.g., 'XR-1234'
             console.log('[CONTROL] Requesting SDP offer from peer:', to);
-            socket?.emit('control', { to, command: 'request_offer' });
+            socket?.emit('control', { from: XR_ID, to, command: 'request_offer' });
 
             // Optional: retry if no offer arrives
             if (window.__offerRetryTimer) clearTimeout(window.__offerRetryTimer);
             window.__offerRetryTimer = setTimeout(() => {
                 if (!peerConnection || peerConnection.signalingState === 'closed') return;
                 console.log('[CONTROL] No offer yet, re-requesting…');
-                socket?.emit('control', { to, command: 'request_offer' });
+                socket?.emit('control', { from: XR_ID, to, command: 'request_offer' });
             }, 4000);
             break;
         }
@@ -1573,6 +1721,11 @@ function handleControlCommand(data) {
             }
             break;
 
+        case 'start_note':
+            // The server opens an encounter for this note session; nothing to do here
+            console.log('[CONTROL] Note recording started on', data?.from || 'device');
+            break;
+
         default:
             console.warn('[CONTROL] Unknown command received:', command);
     }
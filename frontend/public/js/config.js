@@ -76,7 +76,16 @@
   window.XR_DEVICE_ID = up(pick(qpDevice, injectedDevice, 'XR-1234'));
   window.XR_OPERATOR_ID = up(pick(qpOperator, injectedOperator, 'XR-1238'));
 
+  // Device token (issued from /platform) sent in the Socket.IO handshake.
+  // ?token=... is remembered so devices only need the link once.
+  const qpToken = qp.get('token') || qp.get('deviceToken');
+  const injectedToken = (typeof window !== 'undefined' && window.__XR_DEVICE_TOKEN__) || null;
+  let storedToken = null; try { storedToken = localStorage.getItem('xr_device_token') || null; } catch { }
+  window.XR_DEVICE_TOKEN = pick(qpToken, injectedToken, storedToken);
+  if (qpToken) { try { localStorage.setItem('xr_device_token', qpToken); } catch { } }
+
   console.log('[CONFIG] SIGNAL:', window.SIGNAL_URL);
   console.log('[CONFIG] ICE_SERVERS:', window.ICE_SERVERS);
   console.log('[CONFIG] XR IDs:', { device: window.XR_DEVICE_ID, operator: window.XR_OPERATOR_ID });
+  console.log('[CONFIG] Device token:', window.XR_DEVICE_TOKEN ? 'present' : 'missing');
 })();
@@ -517,6 +517,126 @@ function renderDevices() {
 }
 
 
+// ---------------- Alert center ----------------
+// Server-side alert state (alert_raised / alert_cleared / alert_updated / alert_mutes).
+// Acknowledge and mute go back over the socket, so every open dashboard shows the same thing;
+// the server takes the platform admin session as the operator.
+const alertsActive = new Map(); // id -> alert
+let alertsRecent = [];          // cleared alerts, newest first
+let alertMutes = [];            // { ruleId, xrId, until, by }
+const ALERT_RECENT_SHOWN = 50;
+const ALERT_MUTE_MS = 60 * 60 * 1000;
+const SEVERITY_COLORS = { critical: '#dc2626', warning: '#f59e0b', info: '#3b82f6' };
+
+function escHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function timeAgo(ts) {
+  const sec = Math.max(0, Math.round((Date.now() - ts) / 1000));
+  if (sec < 60) return `${sec}s ago`;
+  if (sec < 3600) return `${Math.floor(sec / 60)}m ago`;
+  if (sec < 86400) return `${Math.floor(sec / 3600)}h ago`;
+  return new Date(ts).toLocaleString();
+}
+
+function alertMute(a) {
+  return alertMutes.find(m => m.ruleId === a.ruleId && m.xrId === a.xrId && m.until > Date.now()) || null;
+}
+
+function alertDetail(a) {
+  if (a.metric) {
+    const v = Number.isFinite(a.value) ? Math.round(a.value * 10) / 10 : a.value;
+    return `${a.metric} ${v} (rule ${a.comparator} ${a.threshold})`;
+  }
+  const d = a.details || {};
+  if (a.ruleId === 'duplicate-id') {
+    return `"${d.rejectedDeviceName || 'Unknown'}" rejected; held by "${d.holderDeviceName || 'Unknown'}"${a.count > 1 ? ` · ${a.count} attempts` : ''}`;
+  }
+  if (a.ruleId === 'device-offline' && d.reason) return `Disconnected (${d.reason})`;
+  return '';
+}
+
+function alertItemHTML(a, isActive) {
+  const muted = alertMute(a);
+  const color = SEVERITY_COLORS[a.severity] || '#6b7280';
+  const when = isActive ? `raised ${timeAgo(a.raisedAt)}` : `cleared ${timeAgo(a.clearedAt)}`;
+  const ack = a.acknowledgedAt
+    ? `<span class="text-white/50">✓ ${escHtml(a.acknowledgedBy || 'acknowledged')}</span>`
+    : `<button data-alert-action="ack" data-id="${escHtml(a.id)}" class="px-2 py-0.5 rounded bg-zinc-700 hover:bg-zinc-600">Acknowledge</button>`;
+  const mute = muted
+    ? `<button data-alert-action="unmute" data-rule="${escHtml(a.ruleId)}" data-xr="${escHtml(a.xrId)}" class="px-2 py-0.5 rounded bg-zinc-700 hover:bg-zinc-600" title="Muted until ${escHtml(new Date(muted.until).toLocaleTimeString())}${muted.by ? ` by ${escHtml(muted.by)}` : ''}">Unmute</button>`
+    : `<button data-alert-action="mute" data-rule="${escHtml(a.ruleId)}" data-xr="${escHtml(a.xrId)}" class="px-2 py-0.5 rounded bg-zinc-700 hover:bg-zinc-600" title="Mute this alert for this device for 1 hour">Mute 1h</button>`;
+  return `<div class="rounded-lg bg-zinc-800 p-3 border-l-4 ${muted || !isActive ? 'opacity-60' : ''}" style="border-color:${color}">
+            <div class="flex items-center justify-between gap-2">
+              <div class="font-semibold">${escHtml(a.message)}</div>
+              <div class="text-xs uppercase" style="color:${color}">${escHtml(a.severity)}</div>
+            </div>
+            <div class="text-sm text-white/70">${escHtml(a.xrId)} · ${escHtml(alertDetail(a))}</div>
+            <div class="mt-2 flex items-center justify-between gap-2 text-xs">
+              <span class="text-white/50">${escHtml(when)}${muted ? ' · muted' : ''}</span>
+              <span class="flex items-center gap-2">${ack}${mute}</span>
+            </div>
+          </div>`;
+}
+
+function renderAlertCenter() {
+  const active = Array.from(alertsActive.values()).sort((a, b) => b.raisedAt - a.raisedAt);
+
+  const badge = document.getElementById('alertBadge');
+  if (badge) {
+    const open = active.filter(a => !a.acknowledgedAt && !alertMute(a));
+    badge.textContent = open.length > 99 ? '99+' : String(open.length);
+    badge.classList.toggle('hidden', open.length === 0);
+    badge.style.background = open.some(a => a.severity === 'critical') ? SEVERITY_COLORS.critical : SEVERITY_COLORS.warning;
+  }
+
+  const activeEl = document.getElementById('alertActive');
+  if (activeEl) {
+    activeEl.innerHTML = active.length
+      ? active.map(a => alertItemHTML(a, true)).join('')
+      : '<div class="text-white/50 text-sm">No active alerts</div>';
+  }
+  const recentEl = document.getElementById('alertRecent');
+  if (recentEl) {
+    recentEl.innerHTML = alertsRecent.length
+      ? alertsRecent.slice(0, ALERT_RECENT_SHOWN).map(a => alertItemHTML(a, false)).join('')
+      : '<div class="text-white/50 text-sm">Nothing recent</div>';
+  }
+}
+
+// Shown in the drawer until the next action (e.g. "Sign in as platform admin…")
+function showAlertNotice(message) {
+  const el = document.getElementById('alertNotice');
+  if (!el) return;
+  el.textContent = message || '';
+  el.classList.toggle('hidden', !message);
+}
+
+function initAlertCenter() {
+  const drawer = document.getElementById('alertDrawer');
+  if (!drawer) return;
+
+  document.getElementById('alertBell')?.addEventListener('click', () => drawer.classList.toggle('hidden'));
+  document.getElementById('alertClose')?.addEventListener('click', () => drawer.classList.add('hidden'));
+
+  drawer.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-alert-action]');
+    if (!btn || !socket) return;
+    showAlertNotice(null);
+    const { alertAction, id, rule, xr } = btn.dataset;
+    if (alertAction === 'ack') socket.emit('alert_ack', { id });
+    if (alertAction === 'mute') socket.emit('alert_mute', { ruleId: rule, xrId: xr, durationMs: ALERT_MUTE_MS });
+    if (alertAction === 'unmute') socket.emit('alert_unmute', { ruleId: rule, xrId: xr });
+    btn.disabled = true; // re-enabled by the re-render when the server broadcasts the change
+  });
+
+  renderAlertCenter();
+  // keep "x ago" labels and mute expiry current
+  setInterval(renderAlertCenter, 30 * 1000);
+}
+
+
 // ---------------- Socket wiring ----------------
 let socket = null;
 
@@ -542,6 +662,7 @@ function initSocket() {
 
   socket.on('connect', () => {
     try { socket.emit('request_device_list'); } catch { }
+    try { socket.emit('alerts_get'); } catch { }
   });
 
   socket.on('device_list', (list = []) => {
@@ -669,10 +790,56 @@ function initSocket() {
 
 
 
+  // ---- Alert center ----
+  socket.on('alerts_snapshot', ({ active = [], recent = [], mutes = [] } = {}) => {
+    alertsActive.clear();
+    for (const a of active) alertsActive.set(a.id, a);
+    alertsRecent = recent;
+    alertMutes = mutes;
+    renderAlertCenter();
+  });
+
+  socket.on('alert_raised', (a) => {
+    if (!a?.id) return;
+    alertsActive.set(a.id, a);
+    renderAlertCenter();
+  });
+
+  socket.on('alert_cleared', (a) => {
+    if (!a?.id) return;
+    alertsActive.delete(a.id);
+    alertsRecent = [a, ...alertsRecent.filter(r => r.id !== a.id)];
+    renderAlertCenter();
+  });
+
+  socket.on('alert_updated', (a) => {
+    if (!a?.id) return;
+    if (alertsActive.has(a.id)) alertsActive.set(a.id, a);
+    else alertsRecent = alertsRecent.map(r => r.id === a.id ? a : r);
+    renderAlertCenter();
+  });
+
+  socket.on('alert_mutes', ({ mutes = [] } = {}) => {
+    alertMutes = mutes;
+    renderAlertCenter();
+  });
+
+  socket.on('alert_error', (e) => {
+    console.warn('[DASHBOARD] alert action failed:', e);
+    showAlertNotice(e?.message);
+    renderAlertCenter();
+  });
+
+
+
+
   // ---- Detail modal + charts (NEW) ----
   const modal = document.getElementById('detailModal');
   const titleEl = document.getElementById('detailTitle');
   const closeBtn = document.getElementById('detailClose');
+  const rangeSel = document.getElementById('detailRange');
+  const RANGE_TIME_UNITS = { 3600000: 'minute', 86400000: 'hour', 604800000: 'day', 2592000000: 'day' };
+  let detailFrom = null; // `from` of the snapshot we are waiting for (older replies are ignored)
 
   let batteryChart, netChart, bitrateChart, qualityChart;
 
@@ -695,7 +862,7 @@ function initSocket() {
       scales: {
         x: {
           type: 'time',
-          time: { unit: 'minute' } // keep your current unit
+          time: { unit: 'minute' } // switched per range by subscribeDetailRange
         }
       }
     };
@@ -741,14 +908,26 @@ function initSocket() {
     window.__metricsXrId = xrId;
     initCharts();
     titleEl.textContent = `Device Detail – ${label}`;
+    subscribeDetailRange(xrId);
+    modal.classList.remove('hidden');
+  }
+
+  // (Re)load the charts for the selected range; the server sends 1-minute rollups for long ranges
+  function subscribeDetailRange(xrId) {
+    const span = Number(rangeSel?.value) || 24 * 60 * 60 * 1000;
     [batteryChart, netChart, bitrateChart, qualityChart].forEach(ch => {
       ch.data.datasets.forEach(ds => ds.data = []);
+      ch.options.scales.x.time.unit = RANGE_TIME_UNITS[span] || 'minute';
       ch.update();
     });
-    socket.emit('metrics_subscribe', { xrId });
-    modal.classList.remove('hidden');
+    detailFrom = Date.now() - span;
+    socket.emit('metrics_subscribe', { xrId, from: detailFrom });
   }
 
+  rangeSel?.addEventListener('change', () => {
+    if (window.__metricsXrId) subscribeDetailRange(window.__metricsXrId);
+  });
+
   closeBtn?.addEventListener('click', () => {
     modal.classList.add('hidden');
     if (window.__metricsXrId) {
@@ -758,8 +937,10 @@ function initSocket() {
   });
 
   // Snapshot + live points
-  socket.on('metrics_snapshot', ({ xrId, telemetry = [], quality = [] }) => {
+  socket.on('metrics_snapshot', ({ xrId, from, error, telemetry = [], quality = [] }) => {
     if (xrId !== window.__metricsXrId) return;
+    if (from != null && from !== detailFrom) return; // reply for a range that is no longer selected
+    if (error) console.warn('[DASHBOARD] metrics history:', error);
     addTelemetryPoints(telemetry);
     addQualityPoints(quality);
     updateAll();
@@ -821,6 +1002,7 @@ function initSocket() {
 document.addEventListener('DOMContentLoaded', () => {
   // No initial render here—wait for both snapshots to avoid flicker
   initSocket();
+  initAlertCenter();
 
   // Paint date after DOM is ready and refresh it
   paintNowStamp();
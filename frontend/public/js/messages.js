@@ -3,15 +3,27 @@
 // with small helpers for validation, (de)serialization, and safe rendering.
 //
 // Fields preserved 1:1: sender, text, timestamp, xrId, urgent (default false).
+// Browser-only extras for delivery receipts: id (server-assigned), clientId
+// (ours, until the server id arrives) and status.
 
 /** @typedef {{
  *   sender: string,
  *   text: string,
  *   timestamp: string, // ISO string
  *   xrId: string,
- *   urgent?: boolean
+ *   urgent?: boolean,
+ *   id?: string,
+ *   clientId?: string,
+ *   status?: MessageStatus
  * }} MessageShape */
 
+/** @typedef {'pending'|'sent'|'queued'|'delivered'|'read'} MessageStatus */
+
+/** Receipt states in the order they can happen; status never moves backwards. */
+export const MESSAGE_STATUSES = ['pending', 'sent', 'queued', 'delivered', 'read'];
+
+const STATUS_TICKS = { pending: '🕓', sent: '✓', queued: '✓⏳', delivered: '✓✓', read: '✓✓' };
+
 /** Simple Message model mirroring Android data class. */
 export class Message {
   /** @param {MessageShape} m */
@@ -21,6 +33,9 @@ export class Message {
     this.timestamp = String(m?.timestamp ?? '');
     this.xrId = String(m?.xrId ?? '');
     this.urgent = Boolean(m?.urgent ?? false);
+    this.id = m?.id ? String(m.id) : '';
+    this.clientId = m?.clientId ? String(m.clientId) : '';
+    this.status = MESSAGE_STATUSES.includes(m?.status) ? m.status : '';
   }
 
   /** @param {unknown} any */
@@ -36,7 +51,10 @@ export class Message {
       text: this.text,
       timestamp: this.timestamp,
       xrId: this.xrId,
-      urgent: this.urgent
+      urgent: this.urgent,
+      ...(this.id ? { id: this.id } : {}),
+      ...(this.clientId ? { clientId: this.clientId } : {}),
+      ...(this.status ? { status: this.status } : {})
     };
   }
 
@@ -66,6 +84,8 @@ export class Message {
   toElement() {
     const root = document.createElement('div');
     root.className = `msg ${this.urgent ? 'msg-urgent' : ''}`;
+    if (this.id) root.dataset.msgIds = this.id;
+    if (this.clientId) root.dataset.clientId = this.clientId;
 
     const header = document.createElement('div');
     header.className = 'msg-header';
@@ -83,6 +103,15 @@ export class Message {
     root.appendChild(ts);
     root.appendChild(body);
 
+    // Receipt tick: only outgoing messages carry a status
+    if (this.status) {
+      const tick = document.createElement('span');
+      tick.className = 'msg-status';
+      ts.appendChild(document.createTextNode(' '));
+      ts.appendChild(tick);
+      applyStatus(root, this.status);
+    }
+
     if (this.urgent) {
       const badge = document.createElement('span');
       badge.className = 'msg-badge-urgent';
@@ -114,6 +143,42 @@ export function appendMessage(container, msgLike) {
   container.appendChild(msg.toElement());
 }
 
+/**
+ * Record a server id on the element rendered for `clientId`
+ * (one local message may be sent to several desktops, each with its own id).
+ * @returns {HTMLElement|null}
+ */
+export function attachMessageId(container, clientId, id) {
+  if (!container || !clientId || !id) return null;
+  const el = container.querySelector(`[data-client-id="${CSS.escape(clientId)}"]`);
+  if (!el) return null;
+  const ids = (el.dataset.msgIds || '').split(' ').filter(Boolean);
+  if (!ids.includes(id)) ids.push(id);
+  el.dataset.msgIds = ids.join(' ');
+  return el;
+}
+
+/**
+ * Move rendered messages forward to `status` (a late 'delivered' never
+ * downgrades a 'read'). Matches by server ids or by clientId.
+ * @returns {HTMLElement[]} the elements that were updated
+ */
+export function setMessageStatus(container, { ids = [], clientId = '' } = {}, status) {
+  if (!container || !MESSAGE_STATUSES.includes(status)) return [];
+  const els = new Set();
+  for (const id of ids) {
+    container.querySelectorAll(`[data-msg-ids~="${CSS.escape(id)}"]`).forEach(el => els.add(el));
+  }
+  if (clientId) {
+    container.querySelectorAll(`[data-client-id="${CSS.escape(clientId)}"]`).forEach(el => els.add(el));
+  }
+  const updated = [];
+  for (const el of els) {
+    if (applyStatus(el, status)) updated.push(el);
+  }
+  return updated;
+}
+
 /** Sort newest → oldest by timestamp. */
 export function sortByNewest(messages) {
   return [...messages].sort((a, b) => {
@@ -124,6 +189,19 @@ export function sortByNewest(messages) {
 }
 
 // ---------- utils ----------
+function applyStatus(el, status) {
+  const current = el.dataset.status || '';
+  if (MESSAGE_STATUSES.indexOf(status) <= MESSAGE_STATUSES.indexOf(current)) return false;
+  el.dataset.status = status;
+  const tick = el.querySelector('.msg-status');
+  if (tick) {
+    tick.textContent = STATUS_TICKS[status];
+    tick.title = status;
+    tick.className = `msg-status msg-status-${status}`;
+  }
+  return true;
+}
+
 function isValidIso(s) {
   if (typeof s !== 'string' || !s) return false;
   const t = Date.parse(s);
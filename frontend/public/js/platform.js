@@ -145,6 +145,12 @@ function switchView(viewName) {
     loadDashboardStats();
   } else if (viewName === 'assign-users') {
     loadAssignUsersTable();
+  } else if (viewName === 'pairings') {
+    loadPairingsTable();
+    loadPairingXrIds();
+  } else if (viewName === 'device-tokens') {
+    loadDeviceTokensTable();
+    loadPairingXrIds();
   }
 }
 
@@ -358,4 +364,308 @@ window.saveAssignment = async function(userId) {
   }
 };
 
+async function loadPairingsTable() {
+  const pairingsTable = document.getElementById('pairingsTable');
+  try {
+    const response = await fetch('/api/platform/pairings', {
+      method: 'GET',
+      credentials: 'include',
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to load pairings');
+    }
+
+    const data = await response.json();
+
+    if (data.ok && data.pairings) {
+      const readOnly = data.source !== 'db';
+      document.getElementById('pairingsSourceNote').classList.toggle('hidden', !readOnly);
+
+      if (data.pairings.length > 0) {
+        pairingsTable.innerHTML = data.pairings.map(pairing => `
+          <tr class="table-row border-b border-gray-700" data-pairing-id="${pairing.id}">
+            <td class="py-3">
+              <span class="px-2 py-1 text-xs rounded-full bg-blue-500 bg-opacity-20 text-blue-400">
+                ${pairing.xrIdA}
+              </span>
+            </td>
+            <td class="py-3">
+              <span class="px-2 py-1 text-xs rounded-full bg-blue-500 bg-opacity-20 text-blue-400">
+                ${pairing.xrIdB}
+              </span>
+            </td>
+            <td class="py-3 text-sm">${pairing.label || '—'}</td>
+            <td class="py-3">
+              ${pairing.enabled
+                ? '<span class="px-2 py-1 text-xs rounded-full bg-green-500 bg-opacity-20 text-green-400">Enabled</span>'
+                : '<span class="px-2 py-1 text-xs rounded-full bg-gray-500 bg-opacity-20 text-gray-400">Disabled</span>'}
+            </td>
+            <td class="py-3">
+              ${pairing.live
+                ? '<span class="px-2 py-1 text-xs rounded-full bg-green-600 text-white">● Live</span>'
+                : '<span class="text-sm text-gray-500">Offline</span>'}
+            </td>
+            <td class="py-3 space-x-2">
+              <button
+                onclick="togglePairing('${pairing.id}', ${!pairing.enabled})"
+                class="px-3 py-1 bg-yellow-600 hover:bg-yellow-700 text-white text-sm rounded transition-colors disabled:opacity-40"
+                ${readOnly ? 'disabled' : ''}
+              >
+                ${pairing.enabled ? 'Disable' : 'Enable'}
+              </button>
+              <button
+                onclick="deletePairing('${pairing.id}')"
+                class="px-3 py-1 bg-red-600 hover:bg-red-700 text-white text-sm rounded transition-colors disabled:opacity-40"
+                ${readOnly ? 'disabled' : ''}
+              >
+                Delete
+              </button>
+            </td>
+          </tr>
+        `).join('');
+      } else {
+        pairingsTable.innerHTML = `
+          <tr>
+            <td colspan="6" class="py-8 text-center text-gray-500">No pairings configured</td>
+          </tr>
+        `;
+      }
+    }
+  } catch (err) {
+    console.error('Failed to load pairings:', err);
+    showToast('Failed to load pairings', 'error');
+  }
+}
+
+// Suggest registered XR IDs in the pairing form (server re-validates on create)
+async function loadPairingXrIds() {
+  try {
+    const response = await fetch('/api/platform/users', {
+      method: 'GET',
+      credentials: 'include',
+    });
+    if (!response.ok) return;
+
+    const data = await response.json();
+    if (data.ok && data.users) {
+      document.getElementById('pairingXrIds').innerHTML = data.users
+        .filter(user => user.xr_id)
+        .map(user => `<option value="${user.xr_id}">${user.name || ''}</option>`)
+        .join('');
+    }
+  } catch (err) {
+    console.error('Failed to load XR IDs:', err);
+  }
+}
+
+const createPairingForm = document.getElementById('createPairingForm');
+createPairingForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const formData = new FormData(createPairingForm);
+  const xrIdA = (formData.get('xrIdA') || '').trim();
+  const xrIdB = (formData.get('xrIdB') || '').trim();
+  const label = (formData.get('label') || '').trim();
+
+  if (xrIdA === xrIdB) {
+    showToast('A device cannot be paired with itself', 'error');
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/platform/pairings', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ xrIdA, xrIdB, label: label || null }),
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.ok) {
+      showToast('Pairing created successfully!', 'success');
+      createPairingForm.reset();
+      loadPairingsTable();
+    } else {
+      showToast(data.message || 'Failed to create pairing', 'error');
+    }
+  } catch (err) {
+    console.error('Create pairing error:', err);
+    showToast('Connection error. Please try again.', 'error');
+  }
+});
+
+document.getElementById('refreshPairingsBtn').addEventListener('click', loadPairingsTable);
+
+window.togglePairing = async function(pairingId, enabled) {
+  try {
+    const response = await fetch(`/api/platform/pairings/${pairingId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ enabled }),
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.ok) {
+      showToast(enabled ? 'Pairing enabled' : 'Pairing disabled', 'success');
+      loadPairingsTable();
+    } else {
+      showToast(data.message || 'Failed to update pairing', 'error');
+    }
+  } catch (err) {
+    console.error('Update pairing error:', err);
+    showToast('Connection error. Please try again.', 'error');
+  }
+};
+
+window.deletePairing = async function(pairingId) {
+  if (!confirm('Delete this pairing? Any live session between these devices will be closed.')) return;
+
+  try {
+    const response = await fetch(`/api/platform/pairings/${pairingId}`, {
+      method: 'DELETE',
+      credentials: 'include',
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.ok) {
+      showToast('Pairing deleted', 'success');
+      loadPairingsTable();
+    } else {
+      showToast(data.message || 'Failed to delete pairing', 'error');
+    }
+  } catch (err) {
+    console.error('Delete pairing error:', err);
+    showToast('Connection error. Please try again.', 'error');
+  }
+};
+
+async function loadDeviceTokensTable() {
+  const deviceTokensTable = document.getElementById('deviceTokensTable');
+  try {
+    const response = await fetch('/api/platform/device-credentials', {
+      method: 'GET',
+      credentials: 'include',
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to load device tokens');
+    }
+
+    const data = await response.json();
+
+    if (data.ok && data.credentials) {
+      const readOnly = data.source !== 'db';
+      const note = document.getElementById('deviceTokensNote');
+      const notes = [];
+      if (readOnly) notes.push('Database unavailable — showing DEVICE_TOKENS from the server environment (read-only).');
+      if (!data.enforced) notes.push('DEVICE_AUTH_REQUIRED is off: devices without a token are still accepted.');
+      note.textContent = notes.join(' ');
+      note.classList.toggle('hidden', notes.length === 0);
+
+      if (data.credentials.length > 0) {
+        deviceTokensTable.innerHTML = data.credentials.map(cred => `
+          <tr class="table-row border-b border-gray-700">
+            <td class="py-3">
+              <span class="px-2 py-1 text-xs rounded-full bg-blue-500 bg-opacity-20 text-blue-400">
+                ${cred.xrId}
+              </span>
+            </td>
+            <td class="py-3 text-sm">${cred.label || '—'}</td>
+            <td class="py-3 text-sm text-gray-400">
+              ${cred.createdAt ? new Date(cred.createdAt).toLocaleString() : '—'}
+            </td>
+            <td class="py-3 text-sm text-gray-400">
+              ${cred.lastUsedAt ? new Date(cred.lastUsedAt).toLocaleString() : 'Never'}
+            </td>
+            <td class="py-3">
+              ${cred.revokedAt
+                ? '<span class="px-2 py-1 text-xs rounded-full bg-gray-500 bg-opacity-20 text-gray-400">Revoked</span>'
+                : '<span class="px-2 py-1 text-xs rounded-full bg-green-500 bg-opacity-20 text-green-400">Active</span>'}
+            </td>
+            <td class="py-3">
+              <button
+                onclick="revokeDeviceToken('${cred.id}')"
+                class="px-3 py-1 bg-red-600 hover:bg-red-700 text-white text-sm rounded transition-colors disabled:opacity-40"
+                ${readOnly || cred.revokedAt ? 'disabled' : ''}
+              >
+                Revoke
+              </button>
+            </td>
+          </tr>
+        `).join('');
+      } else {
+        deviceTokensTable.innerHTML = `
+          <tr>
+            <td colspan="6" class="py-8 text-center text-gray-500">No device tokens issued</td>
+          </tr>
+        `;
+      }
+    }
+  } catch (err) {
+    console.error('Failed to load device tokens:', err);
+    showToast('Failed to load device tokens', 'error');
+  }
+}
+
+const issueTokenForm = document.getElementById('issueTokenForm');
+issueTokenForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const formData = new FormData(issueTokenForm);
+  const xrId = (formData.get('xrId') || '').trim();
+  const label = (formData.get('label') || '').trim();
+
+  try {
+    const response = await fetch('/api/platform/device-credentials', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ xrId, label: label || null }),
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.ok) {
+      document.getElementById('issuedTokenValue').textContent = data.token;
+      document.getElementById('issuedTokenBox').classList.remove('hidden');
+      showToast(`Token issued for ${xrId}`, 'success');
+      issueTokenForm.reset();
+      loadDeviceTokensTable();
+    } else {
+      showToast(data.message || 'Failed to issue token', 'error');
+    }
+  } catch (err) {
+    console.error('Issue token error:', err);
+    showToast('Connection error. Please try again.', 'error');
+  }
+});
+
+window.revokeDeviceToken = async function(credentialId) {
+  if (!confirm('Revoke this token? The device will be disconnected immediately.')) return;
+
+  try {
+    const response = await fetch(`/api/platform/device-credentials/${credentialId}`, {
+      method: 'DELETE',
+      credentials: 'include',
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.ok) {
+      showToast('Token revoked', 'success');
+      loadDeviceTokensTable();
+    } else {
+      showToast(data.message || 'Failed to revoke token', 'error');
+    }
+  } catch (err) {
+    console.error('Revoke token error:', err);
+    showToast('Connection error. Please try again.', 'error');
+  }
+};
+
 checkSession();
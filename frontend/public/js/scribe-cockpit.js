@@ -23,8 +23,24 @@
 //
 // Workflow/UI preserved:
 // - Global "Total Edits" badge on first SOAP heading.
-// - "Add To EHR" always disabled (red).
-// - Clear / Save / Add EHR zero visible counters and REBASE provenance to current text (all 'B').
+// - "Add To EHR" sends the note as a FHIR R4 bundle (POST /api/ehr/export); enabled once there
+//   is a note, then shows Sending… / Added ✓ / failed (retry) until the note is edited again.
+// - Clear / Save / a successful Add EHR zero visible counters and REBASE provenance to current text (all 'B').
+//
+// REGENERATE WITH NEW TRANSCRIPT ("Keep my edits" toggle):
+// - A new final transcript updates the current note instead of replacing it:
+//   the edited note + transcript go to POST /api/soap-notes/regenerate.
+// - The reply is three-way merged per section (base = AI baseline, ours = box, theirs = reply);
+//   'U' chars always survive, and the reply becomes the new AI baseline.
+// - The server's automatic note for that transcript is ignored, unless the regenerate call fails;
+//   the cockpit reports the mode (PUT /api/soap-notes/merge-mode) so the server can skip it.
+// - Server calls carry the Dock's device credential (cockpitAuthHeaders); 401/403 are shown as such.
+//
+// NOTE VERSION HISTORY:
+// - Save also records the note as a server-side version of its encounter
+//   (POST /api/soap-notes/versions) with the author and the edit count since the last Save.
+// - "History" lists every version (generated / regenerated / saved) and shows a side-by-side
+//   diff between any two of them or the current boxes, using the same LCS delta as edit tracking.
 
 console.log('[SCRIBE] Booting Scribe Cockpit (incremental + persistent edit tracking + device-aware status + emoji meds)');
 
@@ -40,6 +56,8 @@ let soapHost = document.getElementById('soapNotePanel');
 const clearBtnEl = document.getElementById('_scribe_clear');
 const saveBtnEl = document.getElementById('_scribe_save');
 const addEhrBtnEl = document.getElementById('_scribe_add_ehr');
+const mergeModeEl = document.getElementById('_scribe_merge_mode');
+const historyBtnEl = document.getElementById('_scribe_history');
 
 if (!soapHost) {
   console.warn('[SCRIBE] soapNotePanel not found, creating dynamically');
@@ -58,7 +76,9 @@ const LS_KEYS = {
   HISTORY: 'scribe.history',
   LATEST_SOAP: 'scribe.latestSoap',
   ACTIVE_ITEM_ID: 'scribe.activeItem',
-  MED_AVAIL: 'scribe.medAvailability',              // { byName: {<key>: boolean}, lastText: "<normalized-lines>" }
+  MED_AVAIL: 'scribe.medAvailability',              // { byName: {<key>: boolean}, lastText: "<normalized-lines>", details: {<key>: {...}} }
+  MERGE_MODE: 'scribe.mergeMode',                   // '1' = regenerate the current note with new transcript
+  AUTHOR: 'scribe.author',                          // name recorded on saved note versions
 };
 
 const NGROK_URL = 'http://localhost:8080';
@@ -76,6 +96,26 @@ const fallback = isLocal ? AZURE : NGROK;
 let SERVER_URL = null;
 let socket = null;
 
+// 🔐 The Dock that opened this cockpit leaves its device credential here once
+// its socket connects; the server's cockpit routes accept it
+const COCKPIT_DEVICE_KEY = 'xr_cockpit_device';
+
+function cockpitAuthHeaders() {
+  try {
+    const { xrId, token } = JSON.parse(localStorage.getItem(COCKPIT_DEVICE_KEY) || '{}');
+    return xrId && token ? { Authorization: `Bearer ${token}`, 'X-XR-Id': xrId } : {};
+  } catch {
+    return {};
+  }
+}
+
+// What a 401/403 from a cockpit route means for the scribe; null for any other status
+function authFailureText(status, data) {
+  if (status === 401) return 'Not authorized: connect the Dock with its device token.';
+  if (status === 403) return `Not allowed: ${data?.message || "this Dock is not part of the note's encounter"}.`;
+  return null;
+}
+
 // In-memory UI state
 let latestSoapNote = {};                   // last received/edited SOAP payload
 const transcriptState = { byKey: {} };     // merges partial transcript chunks per (from->to)
@@ -83,6 +123,13 @@ let soapNoteTimer = null;
 let soapNoteStartTime = null;
 let currentActiveItemId = null;
 let soapGenerating = false;
+let partialSoap = null;                    // sections streamed so far (soap_note_partial) for the note being generated
+let autoNotesSuperseded = false;           // merge mode: the server's automatic note for this transcript is not used
+let soapRegenerating = false;
+let queuedRegenerateText = '';             // transcript that arrived while a regenerate was in flight
+let historyPanelEl = null;                 // note version history overlay (built on first open)
+let noteVersions = [];                     // versions of the current note's encounter, oldest first
+let ehrSending = false;                    // Add To EHR request in flight
 
 // Global "Total Edits" badge node
 let totalEditsBadgeEl = null
@@ -121,13 +168,14 @@ function loadActiveItemId() { return localStorage.getItem(LS_KEYS.ACTIVE_ITEM_ID
 function uid() { return Math.random().toString(36).slice(2) + Date.now().toString(36); }
 
 // Medication availability persistence
-function saveMedStatus(byName, lastText) {
-  const payload = { byName: byName || {}, lastText: lastText || '' };
+// details: { <key>: { query, generic, availability, stocked, suggestions } } for lines that need more than ✅/❌
+function saveMedStatus(byName, lastText, details) {
+  const payload = { byName: byName || {}, lastText: lastText || '', details: details || {} };
   localStorage.setItem(LS_KEYS.MED_AVAIL, JSON.stringify(payload));
 }
 function loadMedStatus() {
-  const { byName = {}, lastText = '' } = lsSafeParse(LS_KEYS.MED_AVAIL, { byName: {}, lastText: '' }) || {};
-  return { byName, lastText };
+  const { byName = {}, lastText = '', details = {} } = lsSafeParse(LS_KEYS.MED_AVAIL, { byName: {}, lastText: '' }) || {};
+  return { byName, lastText, details };
 }
 
 // ==========================
@@ -506,6 +554,142 @@ function rebaseBoxStateToCurrent(box) {
   persistSectionState(section, state);
 }
 
+// ==========================
+// REGENERATE MERGE (three-way, keeps 'U' chars)
+// ==========================
+// base   = AI text the box was tracked against (_aiMeta[section].text)
+// ours   = the box's annotated chars (scribe edits tagged 'U')
+// theirs = the regenerated AI text
+// AI changes (base -> theirs) are applied where the scribe has not touched the text;
+// where both changed the same lines the scribe's characters are kept.
+
+// Three-way diff over token arrays (lines or chars). oursKeys[j] is null for ours tokens
+// that must not match base (edited lines, 'U' chars). Returns ops in output order:
+//   { ours: j } | { theirs: k } | { conflict: { base: [i...], ours: [j...], theirs: [k...] } }
+// An AI hunk conflicts when the scribe changed a base token in it or inserted inside it;
+// with strictEdges, insertions right at its edges count too (chars; lines allow them).
+function diff3Tokens(base, oursKeys, theirs, strictEdges) {
+  const n = base.length;
+  // Walk forward over suffix-LCS tables so tokens match as early as possible and
+  // text appended after a base token stays after it
+  const suffixLcs = (x, y) => {
+    const table = buildLcsTable(x.slice().reverse(), y.slice().reverse());
+    return (i, j) => table[x.length - i][y.length - j];
+  };
+
+  const oursAt = new Array(n).fill(-1);                       // base index -> ours index kept by the scribe
+  const extras = Array.from({ length: n + 1 }, () => []);     // ours-only tokens by slot (slot s = before base[s])
+  let lcs = suffixLcs(base, oursKeys);
+  for (let i = 0, j = 0; i < n || j < oursKeys.length;) {
+    if (i < n && j < oursKeys.length && base[i] === oursKeys[j]) { oursAt[i++] = j++; }
+    else if (j < oursKeys.length && (i === n || lcs(i, j + 1) >= lcs(i + 1, j))) extras[i].push(j++);
+    else i++;
+  }
+
+  const keptByTheirs = new Array(n).fill(false);
+  const inserts = Array.from({ length: n + 1 }, () => []);   // theirs indices by slot
+  lcs = suffixLcs(base, theirs);
+  for (let i = 0, j = 0; i < n || j < theirs.length;) {
+    if (i < n && j < theirs.length && base[i] === theirs[j]) { keptByTheirs[i++] = true; j++; }
+    else if (j < theirs.length && (i === n || lcs(i, j + 1) >= lcs(i + 1, j))) inserts[i].push(j++);
+    else i++;
+  }
+
+  const ops = [];
+  const pushExtras = (s) => extras[s].forEach(j => ops.push({ ours: j }));
+  const pushBase = (i) => { if (i < n && oursAt[i] >= 0) ops.push({ ours: oursAt[i] }); };
+  for (let s = 0; s <= n; s++) {
+    if (!inserts[s].length && (s === n || keptByTheirs[s])) { pushExtras(s); pushBase(s); continue; }
+
+    // AI hunk: base[s..end) deleted plus insertions in slots s..end
+    let end = s;
+    while (end < n && !keptByTheirs[end]) end++;
+    // Ours-only tokens that belong to the hunk: inside it, or in place of its first
+    // base token (an edited line lands in the slot of the line it replaced)
+    const inner = (k) => (strictEdges ? k >= s && k <= end : (k > s && k < end) || (k === s && s < end && oursAt[s] < 0));
+    let touched = false;
+    for (let k = s; k <= end && !touched; k++) {
+      touched = (inner(k) && extras[k].length > 0) || (k < end && oursAt[k] < 0);
+    }
+
+    if (!inner(s)) pushExtras(s);
+    if (touched) {
+      const conflict = { base: [], ours: [], theirs: [] };
+      for (let k = s; k <= end; k++) {
+        if (inner(k)) conflict.ours.push(...extras[k]);
+        if (k < end) { conflict.base.push(k); if (oursAt[k] >= 0) conflict.ours.push(oursAt[k]); }
+        conflict.theirs.push(...inserts[k]);
+      }
+      ops.push({ conflict });
+    } else {
+      for (let k = s; k <= end; k++) inserts[k].forEach(t => ops.push({ theirs: t }));
+    }
+    if (end > s && !inner(end)) pushExtras(end);
+    pushBase(end);
+    s = end;
+  }
+  return ops;
+}
+
+// Char-level merge; conflicting hunks keep the scribe's chars. null when too large to diff.
+function mergeChars(baseText, oursAnn, theirsText) {
+  const base = Array.from(baseText);
+  const theirs = Array.from(theirsText);
+
+  // Trim what all three share so only the changed middle is diffed
+  const same = (i, j, k) => oursAnn[j].tag === 'B' && base[i] === oursAnn[j].ch && base[i] === theirs[k];
+  let pre = 0;
+  while (pre < base.length && pre < oursAnn.length && pre < theirs.length && same(pre, pre, pre)) pre++;
+  let suf = 0;
+  while (suf < base.length - pre && suf < oursAnn.length - pre && suf < theirs.length - pre &&
+    same(base.length - 1 - suf, oursAnn.length - 1 - suf, theirs.length - 1 - suf)) suf++;
+
+  const b = base.slice(pre, base.length - suf);
+  const o = oursAnn.slice(pre, oursAnn.length - suf);
+  const t = theirs.slice(pre, theirs.length - suf);
+  if ((b.length + 1) * (Math.max(o.length, t.length) + 1) > MAX_DELTA_CELLS) return null;
+
+  const middle = diff3Tokens(b, o.map(x => (x.tag === 'U' ? null : x.ch)), t, true).flatMap(op => {
+    if (op.conflict) return op.conflict.ours.map(j => o[j]);
+    return op.theirs !== undefined ? [{ ch: t[op.theirs], tag: 'B' }] : [o[op.ours]];
+  });
+  return [...oursAnn.slice(0, pre), ...middle, ...oursAnn.slice(oursAnn.length - suf)];
+}
+
+// Line-level merge, falling back to mergeChars inside lines both sides changed.
+// Returns the merged annotated chars, or null when the section is too large to diff.
+function mergeSectionEdits(baseText, oursAnn, theirsText) {
+  // Untouched box: take the new AI text. Unchanged AI text: keep the box.
+  if (oursAnn.every(x => x.tag === 'B') && oursAnn.map(x => x.ch).join('') === baseText) {
+    return Array.from(theirsText).map(ch => ({ ch, tag: 'B' }));
+  }
+  if (theirsText === baseText) return oursAnn.slice();
+
+  const baseLines = baseText.split('\n');
+  const theirsLines = theirsText.split('\n');
+  const oursLines = [{ ann: [], sep: null }];   // sep: the annotated '\n' before the line
+  oursAnn.forEach(x => {
+    if (x.ch === '\n') oursLines.push({ ann: [], sep: x });
+    else oursLines[oursLines.length - 1].ann.push(x);
+  });
+  const oursKeys = oursLines.map(l => (l.ann.every(x => x.tag === 'B') ? l.ann.map(x => x.ch).join('') : null));
+  if ((baseLines.length + 1) * (Math.max(oursLines.length, theirsLines.length) + 1) > MAX_DELTA_CELLS) return null;
+
+  const joinLines = (lines) => lines.flatMap((l, i) => (i ? [l.sep || { ch: '\n', tag: 'B' }, ...l.ann] : l.ann));
+  const chunks = [];
+  for (const op of diff3Tokens(baseLines, oursKeys, theirsLines, false)) {
+    if (op.ours !== undefined) chunks.push(oursLines[op.ours]);
+    else if (op.theirs !== undefined) chunks.push({ ann: Array.from(theirsLines[op.theirs]).map(ch => ({ ch, tag: 'B' })), sep: null });
+    else {
+      const { base, ours, theirs } = op.conflict;
+      const mine = joinLines(ours.map(j => oursLines[j]));
+      const merged = mergeChars(base.map(i => baseLines[i]).join('\n'), mine, theirs.map(k => theirsLines[k]).join('\n')) || mine;
+      if (merged.length || ours.length) chunks.push({ ann: merged, sep: ours.length ? oursLines[ours[0]].sep : null });
+    }
+  }
+  return joinLines(chunks);
+}
+
 // ==========================
 // SOAP note rendering
 // ==========================
@@ -522,6 +706,7 @@ function soapContainerEnsure() {
 function renderSoapBlank() {
   const scroller = soapContainerEnsure();
   scroller.innerHTML = '';
+  refreshNoteHistoryIfOpen();
 }
 function autoExpandTextarea(el) {
   el.style.height = 'auto';
@@ -551,6 +736,12 @@ function persistSoapFromUI() {
 
   soap._aiMeta = (latestSoapNote && latestSoapNote._aiMeta) ? latestSoapNote._aiMeta : {};
   soap._editMeta = latestSoapNote?._editMeta || {};
+  // Server-side results for this note, kept across edits
+  if (latestSoapNote?._medications) soap._medications = latestSoapNote._medications;
+  if (latestSoapNote?._interactions) soap._interactions = latestSoapNote._interactions;
+  if (latestSoapNote?._encounterId) soap._encounterId = latestSoapNote._encounterId;
+  // Last Add To EHR result for exactly this text (dropped on the next edit)
+  if (latestSoapNote?._ehrExport) soap._ehrExport = latestSoapNote._ehrExport;
 
   const medTextarea = scroller.querySelector('textarea[data-section="Medication"]');
   if (medTextarea) {
@@ -615,10 +806,7 @@ function updateTotalsAndEhrState() {
   const badge = ensureTopHeadingBadge();
   if (badge) badge.textContent = `Total Edits: ${total}`;
 
-  if (addEhrBtnEl) {
-    addEhrBtnEl.disabled = true;
-    addEhrBtnEl.classList.add('scribe-add-ehr-disabled');
-  }
+  updateAddToEhrButtonState();
 }
 
 function resetAllEditCountersToZero() {
@@ -672,6 +860,7 @@ function attachEditTrackingToTextarea(box, aiText) {
         latestSoapNote._editMeta = latestSoapNote._editMeta || {};
         latestSoapNote._editMeta[section] = latestSoapNote._editMeta[section] || {};
         latestSoapNote._editMeta[section].edits = totalEdits;
+        delete latestSoapNote._ehrExport; // the EHR no longer has this text
         saveLatestSoap(latestSoapNote);
 
         const headMetaNow = scroller.querySelector(`.scribe-section[data-section="${CSS.escape(section)}"] .scribe-section-meta`);
@@ -683,6 +872,7 @@ function attachEditTrackingToTextarea(box, aiText) {
         // Medication: show pending emojis and (debounced) validate ONLY when editing
         if (section === 'Medication') {
           medAvailability.clear();         // clear in-memory so overlay shows ⏳
+          medDetails.clear();
           renderMedicationInline();        // show ⏳ while typing
 
           if (medicationDebounceTimer) clearTimeout(medicationDebounceTimer);
@@ -697,8 +887,10 @@ function attachEditTrackingToTextarea(box, aiText) {
   });
 }
 
-function renderSoapNote(soap) {
-  if (soapGenerating) return;
+// partial: render streamed sections read-only while generation is still running.
+// Nothing is persisted and no edit baseline is set until the final note arrives.
+function renderSoapNote(soap, { partial = false } = {}) {
+  if (soapGenerating && !partial) return;
   const scroller = soapContainerEnsure();
   scroller.innerHTML = '';
 
@@ -706,13 +898,20 @@ function renderSoapNote(soap) {
 
   const sections = ['Chief Complaints', 'History of Present Illness', 'Subjective', 'Objective', 'Assessment', 'Plan', 'Medication'];
 
-  if (soap && Object.keys(soap).length && !soap._aiMeta) {
-    initializeEditMetaForSoap(soap);
-  }
+  if (partial) {
+    const status = document.createElement('div');
+    status.className = 'scribe-stream-status';
+    status.textContent = 'AI is writing the SOAP note…';
+    scroller.appendChild(status);
+  } else {
+    if (soap && Object.keys(soap).length && !soap._aiMeta) {
+      initializeEditMetaForSoap(soap);
+    }
 
-  latestSoapNote = latestSoapNote || soap || {};
-  latestSoapNote._aiMeta = latestSoapNote._aiMeta || (soap ? soap._aiMeta : {}) || {};
-  latestSoapNote._editMeta = latestSoapNote._editMeta || (soap ? soap._editMeta : {}) || {};
+    latestSoapNote = latestSoapNote || soap || {};
+    latestSoapNote._aiMeta = latestSoapNote._aiMeta || (soap ? soap._aiMeta : {}) || {};
+    latestSoapNote._editMeta = latestSoapNote._editMeta || (soap ? soap._editMeta : {}) || {};
+  }
 
   sections.forEach(section => {
     const wrap = document.createElement('div');
@@ -727,7 +926,7 @@ function renderSoapNote(soap) {
 
     const metaSpan = document.createElement('div');
     metaSpan.className = 'scribe-section-meta';
-    metaSpan.textContent = 'Edits: 0';
+    metaSpan.textContent = partial ? (soap?.[section] ? 'Received' : 'Generating…') : 'Edits: 0';
 
     head.appendChild(h);
     head.appendChild(metaSpan);
@@ -743,10 +942,16 @@ function renderSoapNote(soap) {
     box.value = contentText;
     autoExpandTextarea(box);
 
-    const aiText = soap?._aiMeta?.[section]?.text ?? contentText;
-    latestSoapNote._aiMeta[section] = latestSoapNote._aiMeta[section] || { text: aiText };
+    if (partial) {
+      box.readOnly = true;
+      box.placeholder = 'Generating…';
+      if (rawVal === undefined) wrap.classList.add('scribe-section-pending');
+    } else {
+      const aiText = soap?._aiMeta?.[section]?.text ?? contentText;
+      latestSoapNote._aiMeta[section] = latestSoapNote._aiMeta[section] || { text: aiText };
 
-    attachEditTrackingToTextarea(box, aiText);
+      attachEditTrackingToTextarea(box, aiText);
+    }
 
     if (section === 'Medication') {
       const w = document.createElement('div');
@@ -760,17 +965,49 @@ function renderSoapNote(soap) {
 
   });
 
+  if (partial) return;
+
   saveLatestSoap(latestSoapNote);
   updateTotalsAndEhrState();
 
   // Restore persisted medication availability (no API call here)
   renderMedicationInline();
+  renderInteractionWarnings();
+  refreshNoteHistoryIfOpen();
 
   scroller.scrollTop = 0;
   const firstBox = scroller.querySelector('textarea[data-section]');
   if (firstBox) { try { firstBox.focus(); } catch { } }
 }
 
+// Elapsed time while sections stream in (the full-page spinner is gone by then)
+function updateSoapStreamStatus(elapsed) {
+  const status = soapContainerEnsure().querySelector('.scribe-stream-status');
+  if (!status) return;
+  const done = Object.keys(partialSoap || {}).length;
+  status.textContent = `AI is writing the SOAP note… ${done}/7 sections · ${elapsed}s`;
+}
+
+function startSoapGenerating() {
+  if (soapNoteTimer) return;
+  soapGenerating = true;
+  partialSoap = null;
+  updateAddToEhrButtonState();
+  renderSoapNoteGenerating(0);
+  soapNoteStartTime = Date.now();
+  soapNoteTimer = setInterval(() => {
+    const elapsedSec = Math.floor((Date.now() - soapNoteStartTime) / 1000);
+    if (partialSoap) updateSoapStreamStatus(elapsedSec);
+    else renderSoapNoteGenerating(elapsedSec);
+  }, 1000);
+}
+
+function stopSoapGenerating() {
+  if (soapNoteTimer) { clearInterval(soapNoteTimer); soapNoteTimer = null; }
+  soapGenerating = false;
+  partialSoap = null;
+}
+
 function renderSoapNoteGenerating(elapsed) {
   const scroller = soapContainerEnsure();
   scroller.innerHTML = `
@@ -781,10 +1018,442 @@ function renderSoapNoteGenerating(elapsed) {
   ensureTopHeadingBadge();
 }
 
+function renderSoapNoteError(err) {
+  const scroller = soapContainerEnsure();
+  const box = document.createElement('div');
+  box.className = 'scribe-section';
+  box.style.cssText = 'color:#fca5a5; border-left:4px solid #ef4444;';
+
+  const reasons = {
+    config: 'the AI provider is not configured',
+    timeout: 'the AI provider timed out',
+    rate_limited: 'the AI provider is rate limiting requests',
+    network: 'the AI provider could not be reached',
+    http: 'the AI provider returned an error',
+    empty_response: 'the AI provider returned an empty response',
+    invalid_response: 'the AI response could not be read as a SOAP note',
+    unauthorized: 'the cockpit is not authorized (connect the Dock with its device token)',
+    forbidden: "this Dock is not part of the note's encounter",
+  };
+  const reason = reasons[err.code] || 'an unexpected error occurred';
+  const attempts = err.attempts > 1 ? ` after ${err.attempts} attempts` : '';
+  box.textContent = `⚠️ SOAP note not generated: ${reason}${attempts}${err.provider ? ` (${err.provider})` : ''}.`;
+  if (err.message) box.title = err.message;
+
+  scroller.prepend(box);
+}
+
+// ==========================
+// Regenerate with new transcript (merge mode)
+// ==========================
+function isMergeModeOn() {
+  return localStorage.getItem(LS_KEYS.MERGE_MODE) === '1';
+}
+
+// Only once there is a note (with an AI baseline) to keep edits in
+function shouldMergeNextTranscript() {
+  return isMergeModeOn() && Object.keys(latestSoapNote?._aiMeta || {}).length > 0;
+}
+
+// Tell the server whether this Dock's next transcript is merged here, so it skips
+// the automatic note nobody would use. Renewed on a timer: the server lets it lapse.
+const MERGE_MODE_REPORT_MS = 30 * 1000;
+let mergeModeReported = null;              // last value the server accepted (null = unknown)
+
+async function reportMergeMode() {
+  const enabled = shouldMergeNextTranscript();
+  if (!SERVER_URL || (!enabled && mergeModeReported === false)) return;
+  try {
+    const response = await fetch(`${SERVER_URL}/api/soap-notes/merge-mode`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...cockpitAuthHeaders() },
+      body: JSON.stringify({ enabled })
+    });
+    mergeModeReported = response.ok ? enabled : null;
+    if (!response.ok) console.warn('[SCRIBE] Merge mode not reported:', response.status);
+  } catch (err) {
+    mergeModeReported = null;
+    console.warn('[SCRIBE] Merge mode not reported:', err);
+  }
+}
+
+function setRegenerateStatus(text) {
+  const scroller = soapContainerEnsure();
+  let status = scroller.querySelector('.scribe-stream-status');
+  if (!text) { status?.remove(); return; }
+  if (!status) {
+    status = document.createElement('div');
+    status.className = 'scribe-stream-status';
+    scroller.prepend(status);
+  }
+  status.textContent = text;
+}
+
+async function regenerateSoapWithTranscript(text) {
+  if (soapRegenerating) {
+    queuedRegenerateText = queuedRegenerateText ? `${queuedRegenerateText} ${text}` : text;
+    return;
+  }
+  soapRegenerating = true;
+  setRegenerateStatus('Updating the note with the new transcript…');
+
+  try {
+    persistSoapFromUI(); // send exactly what the scribe sees
+    const note = {};
+    Object.keys(latestSoapNote._aiMeta || {}).forEach(section => { note[section] = latestSoapNote[section] ?? ''; });
+
+    const response = await fetch(`${SERVER_URL}/api/soap-notes/regenerate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...cockpitAuthHeaders() },
+      body: JSON.stringify({ note, transcript: text, encounterId: latestSoapNote._encounterId || null })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    setRegenerateStatus('');
+    if (!response.ok || !data.ok) {
+      console.warn('[SCRIBE] Regenerate failed:', response.status, data.message);
+      autoNotesSuperseded = false; // nothing replaces the server's automatic notes
+      renderSoapNoteError(data.error || { code: data.code || 'unknown', message: data.message });
+      return;
+    }
+    applyRegeneratedSoap(data);
+  } catch (err) {
+    console.error('[SCRIBE] Regenerate error:', err);
+    setRegenerateStatus('');
+    autoNotesSuperseded = false;
+    renderSoapNoteError({ code: 'network', message: String(err?.message || err) });
+  } finally {
+    soapRegenerating = false;
+    if (queuedRegenerateText) {
+      const next = queuedRegenerateText;
+      queuedRegenerateText = '';
+      regenerateSoapWithTranscript(next);
+    }
+  }
+}
+
+// Merge the regenerated note into the boxes; the reply becomes each section's AI baseline
+function applyRegeneratedSoap({ note, medications, interactions }) {
+  const scroller = soapContainerEnsure();
+  const sections = ['Chief Complaints', 'History of Present Illness', 'Subjective', 'Objective', 'Assessment', 'Plan', 'Medication'];
+  const soap = { _aiMeta: {}, _editMeta: {} };
+
+  sections.forEach(section => {
+    const raw = note?.[section];
+    const theirs = Array.isArray(raw) ? raw.join('\n') : String(raw ?? '');
+    const box = scroller.querySelector(`textarea[data-section="${CSS.escape(section)}"]`);
+    const state = box ? editStateMap.get(box) : null;
+    const ours = state?.ann || Array.from(box?.value || '').map(ch => ({ ch, tag: 'B' }));
+    const base = latestSoapNote?._aiMeta?.[section]?.text ?? '';
+
+    const merged = mergeSectionEdits(base, ours, theirs);
+    if (!merged) console.warn(`[SCRIBE] ${section} is too large to merge; keeping the scribe's text`);
+    const ann = merged || ours;
+
+    const meta = latestSoapNote?._editMeta?.[section] || {};
+    const ins = Math.max(0, state ? state.ins : (meta.ins || 0));
+    const del = Math.max(0, state ? state.del : (meta.del || 0));
+    soap[section] = ann.map(x => x.ch).join('');
+    soap._aiMeta[section] = { text: merged ? theirs : base };
+    soap._editMeta[section] = { edits: ins + del, ins, del, provRLE: rleEncodeTags(ann.map(x => x.tag)) };
+  });
+
+  if (Array.isArray(medications)) soap._medications = medications;
+  if (interactions) soap._interactions = interactions;
+  if (latestSoapNote?._encounterId) soap._encounterId = latestSoapNote._encounterId;
+  latestSoapNote = soap; saveLatestSoap(latestSoapNote);
+
+  const activeId = loadActiveItemId();
+  if (activeId) {
+    const hist = loadHistory();
+    const i = hist.findIndex(x => x.id === activeId);
+    if (i !== -1) { hist[i].soap = latestSoapNote; saveHistory(hist); }
+  }
+
+  renderSoapNote(latestSoapNote);
+  // Merged Medication lines may differ from anything validated so far
+  checkMedicationsFromTextarea(scroller.querySelector('textarea[data-section="Medication"]'));
+}
+
+// ==========================
+// NOTE VERSION HISTORY
+// ==========================
+function loadAuthor() { return localStorage.getItem(LS_KEYS.AUTHOR) || ''; }
+
+// The seven sections as they stand in latestSoapNote (what Save / Add To EHR send)
+function currentSoapSections() {
+  const sections = ['Chief Complaints', 'History of Present Illness', 'Subjective', 'Objective', 'Assessment', 'Plan', 'Medication'];
+  const note = {};
+  sections.forEach(section => { note[section] = latestSoapNote?.[section] ?? ''; });
+  return note;
+}
+
+function totalEditCount() {
+  const editors = soapContainerEnsure().querySelectorAll('textarea[data-section]');
+  return Array.from(editors).reduce((sum, t) => sum + (Number(t.dataset.editCount) || 0), 0);
+}
+
+// Record the current note as a 'saved' version of its encounter:
+// { version } on success, { version: null, authError } when the server refused the cockpit
+async function saveSoapVersion(edits) {
+  const encounterId = latestSoapNote?._encounterId;
+  if (!encounterId || !SERVER_URL) {
+    console.warn('[SCRIBE] Note is not linked to a server encounter; saved locally only.');
+    return { version: null };
+  }
+  const note = currentSoapSections();
+
+  try {
+    const response = await fetch(`${SERVER_URL}/api/soap-notes/versions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...cockpitAuthHeaders() },
+      body: JSON.stringify({ encounterId, note, author: loadAuthor() || null, edits })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) {
+      console.warn('[SCRIBE] Saving note version failed:', response.status, data.message);
+      return { version: null, authError: authFailureText(response.status, data) };
+    }
+    return { version: data.version };
+  } catch (err) {
+    console.warn('[SCRIBE] Saving note version error:', err);
+    return { version: null };
+  }
+}
+
+function flashSaveButton(text) {
+  if (!saveBtnEl) return;
+  saveBtnEl.textContent = text;
+  clearTimeout(saveBtnEl._flashTimer);
+  saveBtnEl._flashTimer = setTimeout(() => { saveBtnEl.textContent = 'Save'; }, 1500);
+}
+
+// Side-by-side diff with the edit-tracking delta: starting from one side as all 'B',
+// the chars the delta tags 'U' are the ones only the other side has.
+function diffSectionSides(leftText, rightText) {
+  const mark = (fromText, toText) => {
+    const prevAnn = Array.from(fromText).map(ch => ({ ch, tag: 'B' }));
+    const tooLarge = (prevAnn.length + 1) * (Array.from(toText).length + 1) > MAX_DELTA_CELLS;
+    return (tooLarge ? fastGreedyDelta : exactDeltaViaLcs)(prevAnn, toText, { ins: 0, del: 0 });
+  };
+  return { left: mark(rightText, leftText), right: mark(leftText, rightText) };
+}
+
+function diffSideHtml(ann, changedClass) {
+  if (!ann.length) return '<span class="scribe-diff-empty">(empty)</span>';
+  let html = '', at = 0;
+  for (const [tag, count] of rleEncodeTags(ann.map(x => x.tag))) {
+    const text = escapeHtml(ann.slice(at, at + count).map(x => x.ch).join(''));
+    html += tag === 'U' ? `<span class="${changedClass}">${text}</span>` : text;
+    at += count;
+  }
+  return html;
+}
+
+function isNoteHistoryOpen() {
+  return !!historyPanelEl && !historyPanelEl.hidden;
+}
+
+function ensureHistoryPanel() {
+  if (historyPanelEl && soapHost.contains(historyPanelEl)) return historyPanelEl;
+
+  const panel = document.createElement('div');
+  panel.className = 'scribe-history scribe-scroll';
+  panel.hidden = true;
+  panel.innerHTML = `
+    <div class="scribe-history-head">
+      <h3>Note history</h3>
+      <label class="scribe-history-author">Author
+        <input type="text" maxlength="100" placeholder="Your name">
+      </label>
+      <button type="button" class="scribe-history-close" title="Close history">✕</button>
+    </div>
+    <div class="scribe-history-status"></div>
+    <ul class="scribe-history-list"></ul>
+    <div class="scribe-history-compare">
+      <label>From <select data-side="from"></select></label>
+      <label>To <select data-side="to"></select></label>
+    </div>
+    <div class="scribe-history-diff"></div>
+  `;
+
+  const authorInput = panel.querySelector('.scribe-history-author input');
+  authorInput.value = loadAuthor();
+  authorInput.onchange = () => localStorage.setItem(LS_KEYS.AUTHOR, authorInput.value.trim());
+  panel.querySelector('.scribe-history-close').onclick = () => toggleNoteHistory(false);
+  panel.querySelectorAll('.scribe-history-compare select').forEach(sel => { sel.onchange = renderHistoryDiff; });
+
+  soapHost.appendChild(panel);
+  historyPanelEl = panel;
+  return panel;
+}
+
+function toggleNoteHistory(open = !isNoteHistoryOpen()) {
+  const panel = ensureHistoryPanel();
+  panel.hidden = !open;
+  if (open) refreshNoteHistory();
+}
+
+function refreshNoteHistoryIfOpen() {
+  if (isNoteHistoryOpen()) refreshNoteHistory();
+}
+
+function setHistoryStatus(text) {
+  const status = ensureHistoryPanel().querySelector('.scribe-history-status');
+  status.textContent = text || '';
+  status.hidden = !text;
+}
+
+async function refreshNoteHistory() {
+  const encounterId = latestSoapNote?._encounterId;
+  noteVersions = [];
+
+  if (!encounterId) {
+    setHistoryStatus('This note is not linked to a server encounter, so it has no saved versions.');
+  } else if (!SERVER_URL) {
+    setHistoryStatus('Not connected to the server.');
+  } else {
+    setHistoryStatus('Loading versions…');
+    try {
+      const response = await fetch(`${SERVER_URL}/api/soap-notes/versions?encounterId=${encodeURIComponent(encounterId)}`, {
+        headers: cockpitAuthHeaders()
+      });
+      const data = await response.json().catch(() => ({}));
+      if (latestSoapNote?._encounterId !== encounterId) return; // note switched meanwhile
+      if (!response.ok || !data.ok) {
+        setHistoryStatus(authFailureText(response.status, data) || data.message || `Could not load versions (${response.status}).`);
+      } else {
+        noteVersions = Array.isArray(data.versions) ? data.versions : [];
+        setHistoryStatus(noteVersions.length ? '' : 'No versions recorded yet.');
+      }
+    } catch (err) {
+      console.warn('[SCRIBE] Loading note versions failed:', err);
+      setHistoryStatus('Could not load versions.');
+    }
+  }
+
+  renderHistoryList();
+  // Default: latest version against what is in the boxes now
+  const latest = noteVersions[noteVersions.length - 1];
+  selectHistoryCompare(latest ? String(latest.version) : 'current', 'current');
+}
+
+function renderHistoryList() {
+  const list = ensureHistoryPanel().querySelector('.scribe-history-list');
+  list.innerHTML = '';
+  noteVersions.slice().reverse().forEach(v => {
+    const li = document.createElement('li');
+    li.className = 'scribe-history-item';
+    li.dataset.version = String(v.version);
+    const when = v.createdAt ? new Date(v.createdAt).toLocaleString() : '';
+    const edits = Number.isFinite(v.edits) ? ` · ${v.edits} edit${v.edits === 1 ? '' : 's'}` : '';
+    li.innerHTML = `
+      <span class="scribe-history-version">v${escapeHtml(v.version)}</span>
+      <span class="scribe-history-source scribe-history-source-${escapeHtml(v.source)}">${escapeHtml(v.source)}</span>
+      <span class="scribe-history-meta">${escapeHtml(v.author || (v.source === 'saved' ? 'Unknown' : 'AI'))}${edits}</span>
+      <span class="scribe-history-time">${escapeHtml(when)}</span>
+    `;
+    // A version against the one after it (or the current boxes for the newest)
+    li.onclick = () => {
+      const next = noteVersions.find(x => x.version > v.version);
+      selectHistoryCompare(String(v.version), next ? String(next.version) : 'current');
+    };
+    list.appendChild(li);
+  });
+}
+
+function selectHistoryCompare(from, to) {
+  const panel = ensureHistoryPanel();
+  const options = [
+    ...noteVersions.map(v => `<option value="${escapeHtml(v.version)}">v${escapeHtml(v.version)} (${escapeHtml(v.source)})</option>`),
+    '<option value="current">Current note</option>'
+  ].join('');
+  panel.querySelectorAll('.scribe-history-compare select').forEach(sel => {
+    sel.innerHTML = options;
+    sel.value = sel.dataset.side === 'from' ? from : to;
+  });
+  renderHistoryDiff();
+}
+
+// 'current' = the boxes as they are now; otherwise a version number
+function historySectionText(which, section) {
+  if (which === 'current') {
+    const box = soapContainerEnsure().querySelector(`textarea[data-section="${CSS.escape(section)}"]`);
+    return box ? box.value || '' : String(latestSoapNote?.[section] ?? '');
+  }
+  const raw = noteVersions.find(v => String(v.version) === which)?.note?.[section];
+  return Array.isArray(raw) ? raw.join('\n') : String(raw ?? '');
+}
+
+function renderHistoryDiff() {
+  const panel = ensureHistoryPanel();
+  const from = panel.querySelector('select[data-side="from"]').value;
+  const to = panel.querySelector('select[data-side="to"]').value;
+  const diffEl = panel.querySelector('.scribe-history-diff');
+  diffEl.innerHTML = '';
+  panel.querySelectorAll('.scribe-history-item').forEach(li => li.classList.toggle('active', li.dataset.version === from));
+  if (!noteVersions.length) return;
+
+  const sections = ['Chief Complaints', 'History of Present Illness', 'Subjective', 'Objective', 'Assessment', 'Plan', 'Medication'];
+  sections.forEach(section => {
+    const leftText = historySectionText(from, section);
+    const rightText = historySectionText(to, section);
+    const { left, right } = diffSectionSides(leftText, rightText);
+    const removed = left.filter(x => x.tag === 'U').length;
+    const added = right.filter(x => x.tag === 'U').length;
+
+    const wrap = document.createElement('div');
+    wrap.className = 'scribe-history-section' + (removed || added ? '' : ' scribe-history-unchanged');
+    wrap.innerHTML = `
+      <div class="scribe-section-head">
+        <h3>${escapeHtml(section)}</h3>
+        <div class="scribe-section-meta">${removed || added ? `−${removed} +${added}` : 'No changes'}</div>
+      </div>
+      <div class="scribe-diff-cols">
+        <div class="scribe-diff-col">${diffSideHtml(left, 'scribe-diff-del')}</div>
+        <div class="scribe-diff-col">${diffSideHtml(right, 'scribe-diff-add')}</div>
+      </div>
+    `;
+    diffEl.appendChild(wrap);
+  });
+}
+
 // ==========================
 // Drug Availability (inline in same box) — UPDATED with animated emojis + persistence
 // ==========================
 const medAvailability = new Map(); // Map<normalizedName, boolean>
+const medDetails = new Map();      // Map<normalizedName, { query, generic, availability, stocked, suggestions: [{ name, score }] }>
+
+function restoreMedStatus(byName, details) {
+  medAvailability.clear();
+  medDetails.clear();
+  Object.entries(byName || {}).forEach(([k, v]) => medAvailability.set(k, !!v));
+  Object.entries(details || {}).forEach(([k, v]) => medDetails.set(k, v));
+}
+
+// Keep what the overlay needs from one availability result (null when nothing extra)
+function medDetailFromResult(item) {
+  const suggestions = Array.isArray(item?.suggestions) ? item.suggestions.filter(x => x?.name) : [];
+  const generic = item?.generic || null;
+  const availability = item?.availability || null;
+  const stocked = Array.isArray(item?.stocked) ? item.stocked : [];
+  if (!suggestions.length && !generic && availability !== 'availableOtherStrengths') return null;
+  return { query: item.query || null, generic, availability, stocked, suggestions };
+}
+
+// Replace the misspelled drug name on one Medication line with a suggestion, then re-validate
+function applyMedicationSuggestion(textarea, lineIndex, query, replacement) {
+  const lines = (textarea.value || '').split('\n');
+  const line = lines[lineIndex];
+  if (line == null) return;
+
+  const escaped = String(query || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const re = escaped ? new RegExp(escaped, 'i') : null;
+  lines[lineIndex] = re && re.test(line) ? line.replace(re, replacement) : replacement;
+
+  textarea.value = lines.join('\n');
+  textarea.dispatchEvent(new Event('input', { bubbles: true }));
+}
 
 // Validation state
 let medicationValidationPending = false;
@@ -821,12 +1490,11 @@ async function checkMedicationsFromTextarea(textarea) {
   if (!textarea) return;
 
   const currentNormalized = normalizedMedicationBlock(textarea);
-  const { byName: persistedByName, lastText } = loadMedStatus();
+  const { byName: persistedByName, lastText, details: persistedDetails } = loadMedStatus();
 
   // If unchanged since last validation, just restore and render; no API call.
   if (currentNormalized === lastText) {
-    medAvailability.clear();
-    Object.entries(persistedByName).forEach(([k, v]) => medAvailability.set(k, !!v));
+    restoreMedStatus(persistedByName, persistedDetails);
     medicationValidationPending = false;
     renderMedicationInline();
     updateAddToEhrButtonState();
@@ -862,7 +1530,9 @@ async function checkMedicationsFromTextarea(textarea) {
     const results = data.results || [];
 
     medAvailability.clear();
+    medDetails.clear();
     const newByName = {};
+    const newDetails = {};
     results.forEach(item => {
       const rawName = (item.name ?? item.query ?? item.drug ?? item.drugName ?? '').toString();
       const key = normalizeDrugKey(rawName);
@@ -873,10 +1543,12 @@ async function checkMedicationsFromTextarea(textarea) {
           : (item.status === 'exists' || item.status === 'available' || item.status === true);
       medAvailability.set(key, !!available);
       newByName[key] = !!available;
+      const detail = medDetailFromResult(item);
+      if (detail) { medDetails.set(key, detail); newDetails[key] = detail; }
     });
 
     // Persist statuses & the exact normalized text these apply to
-    saveMedStatus(newByName, currentNormalized);
+    saveMedStatus(newByName, currentNormalized, newDetails);
 
     medicationValidationPending = false;
     renderMedicationInline();
@@ -926,8 +1598,39 @@ function showPendingIndicators() {
 
 function updateAddToEhrButtonState() {
   if (!addEhrBtnEl) return;
-  // Always disabled per requirements; keep logic in case of future enablement.
-  addEhrBtnEl.disabled = true;
+  const hasNote = !soapGenerating && Object.keys(latestSoapNote?._aiMeta || {}).length > 0;
+  const result = hasNote ? latestSoapNote._ehrExport : null;
+  const sent = result?.status === 'success';
+  const failed = result?.status === 'failed';
+
+  addEhrBtnEl.disabled = !hasNote || ehrSending || sent;
+  addEhrBtnEl.textContent = ehrSending ? 'Sending…' : sent ? 'Added To EHR ✓'
+    : failed ? (result.auth ? 'Not Authorized · Retry' : 'Retry Add To EHR') : 'Add To EHR';
+  addEhrBtnEl.title = ehrSending ? '' : sent ? `Sent as ${result.composition || 'a FHIR bundle'}` : failed ? result.message || 'Export failed' : '';
+  addEhrBtnEl.classList.toggle('scribe-add-ehr-disabled', !hasNote);
+  addEhrBtnEl.classList.toggle('scribe-ehr-success', !ehrSending && sent);
+  addEhrBtnEl.classList.toggle('scribe-ehr-failed', !ehrSending && failed);
+}
+
+// POST the note to /api/ehr/export (FHIR R4 bundle); resolves to the result kept on the note
+async function exportSoapToEhr(note) {
+  try {
+    const response = await fetch(`${SERVER_URL}/api/ehr/export`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...cockpitAuthHeaders() },
+      body: JSON.stringify({ encounterId: latestSoapNote._encounterId || null, note, author: loadAuthor() || null })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) {
+      console.warn('[SCRIBE] Add To EHR failed:', response.status, data.message);
+      const authError = authFailureText(response.status, data);
+      return { status: 'failed', auth: !!authError, message: authError || data.message || `HTTP ${response.status}`, at: Date.now() };
+    }
+    return { status: 'success', composition: data.composition || null, at: Date.now() };
+  } catch (err) {
+    console.warn('[SCRIBE] Add To EHR error:', err);
+    return { status: 'failed', message: String(err?.message || err), at: Date.now() };
+  }
 }
 
 // Inject minimal CSS once (dark-theme friendly) — UPDATED to emoji + subtle animations
@@ -937,6 +1640,13 @@ function ensureMedStyles() {
   s.id = 'med-inline-css';
   s.textContent = `
     .med-line { display: flex; align-items: center; gap: 8px; }
+    .med-generic { font-size: 12px; color: #94a3b8; white-space: nowrap; }
+    .med-stocked { font-size: 12px; color: #fbbf24; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .med-suggest { pointer-events: auto; font-size: 12px; color: #fbbf24; white-space: nowrap; }
+    .med-suggest button {
+      pointer-events: auto; background: none; border: 0; padding: 0 2px; margin: 0;
+      color: #93c5fd; text-decoration: underline; cursor: pointer; font: inherit;
+    }
     .med-emoji { font-weight: 800; display:inline-block; transform-origin: center; }
     .med-wrap { position: relative; }
     .med-overlay {
@@ -964,6 +1674,17 @@ function ensureMedStyles() {
     .med-pending { animation: pulse 1.2s ease-in-out infinite; }
     .med-available { animation: pop 250ms ease-out; }
     .med-unavailable { animation: wiggle 400ms ease-in-out 2; }
+    .med-other { animation: pop 250ms ease-out; }
+    .med-warn {
+      font-size: 11px; font-weight: 700; text-transform: uppercase; white-space: nowrap;
+      padding: 1px 6px; border-radius: 999px; pointer-events: auto; cursor: help;
+    }
+    .med-warn-major { background: rgba(239,68,68,0.2); color: #fca5a5; border: 1px solid #ef4444; }
+    .med-warn-moderate { background: rgba(245,158,11,0.2); color: #fcd34d; border: 1px solid #f59e0b; }
+    .med-warn-minor { background: rgba(148,163,184,0.2); color: #cbd5e1; border: 1px solid #94a3b8; }
+    .med-warnings { margin-top: 8px; padding: 8px 10px; border-left: 4px solid #f59e0b; background: rgba(245,158,11,0.08); font-size: 13px; }
+    .med-warnings-head { font-weight: 700; color: #fcd34d; margin-bottom: 4px; }
+    .med-warnings-item { margin: 3px 0; color: #e5e7eb; }
   `;
   document.head.appendChild(s);
 }
@@ -1018,16 +1739,16 @@ function renderMedicationInline() {
 
   // Before drawing, ensure in-memory map reflects persisted statuses if text matches
   const currentNormalized = normalizedMedicationBlock(textarea);
-  const { byName, lastText } = loadMedStatus();
+  const { byName, lastText, details } = loadMedStatus();
   if (currentNormalized === lastText) {
-    medAvailability.clear();
-    Object.entries(byName).forEach(([k, v]) => medAvailability.set(k, !!v));
+    restoreMedStatus(byName, details);
   }
 
   const frag = document.createDocumentFragment();
   const lines = (textarea.value || '').split('\n');
+  const warningsByLine = interactionWarningsByLine(latestSoapNote?._interactions);
 
-  for (const raw of lines) {
+  lines.forEach((raw, lineIndex) => {
     const line = raw.trim();
 
     const row = document.createElement('div');
@@ -1044,10 +1765,43 @@ function renderMedicationInline() {
 
       if (medAvailability.has(key)) {
         const ok = !!medAvailability.get(key);
+        const detail = medDetails.get(key);
+        const otherStrengths = !ok && detail?.availability === 'availableOtherStrengths';
         const badge = document.createElement('span');
-        badge.className = `med-emoji ${ok ? 'med-available' : 'med-unavailable'}`;
-        badge.textContent = ok ? '✅' : '❌';
+        badge.className = `med-emoji ${ok ? 'med-available' : otherStrengths ? 'med-other' : 'med-unavailable'}`;
+        badge.textContent = ok ? '✅' : otherStrengths ? '⚠️' : '❌';
+        if (otherStrengths) badge.title = 'In stock, but not in this strength or form';
         row.appendChild(badge);
+
+        if (otherStrengths && detail.stocked?.length) {
+          const stocked = document.createElement('span');
+          stocked.className = 'med-stocked';
+          stocked.textContent = `Stocked: ${detail.stocked.join(', ')}`;
+          row.appendChild(stocked);
+        }
+        if (detail?.generic) {
+          const generic = document.createElement('span');
+          generic.className = 'med-generic';
+          generic.textContent = `→ ${detail.generic}`;
+          generic.title = 'Brand name resolved to this generic';
+          row.appendChild(generic);
+        }
+        if (!ok && detail?.suggestions?.length) {
+          const hint = document.createElement('span');
+          hint.className = 'med-suggest';
+          hint.append('Did you mean ');
+          detail.suggestions.slice(0, 3).forEach((sug, i) => {
+            if (i > 0) hint.append(', ');
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.textContent = sug.name;
+            btn.title = `Match score ${Math.round((sug.score || 0) * 100)}%`;
+            btn.onclick = () => applyMedicationSuggestion(textarea, lineIndex, detail.query, sug.name);
+            hint.appendChild(btn);
+          });
+          hint.append('?');
+          row.appendChild(hint);
+        }
       } else if (medicationValidationPending) {
         // If we're currently validating, show pending
         const badge = document.createElement('span');
@@ -1055,14 +1809,92 @@ function renderMedicationInline() {
         badge.textContent = '⏳';
         row.appendChild(badge);
       }
+
+      const warnings = warningsByLine.get(key);
+      if (warnings?.length) {
+        const warn = document.createElement('span');
+        warn.className = `med-warn med-warn-${warnings[0].severity || 'minor'}`;
+        warn.textContent = `⚠ ${warnings[0].severity || 'warning'}${warnings.length > 1 ? ` +${warnings.length - 1}` : ''}`;
+        warn.title = warnings.map(w => w.text).join('\n');
+        row.appendChild(warn);
+      }
     }
 
     frag.appendChild(row);
-  }
+  });
 
   overlay.replaceChildren(frag);
 }
 
+// ==========================
+// Interaction / allergy warnings (drug_interaction_console)
+// ==========================
+const SEVERITY_ORDER = { major: 0, moderate: 1, minor: 2 };
+
+// Map<normalizedLineKey, [{ severity, text }]>, most severe first
+function interactionWarningsByLine(screen) {
+  const byLine = new Map();
+  const add = (line, severity, text) => {
+    const key = normalizeDrugKey(line);
+    if (!key) return;
+    if (!byLine.has(key)) byLine.set(key, []);
+    byLine.get(key).push({ severity, text });
+  };
+  (screen?.interactions || []).forEach(w => {
+    const [a, b] = w.medications || [];
+    add(a, w.severity, `Interaction with ${b}: ${w.description}`);
+    add(b, w.severity, `Interaction with ${a}: ${w.description}`);
+  });
+  (screen?.allergyWarnings || []).forEach(w => add(w.medication, w.severity, `Allergy (${w.allergen}): ${w.description}`));
+  byLine.forEach(list => list.sort((x, y) => (SEVERITY_ORDER[x.severity] ?? 3) - (SEVERITY_ORDER[y.severity] ?? 3)));
+  return byLine;
+}
+
+// Summary list under the Medication box
+function renderInteractionWarnings() {
+  ensureMedStyles();
+  const scroller = soapContainerEnsure();
+  const medSection = scroller.querySelector('.scribe-section[data-section="Medication"]');
+  if (!medSection) return;
+
+  medSection.querySelector('.med-warnings')?.remove();
+  const screen = latestSoapNote?._interactions;
+  const items = [
+    ...(screen?.allergyWarnings || []).map(w => ({
+      severity: w.severity,
+      title: `${w.medication} — allergy: ${w.allergen}`,
+      description: w.description,
+    })),
+    ...(screen?.interactions || []).map(w => ({
+      severity: w.severity,
+      title: (w.medications || []).join(' + '),
+      description: w.description,
+    })),
+  ].sort((x, y) => (SEVERITY_ORDER[x.severity] ?? 3) - (SEVERITY_ORDER[y.severity] ?? 3));
+  if (!items.length) return;
+
+  const box = document.createElement('div');
+  box.className = 'med-warnings';
+  const head = document.createElement('div');
+  head.className = 'med-warnings-head';
+  head.textContent = `⚠ ${items.length} interaction / allergy warning${items.length === 1 ? '' : 's'}`;
+  box.appendChild(head);
+
+  items.forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'med-warnings-item';
+    const sev = document.createElement('span');
+    sev.className = `med-warn med-warn-${item.severity || 'minor'}`;
+    sev.textContent = item.severity || 'warning';
+    const title = document.createElement('strong');
+    title.textContent = item.title;
+    row.append(sev, ' ', title, ` — ${item.description || ''}`);
+    box.appendChild(row);
+  });
+
+  medSection.appendChild(box);
+}
+
 // Back-compat entry point (kept name so existing calls still work)
 function updateMedicationAvailabilityIndicators() {
   renderMedicationInline();
@@ -1074,7 +1906,9 @@ function updateMedicationAvailabilityIndicators() {
 function ingestDrugAvailabilityPayload(payload) {
   const arr = Array.isArray(payload) ? payload : (payload ? [payload] : []);
   medAvailability.clear();
+  medDetails.clear();
   const newByName = {};
+  const newDetails = {};
   for (const item of arr) {
     const raw =
       (item?.name ?? item?.query ?? item?.drug ?? item?.drugName ?? '').toString();
@@ -1086,20 +1920,34 @@ function ingestDrugAvailabilityPayload(payload) {
         : (item?.status === 'exists' || item?.status === 'available' || item?.status === true);
     medAvailability.set(key, !!available);
     newByName[key] = !!available;
+    const detail = medDetailFromResult(item);
+    if (detail) { medDetails.set(key, detail); newDetails[key] = detail; }
   }
 
   // Persist what we ingest; tie it to the current Medication block if present
   const scroller = soapContainerEnsure();
   const medTextarea = scroller.querySelector('textarea[data-section="Medication"]');
   const currentNormalized = normalizedMedicationBlock(medTextarea);
-  saveMedStatus(newByName, currentNormalized);
+  saveMedStatus(newByName, currentNormalized, newDetails);
 
   renderMedicationInline();
 }
 
+// The server's automatic note for a transcript, and the checks that follow it
+const AUTO_NOTE_SIGNALS = new Set([
+  'soap_note_partial', 'soap_note_console', 'soap_note_error',
+  'drug_availability', 'drug_availability_console', 'drug_interaction_console',
+]);
+
 function handleSignalMessage(packet) {
   if (!packet?.type) return;
 
+  // Merge mode: the regenerated note replaces the server's automatic one
+  if (autoNotesSuperseded && AUTO_NOTE_SIGNALS.has(packet.type)) {
+    console.info(`[SCRIBE] Ignoring ${packet.type}; the note is regenerated with the new transcript instead`);
+    return;
+  }
+
   if (packet.type === 'drug_availability' || packet.type === 'drug_availability_console') {
     ingestDrugAvailabilityPayload(packet.data);
     return;
@@ -1120,29 +1968,40 @@ function handleSignalMessage(packet) {
     slot.partial = '';
     slot.paragraph = mergeIncremental(slot.paragraph ? slot.paragraph + ' ' : '', mergedFinal);
 
+    // Merge mode keeps the current note (and its edits) and regenerates it with this paragraph
+    const merge = shouldMergeNextTranscript();
+    autoNotesSuperseded = merge;
+
     if (slot.flushTimer) clearTimeout(slot.flushTimer);
     slot.flushTimer = setTimeout(() => {
       if (slot.paragraph) {
-        appendTranscriptItem({ from, to, text: slot.paragraph, timestamp });
-        transcriptBC.postMessage({ type: 'transcript_console', data: { from, to, text: slot.paragraph, final: true, timestamp } });
+        const paragraph = slot.paragraph;
+        appendTranscriptItem({ from, to, text: paragraph, timestamp });
+        transcriptBC.postMessage({ type: 'transcript_console', data: { from, to, text: paragraph, final: true, timestamp } });
         slot.paragraph = '';
+        if (merge) regenerateSoapWithTranscript(paragraph);
       }
       slot.flushTimer = null;
     }, 800);
 
-    if (!soapNoteTimer) {
-      soapGenerating = true;
-      renderSoapNoteGenerating(0);
-      soapNoteStartTime = Date.now();
-      soapNoteTimer = setInterval(() => {
-        const elapsedSec = Math.floor((Date.now() - soapNoteStartTime) / 1000);
-        renderSoapNoteGenerating(elapsedSec);
-      }, 1000);
-    }
+    if (!merge) startSoapGenerating();
+  }
+
+  else if (packet.type === 'soap_note_partial') {
+    const { section, lines } = packet.data || {};
+    if (!section || !Array.isArray(lines)) return;
+    startSoapGenerating(); // no-op when the transcript already started it
+    partialSoap = { ...(partialSoap || {}), [section]: lines };
+    renderSoapNote(partialSoap, { partial: true });
+    updateSoapStreamStatus(Math.floor((Date.now() - (soapNoteStartTime || Date.now())) / 1000));
   }
 
   else if (packet.type === 'soap_note_console') {
     const soap = packet.data || {};
+    // Structured { name, strength, unit, route, frequency, raw } entries behind the Medication lines
+    if (Array.isArray(packet.medications)) soap._medications = packet.medications;
+    // Server-side encounter this note belongs to (versions are recorded against it)
+    if (packet.encounterId) soap._encounterId = packet.encounterId;
     initializeEditMetaForSoap(soap); // new AI content -> fresh baseline and counters
     latestSoapNote = soap; saveLatestSoap(latestSoapNote);
 
@@ -1153,15 +2012,41 @@ function handleSignalMessage(packet) {
       if (i !== -1) { hist[i].soap = latestSoapNote; saveHistory(hist); }
     }
 
-    soapBC.postMessage({ type: 'soap_note_console', data: soap, timestamp: packet.timestamp || Date.now() });
+    soapBC.postMessage({ type: 'soap_note_console', data: soap, medications: packet.medications, validation: packet.validation || null, encounterId: packet.encounterId || null, timestamp: packet.timestamp || Date.now() });
+    if (packet.validation?.repaired) console.info('[SCRIBE] SOAP note was repaired by the server:', packet.validation.repairs);
 
-    if (soapNoteTimer) { clearInterval(soapNoteTimer); soapNoteTimer = null; }
-    soapGenerating = false;
+    stopSoapGenerating();
     renderSoapNote(latestSoapNote);
+    reportMergeMode(); // the first note makes the next transcript a merge
 
     // IMPORTANT: Do NOT auto-call the meds API here.
     // We only validate on user edit. If persisted statuses match current text, they will render immediately.
   }
+
+  else if (packet.type === 'drug_interaction_console') {
+    if (!latestSoapNote) return;
+    // Stored on the note so it survives reloads and is replaced by the next note
+    latestSoapNote._interactions = packet.data || null;
+    saveLatestSoap(latestSoapNote);
+
+    const activeId = loadActiveItemId();
+    if (activeId) {
+      const hist = loadHistory();
+      const i = hist.findIndex(x => x.id === activeId);
+      if (i !== -1) { hist[i].soap = latestSoapNote; saveHistory(hist); }
+    }
+
+    if (soapGenerating) return;
+    renderMedicationInline();
+    renderInteractionWarnings();
+  }
+
+  else if (packet.type === 'soap_note_error') {
+    stopSoapGenerating();
+    // Keep whatever note we already had; just explain why no new one arrived
+    renderSoapNote(latestSoapNote || {});
+    renderSoapNoteError(packet.data || {});
+  }
 }
 
 try {
@@ -1255,10 +2140,9 @@ function restoreFromLocalStorage() {
   const medTextarea = scroller.querySelector('textarea[data-section="Medication"]');
   if (medTextarea) {
     const currentNormalized = normalizedMedicationBlock(medTextarea);
-    const { byName, lastText } = loadMedStatus();
+    const { byName, lastText, details } = loadMedStatus();
     if (currentNormalized === lastText) {
-      medAvailability.clear();
-      Object.entries(byName).forEach(([k, v]) => medAvailability.set(k, !!v));
+      restoreMedStatus(byName, details);
       renderMedicationInline();
     }
   }
@@ -1280,11 +2164,13 @@ function wireSoapActionButtons() {
         const headMeta = scroller.querySelector(`.scribe-section[data-section="${CSS.escape(t.dataset.section)}"] .scribe-section-meta`);
         if (headMeta) headMeta.textContent = `Edits: 0`;
       });
+      delete latestSoapNote._ehrExport;
       persistSoapFromUI();
 
       // Clear med availability persistence since text is empty
       saveMedStatus({}, '');
       medAvailability.clear();
+      medDetails.clear();
       renderMedicationInline();
 
       resetAllEditCountersToZero();
@@ -1293,21 +2179,59 @@ function wireSoapActionButtons() {
   }
 
   if (saveBtnEl) {
-    saveBtnEl.onclick = () => {
+    saveBtnEl.onclick = async () => {
+      const edits = totalEditCount(); // edits since the last Save, before the counters reset
       persistSoapFromUI();
       scroller.querySelectorAll('textarea[data-section]').forEach(t => rebaseBoxStateToCurrent(t));
       resetAllEditCountersToZero();
       console.log('[SCRIBE] SOAP saved and edit counters reset.');
+
+      const { version, authError } = await saveSoapVersion(edits);
+      if (version) console.log(`[SCRIBE] Saved as version ${version.version} of encounter ${latestSoapNote._encounterId}`);
+      if (authError) console.warn(`[SCRIBE] ${authError} Saved locally only.`);
+      flashSaveButton(version ? `Saved v${version.version}` : authError ? 'Saved locally (not authorized)' : 'Saved locally');
+      refreshNoteHistoryIfOpen();
+    };
+  }
+
+  if (historyBtnEl) {
+    historyBtnEl.onclick = () => toggleNoteHistory();
+  }
+
+  if (mergeModeEl) {
+    mergeModeEl.checked = isMergeModeOn();
+    mergeModeEl.onchange = () => {
+      localStorage.setItem(LS_KEYS.MERGE_MODE, mergeModeEl.checked ? '1' : '');
+      console.log(`[SCRIBE] Keep edits on new transcript: ${mergeModeEl.checked ? 'on' : 'off'}`);
+      reportMergeMode();
     };
   }
 
   if (addEhrBtnEl) {
-    addEhrBtnEl.disabled = true;
-    addEhrBtnEl.classList.add('scribe-add-ehr-disabled');
-    addEhrBtnEl.onclick = () => {
-      console.log('[SCRIBE] Add EHR is disabled (placeholder).');
-      scroller.querySelectorAll('textarea[data-section]').forEach(t => rebaseBoxStateToCurrent(t));
-      resetAllEditCountersToZero();
+    updateAddToEhrButtonState();
+    addEhrBtnEl.onclick = async () => {
+      if (ehrSending || !SERVER_URL) return;
+      persistSoapFromUI(); // export exactly what the scribe sees
+      const note = currentSoapSections();
+      ehrSending = true;
+      updateAddToEhrButtonState();
+
+      const result = await exportSoapToEhr(note);
+      ehrSending = false;
+      // Edited (or switched notes) while sending: the result is not for what is on screen now
+      if (JSON.stringify(currentSoapSections()) !== JSON.stringify(note)) {
+        console.warn(`[SCRIBE] Note changed while sending to EHR (${result.status}); not marking it.`);
+        updateAddToEhrButtonState();
+        return;
+      }
+      latestSoapNote._ehrExport = result;
+      persistSoapFromUI();
+      if (result.status === 'success') {
+        console.log(`[SCRIBE] Note added to EHR as ${result.composition || 'a FHIR bundle'}.`);
+        scroller.querySelectorAll('textarea[data-section]').forEach(t => rebaseBoxStateToCurrent(t));
+        resetAllEditCountersToZero();
+      }
+      updateAddToEhrButtonState();
     };
   }
 }
@@ -1333,6 +2257,8 @@ function wireSoapActionButtons() {
       if (!window.io) await loadSocketIoClientFor(fallback);
       await connectTo(fallback);
     });
+    reportMergeMode();
+    setInterval(reportMergeMode, MERGE_MODE_REPORT_MS);
 
     console.log('[SCRIBE] Cockpit booted successfully');
   } catch (e) {
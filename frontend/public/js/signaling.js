@@ -10,9 +10,10 @@ export class SignalingClient {
    * @param {string} opts.deviceName  - friendly device name
    * @param {string} opts.xrId        - XR-1234 / unique id
    * @param {Object} [opts.listener]  - callbacks (see below)
+   * @param {string} [opts.token]     - device token from /platform (defaults to window.XR_DEVICE_TOKEN)
    * @param {any}    [opts.ioOverride]- pass a custom io() for testing (optional)
    */
-  constructor({ serverUrl, deviceName, xrId, listener = null, ioOverride = null }) {
+  constructor({ serverUrl, deviceName, xrId, token = null, listener = null, ioOverride = null }) {
     // Resolve hub URL from (in priority): ?signal → window.__SIGNAL_URL__ → localStorage → window.SIGNAL_URL → same-origin → explicit arg
     // One server → always same-origin
     let resolvedUrl = (typeof window !== 'undefined' && window.location?.origin) || serverUrl || null;
@@ -25,6 +26,7 @@ export class SignalingClient {
     this.serverUrl = resolvedUrl;
     this.deviceName = deviceName;
     this.xrId = xrId;
+    this.token = token || (typeof window !== 'undefined' && window.XR_DEVICE_TOKEN) || null;
     this.listener = listener;
 
     this.socket = null;
@@ -59,7 +61,12 @@ export class SignalingClient {
     this._onPeerLeft = this._onPeerLeft.bind(this);
     this._onMessage = this._onMessage.bind(this);
     this._onMessageHistory = this._onMessageHistory.bind(this);
+    this._onMessageSent = this._onMessageSent.bind(this);
+    this._onMessageQueued = this._onMessageQueued.bind(this);
+    this._onMessageAck = this._onMessageAck.bind(this);
+    this._onMessageRead = this._onMessageRead.bind(this);
     this._onControl = this._onControl.bind(this);      // ← NEW: control passthrough
+    this._onAuthError = this._onAuthError.bind(this);
   }
 
   /** Establish the Socket.IO connection. Mirrors Android options. */
@@ -74,7 +81,8 @@ export class SignalingClient {
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
       timeout: 20000,
-      forceNew: true
+      forceNew: true,
+      auth: { xrId: this.xrId, token: this.token }
     };
 
     this._manualClose = false;       // we are connecting intentionally
@@ -94,8 +102,17 @@ export class SignalingClient {
     this.socket.on('message', this._onMessage);
     this.socket.on('message_history', this._onMessageHistory);
 
+    // Delivery receipts for messages we sent
+    this.socket.on('message_sent', this._onMessageSent);
+    this.socket.on('message_queued', this._onMessageQueued);
+    this.socket.on('message_ack', this._onMessageAck);
+    this.socket.on('message_read', this._onMessageRead);
+
     // NEW: forward control events to UI (APK parity)
     this.socket.on('control', this._onControl);
+
+    // Device token rejected by the server
+    this.socket.on('auth_error', this._onAuthError);
   }
 
   /** Disable/enable automatic reconnection like Android setReconnectionEnabled(). */
@@ -131,7 +148,12 @@ export class SignalingClient {
     this.socket.off('peer_left', this._onPeerLeft);
     this.socket.off('message', this._onMessage);
     this.socket.off('message_history', this._onMessageHistory);
+    this.socket.off('message_sent', this._onMessageSent);
+    this.socket.off('message_queued', this._onMessageQueued);
+    this.socket.off('message_ack', this._onMessageAck);
+    this.socket.off('message_read', this._onMessageRead);
     this.socket.off('control', this._onControl);
+    this.socket.off('auth_error', this._onAuthError);
 
     try { this.socket.disconnect(); } catch { /* no-op */ }
     this.socket = null;
@@ -300,12 +322,37 @@ export class SignalingClient {
     this.listener?.onServerMessage?.('message_history', first);
   }
 
+  _onMessageSent(obj) {
+    this.listener?.onServerMessage?.('message_sent', obj);
+  }
+
+  _onMessageQueued(obj) {
+    this.listener?.onServerMessage?.('message_queued', obj);
+  }
+
+  _onMessageAck(obj) {
+    this.listener?.onServerMessage?.('message_ack', obj);
+  }
+
+  _onMessageRead(obj) {
+    this.listener?.onServerMessage?.('message_read', obj);
+  }
+
   // NEW: forward server 'control' events to UI (for request_offer, mute, etc.)
   _onControl(obj) {
     this.listener?.onControl?.(obj);
     this.listener?.onServerMessage?.('control', obj);
   }
 
+  // identify/join rejections are final: stop reconnecting with the same token
+  _onAuthError(obj) {
+    const event = obj?.event;
+    if (event === 'identify' || event === 'join' || event === 'revoked') {
+      this.setReconnectionEnabled(false);
+    }
+    this.listener?.onServerMessage?.('auth_error', obj);
+  }
+
   _emitSignal(type, from, to, data) {
     const payload = { type, from, to, data };
     this._send('signal', payload);
@@ -313,6 +360,8 @@ export class SignalingClient {
 
   // --- Optional convenience (APK parity) ---
   sendMessage(payload) { this._send('message', payload); }
+  sendMessageAck(ids, to) { this._send('message_ack', { ids, from: this.xrId, to }); }
+  sendMessageRead(ids, to) { this._send('message_read', { ids, from: this.xrId, to }); }
   sendControl(payload) { this._send('control', payload); }
   sendTelemetry(payload) { this._send('telemetry', payload); }
 
@@ -10,7 +10,7 @@
 import { SignalingClient } from './signaling.js';
 import WebRtcStreamer from './device.js';
 import TelemetryReporter from './telemetry.js';
-import { Message, appendMessage } from './messages.js';
+import { Message, appendMessage, attachMessageId, setMessageStatus } from './messages.js';
 
 
 // ----------------- Constants (parity) -----------------
@@ -148,11 +148,13 @@ function msg(sender, text) {
     const m = new Message({ sender, text, timestamp: nowIso(), xrId: ANDROID_XR_ID, urgent: false });
     appendMessage(elMsgList, m);
     elMsgList.scrollTop = elMsgList.scrollHeight;
+    persistMessage(m.toJSON());
+}
 
-    // ⬇️ add this block
+function persistMessage(entry) {
     try {
         const N = 200; // cap to avoid storage bloat
-        persistedState.messages.push({ sender, text, timestamp: m.timestamp, xrId: ANDROID_XR_ID, urgent: false });
+        persistedState.messages.push(entry);
         if (persistedState.messages.length > N) {
             persistedState.messages = persistedState.messages.slice(-N);
         }
@@ -160,6 +162,56 @@ function msg(sender, text) {
     } catch { }
 }
 
+// ----------------- Delivery receipts -----------------
+function newClientId() {
+    return (crypto.randomUUID && crypto.randomUUID()) || `c-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Server assigned an id to one of our outgoing messages
+function onMessageSent({ id, clientId } = {}) {
+    if (!id || !clientId) return;
+    attachMessageId(elMsgList, clientId, id);
+    setMessageStatus(elMsgList, { clientId }, 'sent');
+    updatePersistedStatus(m => m.clientId === clientId, 'sent', id);
+}
+
+// Desktop acknowledged (delivered) or opened (read) our messages
+function onMessageReceipt({ ids } = {}, status) {
+    if (!Array.isArray(ids) || ids.length === 0) return;
+    setMessageStatus(elMsgList, { ids }, status);
+    updatePersistedStatus(m => Array.isArray(m.ids) && m.ids.some(id => ids.includes(id)), status);
+}
+
+const STATUS_RANK = { pending: 0, sent: 1, queued: 2, delivered: 3, read: 4 };
+function updatePersistedStatus(match, status, id) {
+    let changed = false;
+    for (const m of persistedState.messages) {
+        if (!m.status || !match(m)) continue;
+        if (id && !(m.ids || []).includes(id)) { m.ids = [...(m.ids || []), id]; changed = true; }
+        if (STATUS_RANK[status] > (STATUS_RANK[m.status] ?? -1)) { m.status = status; changed = true; }
+    }
+    if (changed) saveState();
+}
+
+// Incoming messages: ack delivery now, read once the page is visible
+const unreadReceipts = new Map(); // sender xrId -> [message ids]
+function acknowledgeIncoming(payload) {
+    const id = payload?.id;
+    const from = payload?.from || payload?.xrId;
+    if (!id || !from || !signaling) return;
+    signaling.sendMessageAck([id], from);
+    if (document.visibilityState === 'visible') {
+        signaling.sendMessageRead([id], from);
+    } else {
+        unreadReceipts.set(from, [...(unreadReceipts.get(from) || []), id]);
+    }
+}
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'visible' || !signaling) return;
+    for (const [from, ids] of unreadReceipts) signaling.sendMessageRead(ids, from);
+    unreadReceipts.clear();
+});
+
 function setStatus(connected) {
     elStatus.textContent = connected ? 'Status: Connected' : 'Status: Disconnected';
     elStatus.classList.toggle('status-connected', connected);
@@ -355,6 +407,11 @@ function createSignaling() {
                 return;
             }
 
+            if (event === 'auth_error') {
+                msg('System', `🔒 ${payload?.message || 'Device not authenticated'}. Open this page with ?token=<device token> issued from /platform.`);
+                return;
+            }
+
             if (event === 'desktop_disconnected') {
                 const id = (payload?.xrId || DEFAULT_DESKTOP_ID).toUpperCase();
                 msg('System', `Desktop [${id}] disconnected.`);
@@ -368,6 +425,15 @@ function createSignaling() {
                 return;
             }
 
+            if (event === 'message_sent') { onMessageSent(payload); return; }
+            if (event === 'message_queued') {
+                onMessageReceipt({ ids: [payload?.id] }, 'queued');
+                msg('System', `📥 ${payload?.to || 'Desktop'} is offline; message will be delivered when it reconnects.`);
+                return;
+            }
+            if (event === 'message_ack') { onMessageReceipt(payload, 'delivered'); return; }
+            if (event === 'message_read') { onMessageReceipt(payload, 'read'); return; }
+
             if (event !== 'message') return;
 
             // Render normal message (skip "transcript" like Android UI)
@@ -382,6 +448,7 @@ function createSignaling() {
 
             appendMessage(elMsgList, new Message({ sender, text, timestamp, xrId, urgent }));
             elMsgList.scrollTop = elMsgList.scrollHeight;
+            acknowledgeIncoming(payload);
         }
     }; // <-- close signaling.listener object
 
@@ -635,6 +702,11 @@ function onStartRecordingNote() {
     noteBuffer = '';
     if (!isListening) startVoiceRecognition();
     msg('System', 'Note recording started (say "create" to stop).');
+
+    // Opens a new encounter on the server for this note
+    for (const targetId of connectedDesktops) {
+        emitSafe('control', { from: ANDROID_XR_ID, to: targetId, command: 'start_note', action: 'start_note' });
+    }
 }
 function onStopRecordingNote() {
     if (!recordingActive) return;
@@ -716,6 +788,7 @@ elBtnSend.addEventListener('click', () => {
         return;
     }
     const timestamp = nowIso();
+    const clientId = newClientId();
     for (const targetId of connectedDesktops) {
         emitSafe('message', {
             type: 'message',
@@ -725,9 +798,17 @@ elBtnSend.addEventListener('click', () => {
             timestamp,
             urgent,
             to: targetId,
-            from: ANDROID_XR_ID
+            from: ANDROID_XR_ID,
+            clientId
         });
     }
+
+    // Show our own copy; its tick advances as receipts come back
+    const mine = new Message({ sender: 'AndroidXR', text, timestamp, xrId: ANDROID_XR_ID, urgent, clientId, status: 'pending' });
+    appendMessage(elMsgList, mine);
+    elMsgList.scrollTop = elMsgList.scrollHeight;
+    persistMessage(mine.toJSON());
+
     elMsgInput.value = '';
     elChkUrgent.checked = false;
 });
@@ -771,7 +852,8 @@ try {
         for (const m of persistedState.messages) {
             // render without re-triggering saves
             appendMessage(elMsgList, new Message({
-                sender: m.sender, text: m.text, timestamp: m.timestamp, xrId: m.xrId, urgent: !!m.urgent
+                sender: m.sender, text: m.text, timestamp: m.timestamp, xrId: m.xrId, urgent: !!m.urgent,
+                id: m.ids?.join(' '), clientId: m.clientId, status: m.status
             }));
         }
         elMsgList.scrollTop = elMsgList.scrollHeight;